@@ -0,0 +1,167 @@
+/**
+ * Send a complete response using only the Node http.ServerResponse API
+ *
+ * @param   {object} res    Node response
+ * @param   {number} status Status code
+ * @param   {string} body   Response body
+ * @returns {undefined}     No return value
+ */
+function send(res, status, body) {
+    res.statusCode = status;
+    if (!res.getHeader('Content-Type')) {
+        res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    }
+    res.setHeader('Content-Length', Buffer.byteLength(body));
+    res.end(body);
+}
+
+// Characters a URL can't contain, and % signs that don't start an escape, matching
+// the encodeurl package Express uses for locations
+const ENCODE_CHARS = new RegExp(
+    '(?:[^\\x21\\x25\\x26-\\x3B\\x3D\\x3F-\\x5B\\x5D\\x5F\\x61-\\x7A\\x7E]' +
+    '|%(?:[^0-9A-Fa-f]|[0-9A-Fa-f][^0-9A-Fa-f]|$))+',
+    'g',
+);
+const UNMATCHED_SURROGATES = new RegExp(
+    '(^|[^\\uD800-\\uDBFF])[\\uDC00-\\uDFFF]|[\\uD800-\\uDBFF]([^\\uDC00-\\uDFFF]|$)',
+    'g',
+);
+
+/**
+ * Percent-encode a URL for use in a header, leaving existing escapes alone
+ *
+ * @param   {string} url URL
+ * @returns {string}     Encoded URL
+ */
+function encodeUrl(url) {
+    return String(url)
+        .replace(UNMATCHED_SURROGATES, '$1\uFFFD$2')
+        .replace(ENCODE_CHARS, encodeURI);
+}
+
+/**
+ * Send a redirect using only the Node http.ServerResponse API.  The location is
+ * encoded, as headers can't contain characters such as non-ASCII ones
+ *
+ * @param   {object} res    Node response
+ * @param   {string} url    Redirect location
+ * @param   {number} status Status code
+ * @returns {undefined}     No return value
+ */
+function redirect(res, url, status = 302) {
+    const location = encodeUrl(url);
+    res.setHeader('Location', location);
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    send(res, status, `Redirecting to ${location}`);
+}
+
+/**
+ * Run connect-style (req, res, next) middleware in order, calling done once
+ * they have all called next.  Middleware ending the response themselves stop
+ * the chain
+ *
+ * @param   {Function[]} middleware Middleware functions
+ * @param   {object}     req        Node request
+ * @param   {object}     res        Node response
+ * @param   {Function}   done       Called with any error passed to next
+ * @returns {undefined}             No return value
+ */
+function runMiddleware(middleware, req, res, done) {
+    if (middleware.length === 0) {
+        done();
+        return;
+    }
+    middleware[0](req, res, (err) => {
+        if (err) {
+            done(err);
+        } else {
+            runMiddleware(middleware.slice(1), req, res, done);
+        }
+    });
+}
+
+// Adapt connect-style middleware (such as the webpack dev middleware) to Koa.  Koa
+// must leave the response alone unless the middleware passes the request on
+function fromConnect(middleware) {
+    return (ctx, next) => new Promise((resolve, reject) => {
+        ctx.respond = false;
+        ctx.res.once('close', resolve);
+        middleware(ctx.req, ctx.res, (err) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+            ctx.respond = true;
+            resolve(next());
+        });
+    });
+}
+
+// Each adapter maps a framework onto the Node request/response pair the render
+// pipeline works with:
+//   use(app, middleware)  Register connect-style middleware on the app, or null
+//                         if the renderer handler should run it instead
+//   handler(handle)       Wrap handle(req, res, next) as a framework route handler
+//   send(res, status, body)
+const adapters = {
+    express: {
+        use: (app, middleware) => app.use(middleware),
+        handler: handle => (req, res, next) => handle(req, res, next),
+        // Retain Express' ETag and freshness handling
+        send: (res, status, body) => res.status(status).send(body),
+    },
+    http: {
+        use: null,
+        handler: handle => (req, res) => handle(req, res),
+        send,
+    },
+    koa: {
+        use: (app, middleware) => app.use(fromConnect(middleware)),
+        handler: handle => (ctx) => {
+            // We write to the Node response directly, so undo Koa's default 404
+            ctx.respond = false;
+            ctx.res.statusCode = 200;
+            handle(ctx.req, ctx.res);
+        },
+        send,
+    },
+    fastify: {
+        use: (app, middleware) => app.addHook('onRequest', (request, reply, done) => (
+            middleware(request.raw, reply.raw, done)
+        )),
+        handler: handle => (request, reply) => {
+            // We write to the Node response directly
+            reply.hijack();
+            handle(request.raw, reply.raw);
+        },
+        send,
+    },
+};
+
+/**
+ * Resolve the renderer adapter option to an adapter
+ *
+ * @param   {string|object} adapter Adapter name (express, http, koa or fastify), or
+ *                                  a custom adapter, with any missing functions
+ *                                  defaulting to those of the http adapter
+ * @returns {object}                Adapter
+ */
+function getAdapter(adapter) {
+    if (typeof adapter !== 'string') {
+        return {
+            ...adapters.http,
+            ...adapter,
+        };
+    }
+    if (!adapters[adapter]) {
+        throw new Error(`Unknown renderer adapter "${adapter}"`);
+    }
+    return adapters[adapter];
+}
+
+module.exports = {
+    getAdapter,
+    redirect,
+    runMiddleware,
+    send,
+};
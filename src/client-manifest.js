@@ -0,0 +1,42 @@
+// Helpers for reading the client build manifest, shared by everything that links
+// to its files so they resolve URLs and preload types the same way
+
+/**
+ * Return the public path of the client build, with a trailing slash unless empty
+ *
+ * @param   {object} clientManifest Client build manifest
+ * @returns {string}                Prefix for manifest file URLs
+ */
+function getPublicPath(clientManifest) {
+    return clientManifest.publicPath === '' ?
+        '' :
+        clientManifest.publicPath.replace(/([^/])$/, '$1/');
+}
+
+/**
+ * Return the preload "as" type of a file, matching vue-server-renderer
+ *
+ * @param   {string} file File name, which may include a query string
+ * @returns {string}      script, style, image or font, or an empty string
+ */
+function getAsType(file) {
+    const ext = file.replace(/\?.*/, '').split('.').pop().toLowerCase();
+    if (ext === 'js') {
+        return 'script';
+    }
+    if (ext === 'css') {
+        return 'style';
+    }
+    if (/^(jpe?g|png|svg|gif|webp|ico|avif)$/.test(ext)) {
+        return 'image';
+    }
+    if (/^(woff2?|ttf|otf|eot)$/.test(ext)) {
+        return 'font';
+    }
+    return '';
+}
+
+module.exports = {
+    getAsType,
+    getPublicPath,
+};
@@ -0,0 +1,275 @@
+const LRU = require('lru-cache');
+
+// Number of keys we'll hold component registration hooks for in the shared adapter
+const SHARED_COMPONENTS_MAX = 10000;
+
+// Vue components come in as an object with an html key containing the SSR output
+function getHtmlLength(n) {
+    const valid = (
+        n != null &&
+        n.html != null &&
+        typeof n.html.length === 'number'
+    );
+    return valid ? n.html.length : 1;
+}
+
+function createStats() {
+    return {
+        hits: 0,
+        misses: 0,
+        sets: 0,
+        evictions: 0,
+        invalidations: 0,
+        bytesWritten: 0,
+    };
+}
+
+/**
+ * Create the default in-process LRU component cache for a renderer
+ *
+ * @param   {object}   config  Renderer config
+ * @param   {Function} onEvict Called whenever an entry is dropped from the cache
+ * @returns {object}           lru-cache instance
+ */
+function createLRUCache(config, onEvict) {
+    const prettySize = Math.round(config.componentCacheMaxSize / 1024);
+    const prettyAge = Math.round(config.componentCacheMaxAge / 1000);
+    config.logger.debug(`Creating component cache: maxSize ${prettySize}Kb, maxAge ${prettyAge}s`);
+    return new LRU({
+        length(n, key) {
+            const length = getHtmlLength(n);
+            if (config.componentCacheDebug) {
+                config.logger.debug(`Adding component cache entry: key=${key}, length=${length}`);
+            }
+            return length;
+        },
+        dispose: onEvict,
+        noDisposeOnSet: true,
+        max: config.componentCacheMaxSize,
+        maxAge: config.componentCacheMaxAge,
+    });
+}
+
+/**
+ * Create a component cache backed by a store shared across processes, such as Redis
+ * or memcached.  Only the rendered HTML is shared - the component registration hooks
+ * vue-server-renderer stores alongside it are functions, so those are only retained
+ * in-process.  Entries first rendered by another process will therefore not register
+ * their modules (used for async chunk and inline style injection) for the request
+ *
+ * @param   {object}   opts        Adapter options
+ * @param   {object}   opts.client Store client implementing get(key) and
+ *                                 set(key, value, maxAge), each returning a Promise.
+ *                                 Implement del(key) and keys(prefix) as well to
+ *                                 support invalidation
+ * @param   {string}   opts.prefix Prefix for all keys written to the store
+ * @param   {number}   opts.maxAge Time-to-live passed along to client.set, in ms
+ * @param   {object}   opts.logger Logger instance
+ * @returns {object}               vue-server-renderer compatible cache
+ */
+function createSharedCache(opts) {
+    const {
+        client,
+        prefix = 'vue-ssr:',
+        maxAge = 15 * 60 * 1000,
+        logger = console,
+    } = opts;
+    const components = new LRU({ max: SHARED_COMPONENTS_MAX });
+
+    const cache = {
+        get(key, cb) {
+            Promise.resolve()
+                .then(() => client.get(prefix + key))
+                .then((value) => {
+                    if (value == null) {
+                        return undefined;
+                    }
+                    return {
+                        html: JSON.parse(value).html,
+                        components: components.get(key) || new Set(),
+                    };
+                })
+                .catch((e) => {
+                    logger.error(`Error reading shared component cache key ${key}`, e);
+                    return undefined;
+                })
+                // Outside the chain, so render errors thrown by cb aren't swallowed
+                .then(value => process.nextTick(cb, value));
+        },
+        set(key, value) {
+            components.set(key, value.components);
+            Promise.resolve()
+                .then(() => client.set(prefix + key, JSON.stringify({ html: value.html }), maxAge))
+                .catch(e => logger.error(`Error writing shared component cache key ${key}`, e));
+        },
+    };
+
+    if (client.del) {
+        cache.del = (key) => {
+            components.del(key);
+            return client.del(prefix + key);
+        };
+    }
+
+    if (client.keys) {
+        cache.keys = async () => {
+            const keys = await client.keys(prefix);
+            return keys.map(k => k.slice(prefix.length));
+        };
+    }
+
+    return cache;
+}
+
+// vue-server-renderer treats get/has functions declaring a second argument as
+// callback-style, and everything else as synchronous.  Adapt Promise-returning
+// implementations to the callback style
+function toCallbackStyle(cache, method, logger) {
+    const fn = cache[method];
+    if (typeof fn !== 'function') {
+        return undefined;
+    }
+    if (fn.length > 1) {
+        return (key, cb) => fn.call(cache, key, cb);
+    }
+    return (key, cb) => {
+        const result = fn.call(cache, key);
+        if (result == null || typeof result.then !== 'function') {
+            cb(result);
+            return;
+        }
+        result
+            .catch((e) => {
+                logger.error(`Error calling component cache ${method} for key ${key}`, e);
+                return undefined;
+            })
+            // Outside the chain, so render errors thrown by cb aren't swallowed
+            .then(value => process.nextTick(cb, value));
+    };
+}
+
+/**
+ * Create the component cache for a renderer, using the componentCache option if
+ * provided and falling back to the built-in LRU.  The returned cache records
+ * statistics and supports invalidation on top of the vue-server-renderer interface
+ *
+ * @param   {object} config Renderer config
+ * @returns {object}        vue-server-renderer compatible cache
+ */
+function createComponentCache(config) {
+    const stats = createStats();
+
+    // Explicit invalidations should not be counted as evictions
+    let removing = false;
+    const remove = (fn) => {
+        removing = true;
+        try {
+            return fn();
+        } finally {
+            removing = false;
+        }
+    };
+    const onEvict = () => {
+        if (!removing) {
+            stats.evictions++;
+        }
+    };
+
+    const backend = config.componentCache || createLRUCache(config, onEvict);
+    if (typeof backend.get !== 'function' || typeof backend.set !== 'function') {
+        throw new Error('componentCache must implement at least get & set');
+    }
+
+    const get = toCallbackStyle(backend, 'get', config.logger);
+    const has = toCallbackStyle(backend, 'has', config.logger);
+    const record = (hit) => {
+        if (hit) {
+            stats.hits++;
+        } else {
+            stats.misses++;
+        }
+    };
+    const requireMethod = (method) => {
+        if (typeof backend[method] !== 'function') {
+            throw new Error(`componentCache must implement ${method} to support invalidation`);
+        }
+    };
+
+    return {
+        get(key, cb) {
+            get(key, (res) => {
+                // When available, vue-server-renderer only calls get after a has hit
+                if (!has) {
+                    record(res != null);
+                }
+                cb(res);
+            });
+        },
+
+        has: has && ((key, cb) => has(key, (hit) => {
+            record(hit === true);
+            cb(hit);
+        })),
+
+        set(key, value) {
+            stats.sets++;
+            stats.bytesWritten += getHtmlLength(value);
+            backend.set(key, value);
+        },
+
+        /**
+         * Return the recorded statistics.  The current number of entries and
+         * bytes are only known for the built-in cache, and will be null otherwise
+         *
+         * @returns {object} Cache statistics
+         */
+        getStats() {
+            const lookups = stats.hits + stats.misses;
+            return {
+                ...stats,
+                hitRatio: lookups > 0 ? stats.hits / lookups : 0,
+                entries: config.componentCache ? null : backend.itemCount,
+                bytes: config.componentCache ? null : backend.length,
+            };
+        },
+
+        /**
+         * Remove entries from the cache, or all entries if no criteria are given
+         *
+         * @param   {object} criteria           Entries to remove
+         * @param   {string} criteria.key       Exact key (ComponentName::serverCacheKey)
+         * @param   {string} criteria.prefix    Key prefix
+         * @param   {string} criteria.component Component name
+         * @returns {Promise<number|null>}      Number of invalidated keys, or null
+         *                                      if unknown
+         */
+        async invalidate({ key, prefix, component } = {}) {
+            const match = component ? `${component}::` : prefix;
+            let count = null;
+            if (key) {
+                requireMethod('del');
+                await remove(() => backend.del(key));
+                count = 1;
+            } else if (!match && typeof backend.reset === 'function') {
+                count = typeof backend.keys === 'function' ?
+                    (await backend.keys()).length :
+                    null;
+                await remove(() => backend.reset());
+            } else {
+                requireMethod('keys');
+                requireMethod('del');
+                const keys = (await backend.keys()).filter(k => !match || k.startsWith(match));
+                await Promise.all(keys.map(k => remove(() => backend.del(k))));
+                count = keys.length;
+            }
+            stats.invalidations += count || 0;
+            return count;
+        },
+    };
+}
+
+module.exports = {
+    createComponentCache,
+    createLRUCache,
+    createSharedCache,
+};
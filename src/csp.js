@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+
+const { getPublicPath } = require('./client-manifest');
+
+// Base CSP config - extended via the renderer csp option
+const defaults = {
+    // Policy to send when the response doesn't already have one, i.e.
+    // "default-src 'self'; script-src 'self'".  The nonce is added to it, as it
+    // is to any policy set by earlier middleware
+    policy: null,
+    // Send the policy as Content-Security-Policy-Report-Only
+    reportOnly: false,
+    // Apply the nonce to styles and style-src as well as scripts
+    styles: true,
+};
+
+const HEADERS = ['Content-Security-Policy', 'Content-Security-Policy-Report-Only'];
+
+// The root element of the server-rendered app, marking the end of the template
+// head and injected resources
+const APP_ROOT = 'data-server-rendered="true"';
+
+/**
+ * Merge the csp renderer option with our defaults
+ *
+ * @param   {object|boolean} opts csp option
+ * @returns {object}              Full csp config
+ */
+function getCspConfig(opts) {
+    return {
+        ...defaults,
+        ...opts,
+    };
+}
+
+/**
+ * Generate a nonce for a single response
+ *
+ * @returns {string} Base64 encoded 128-bit random value
+ */
+function createNonce() {
+    return crypto.randomBytes(16).toString('base64');
+}
+
+/**
+ * Add a nonce to the script-src and style-src directives of a policy, or to
+ * default-src for either that isn't specified
+ *
+ * @param   {string}  policy Content-Security-Policy header value
+ * @param   {string}  nonce  Nonce
+ * @param   {boolean} styles Whether to add the nonce to style-src
+ * @returns {string}         Updated policy
+ */
+function addNonceToPolicy(policy, nonce, styles) {
+    const source = `'nonce-${nonce}'`;
+    const directives = policy.split(';').map(d => d.trim()).filter(Boolean);
+    const names = directives.map(d => d.split(/\s+/)[0].toLowerCase());
+    const targets = ['script-src', ...(styles ? ['style-src'] : [])]
+        .map(name => (names.includes(name) ? name : 'default-src'));
+    return directives
+        .map((d, i) => (targets.includes(names[i]) ? `${d} ${source}` : d))
+        .join('; ');
+}
+
+/**
+ * Add the nonce to any Content-Security-Policy headers already on the response,
+ * or set the configured policy if there are none
+ *
+ * @param   {object} res    Node response
+ * @param   {string} nonce  Nonce
+ * @param   {object} config Full csp config
+ * @returns {undefined}     No return value
+ */
+function setCspHeader(res, nonce, config) {
+    const existing = HEADERS.filter(name => res.getHeader(name));
+    existing.forEach((name) => {
+        const policies = [].concat(res.getHeader(name));
+        res.setHeader(name, policies.map(p => addNonceToPolicy(p, nonce, config.styles)));
+    });
+    if (existing.length === 0 && config.policy) {
+        res.setHeader(
+            HEADERS[config.reportOnly ? 1 : 0],
+            addNonceToPolicy(config.policy, nonce, config.styles),
+        );
+    }
+}
+
+/**
+ * Create a function adding the nonce to the script, style and link tags of a
+ * rendered page, called with each chunk of HTML in order.  Everything ahead of
+ * the app root element (the template head and injected resources) gets the
+ * nonce, but after it only scripts and links for client manifest files do, so
+ * markup injected into the app's content can never inherit the nonce
+ *
+ * @param   {object}   clientManifest Client manifest
+ * @param   {string}   nonce          Nonce
+ * @param   {object}   config         Full csp config
+ * @returns {Function}                (html) => html
+ */
+function createNonceInjector(clientManifest, nonce, config) {
+    const publicPath = getPublicPath(clientManifest);
+    const manifestUrls = (clientManifest.all || []).map(file => `${publicPath}${file}`);
+    const tagNames = config.styles ? 'script|style|link' : 'script|link';
+    const tags = new RegExp(`<(${tagNames})\\b([^>]*)>`, 'gi');
+    let inApp = false;
+
+    const addNonce = (html, trusted) => html.replace(tags, (tag, name, attrs) => {
+        if (/\snonce=/i.test(attrs)) {
+            return tag;
+        }
+        const url = attrs.match(/\s(?:src|href)="([^"]*)"/i);
+        const isStyle = name.toLowerCase() === 'style' ||
+            /\sas="style"|\srel="stylesheet"/i.test(attrs);
+        const isManifestFile = url && manifestUrls.includes(url[1]);
+        if ((isStyle && !config.styles) || !(trusted || isManifestFile)) {
+            return tag;
+        }
+        return `<${name} nonce="${nonce}"${attrs}>`;
+    });
+
+    return (html) => {
+        if (inApp) {
+            return addNonce(html, false);
+        }
+        const root = html.indexOf(APP_ROOT);
+        if (root < 0) {
+            return addNonce(html, true);
+        }
+        inApp = true;
+        const split = html.lastIndexOf('<', root);
+        return addNonce(html.slice(0, split), true) + addNonce(html.slice(split), false);
+    };
+}
+
+module.exports = {
+    addNonceToPolicy,
+    createNonce,
+    createNonceInjector,
+    getCspConfig,
+    setCspHeader,
+};
@@ -0,0 +1,123 @@
+const { template: compileTemplate } = require('lodash');
+
+const { getAsType, getPublicPath } = require('./client-manifest');
+
+// Same interpolation syntax and outlet as the vue-server-renderer template
+const compileOptions = {
+    escape: /{{([^{][\s\S]+?[^}])}}/g,
+    interpolate: /{{{([\s\S]+?)}}}/g,
+};
+const OUTLET = '<!--vue-ssr-outlet-->';
+
+// Base CSR fallback config - extended via the renderer csrFallback option
+const defaults = {
+    // Serve the fallback when the render exceeds renderTimeout
+    timeout: false,
+    // Serve the fallback for non-redirect, non-404 render errors
+    error: false,
+    // id of the app element to be mounted by the client
+    appId: 'app',
+    // Status code for the fallback response
+    status: 200,
+};
+
+const isJS = file => getAsType(file) === 'script';
+const isCSS = file => getAsType(file) === 'style';
+
+function parseTemplate(template) {
+    const j = template.indexOf(OUTLET);
+    if (j < 0) {
+        throw new Error('Content placeholder not found in template.');
+    }
+    let i = template.indexOf('</head>');
+    if (i < 0) {
+        i = template.indexOf('<body>');
+        if (i < 0) {
+            i = j;
+        }
+    }
+    return {
+        head: compileTemplate(template.slice(0, i), compileOptions),
+        neck: compileTemplate(template.slice(i, j), compileOptions),
+        tail: compileTemplate(template.slice(j + OUTLET.length), compileOptions),
+    };
+}
+
+/**
+ * Merge the csrFallback renderer option with our defaults
+ *
+ * @param   {object} opts csrFallback option
+ * @returns {object}      Full csrFallback config
+ */
+function getCsrFallbackConfig(opts) {
+    return {
+        ...defaults,
+        ...opts,
+    };
+}
+
+/**
+ * Create a function to render the page template without any app content, for
+ * the client to render itself.  This mirrors the resources vue-server-renderer
+ * injects for the client manifest, minus anything SSR-specific such as async
+ * chunks used during the render or the initial state
+ *
+ * @param   {object}   opts                Shell options
+ * @param   {string}   opts.template       Renderer template
+ * @param   {object}   opts.clientManifest Client build manifest
+ * @param   {boolean}  opts.inject         Whether to automatically inject resources
+ * @param   {object}   opts.csrFallback    csrFallback renderer option
+ * @returns {Function}                     (context, reason) => html
+ */
+function createShellRenderer({
+    template,
+    clientManifest,
+    inject = true,
+    csrFallback,
+}) {
+    const { appId } = getCsrFallbackConfig(csrFallback);
+    const parsed = parseTemplate(template);
+    const publicPath = getPublicPath(clientManifest);
+    const initial = clientManifest.initial || [];
+
+    const renderFns = {
+        renderResourceHints: () => initial
+            .filter(file => isJS(file) || isCSS(file))
+            .map(file => `<link rel="preload" href="${publicPath}${file}" as="${getAsType(file)}">`)
+            .join(''),
+        renderStyles: () => initial
+            .filter(isCSS)
+            .map(file => `<link rel="stylesheet" href="${publicPath}${file}">`)
+            .join(''),
+        renderState: () => '',
+        renderScripts: () => initial
+            .filter(isJS)
+            .map(file => `<script src="${publicPath}${file}" defer></script>`)
+            .join(''),
+        getPreloadFiles: () => initial.map(file => ({ file })),
+    };
+
+    return function renderShell(context, reason) {
+        const ctx = Object.assign(context, renderFns);
+        const outlet = `<div id="${appId}" data-csr-fallback="${reason}"></div>`;
+        if (!inject) {
+            return parsed.head(ctx) + parsed.neck(ctx) + outlet + parsed.tail(ctx);
+        }
+        return (
+            parsed.head(ctx) +
+            (ctx.head || '') +
+            ctx.renderResourceHints() +
+            ctx.renderStyles() +
+            parsed.neck(ctx) +
+            outlet +
+            ctx.renderState() +
+            ctx.renderScripts() +
+            parsed.tail(ctx)
+        );
+    };
+}
+
+module.exports = {
+    createShellRenderer,
+    getCsrFallbackConfig,
+};
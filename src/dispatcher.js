@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+
+const { send } = require('./adapters');
+
+// Evenly distributed 32-bit hash, so similar ids don't land in the same variant
+const hash = str => crypto.createHash('md5').update(str).digest().readUInt32BE(0);
+
+/**
+ * Deterministically assign an id, such as a visitor id cookie, to one of the
+ * weighted variants of an experiment.  The same id always lands in the same
+ * variant for a given experiment name and weights, while different experiment
+ * names bucket independently
+ *
+ * @param   {string} id         Stable identifier for the visitor
+ * @param   {string} experiment Experiment name
+ * @param   {object} weights    Relative weights keyed by variant (renderer) name,
+ *                              i.e. { default: 90, lite: 10 }
+ * @returns {string}            Variant name
+ */
+function bucket(id, experiment, weights) {
+    const names = Object.keys(weights).filter(k => weights[k] > 0);
+    const total = names.reduce((sum, k) => sum + weights[k], 0);
+    if (total === 0) {
+        throw new Error(`No weighted variants for experiment "${experiment}"`);
+    }
+    // Summed in the same order as the total, so the last variant always matches
+    const point = (hash(`${experiment}:${id}`) / 0x100000000) * total;
+    let upper = 0;
+    return names.find((k) => {
+        upper += weights[k];
+        return point < upper;
+    });
+}
+
+/**
+ * Create a request handler rendering each request with the renderer chosen by
+ * the select function, falling back when it returns nothing, throws, or names
+ * a renderer that isn't registered
+ *
+ * @param   {Function} select        (req) => string|Promise<string> renderer name
+ * @param   {Function} getHandle     (name) => render function (req, res) for a
+ *                                   registered renderer, or null
+ * @param   {object}   opts          Dispatcher options
+ * @param   {string}   opts.fallback Renderer name to fall back to
+ * @param   {object}   opts.logger   Logger instance
+ * @returns {Function}               (req, res) => undefined
+ */
+function createDispatcher(select, getHandle, { fallback = 'default', logger = console } = {}) {
+    return function dispatch(req, res) {
+        Promise.resolve()
+            .then(() => select(req))
+            .catch((e) => {
+                logger.error(`Error selecting renderer, falling back to "${fallback}"`, e);
+                return null;
+            })
+            .then((name) => {
+                const handle = name && getHandle(name);
+                if (handle) {
+                    handle(req, res);
+                    return;
+                }
+                if (name) {
+                    logger.warn(`Unknown renderer "${name}", falling back to "${fallback}"`);
+                }
+                const fallbackHandle = getHandle(fallback);
+                if (fallbackHandle) {
+                    fallbackHandle(req, res);
+                    return;
+                }
+                logger.error(`Fallback renderer "${fallback}" is not registered`);
+                send(res, 500, '500 | Internal Server Error');
+            })
+            .catch((e) => {
+                // The renderer threw before it could respond itself
+                logger.error('Error dispatching request', e);
+                if (!res.headersSent) {
+                    send(res, 500, '500 | Internal Server Error');
+                }
+            });
+    };
+}
+
+module.exports = {
+    bucket,
+    createDispatcher,
+};
@@ -1,5 +1,8 @@
 import { get, isEqual, isFunction, sortBy, uniq } from 'lodash';
 
+import { HEAD_ATTRIBUTE, getTagAttributes, resolveHead } from './head';
+import { initialStateDefaults } from './initial-state';
+import { resolveRedirect } from './navigation';
 import {
     getMatchedComponents,
     getModuleName,
@@ -61,6 +64,9 @@ function shouldProcessRouteUpdate(c, fetchDataArgs) {
     );
 }
 
+// Redirects from fetchData to follow in a row before assuming a loop
+const MAX_REDIRECTS = 10;
+
 const PERF_PREFIX = 'urbnperf';
 const perfAvailable = () => (
     window.performance !== null &&
@@ -116,6 +122,118 @@ export function perfMeasure(name) {
     return true;
 }
 
+/**
+ * Return the reason the server sent the client-side rendering fallback shell
+ * instead of server-rendered markup ('timeout', 'error', 'shed' or 'client-only'),
+ * or null if the page was server rendered.  When set, the app should be mounted
+ * without hydration and the initial route's fetchData run on the client, i.e. with
+ * useInitialFetchDataClient
+ *
+ * @param   {string} appSelector Selector for the app element
+ * @returns {string|null}        Fallback reason
+ */
+export function getCsrFallbackReason(appSelector = '#app') {
+    const el = document.querySelector(appSelector);
+    return (el && el.getAttribute('data-csr-fallback')) || null;
+}
+
+/**
+ * Read the state serialized into the page by useInitialStateServer
+ *
+ * @param   {string} metaTag Name of the meta tag
+ * @param   {object} logger  Logger instance
+ * @returns {object|null}    State, or null if the page has none
+ */
+export function getInitialState(metaTag = initialStateDefaults.metaTag, logger = console) {
+    const el = document.querySelector(`meta[name="${metaTag}"]`);
+    if (!el) {
+        return null;
+    }
+    try {
+        return JSON.parse(el.getAttribute('content'));
+    } catch (e) {
+        logger.error('Unable to parse initial state', e);
+        return null;
+    }
+}
+
+/**
+ * Restore the state serialized into the page by useInitialStateServer, to be
+ * called before mounting the app.  Top-level keys stripped on the server keep
+ * their client-side values
+ *
+ * @param   {object} store        Vuex store instance
+ * @param   {object} opts         Options
+ * @param   {string} opts.metaTag Name of the meta tag
+ * @param   {object} opts.logger  Logger instance
+ * @returns {boolean}             Whether state was restored
+ */
+export function useInitialStateClient(store, { metaTag, logger } = {}) {
+    const state = getInitialState(metaTag, logger);
+    if (!state) {
+        return false;
+    }
+    store.replaceState({
+        ...store.state,
+        ...state,
+    });
+    return true;
+}
+
+/**
+ * Replace the tags from useHeadServer (or a previous applyHead) in document.head
+ * and update the document title
+ *
+ * @param   {object} head Head from resolveHead
+ * @returns {undefined}   No return value
+ */
+export function applyHead(head) {
+    if (head.title != null) {
+        document.title = head.title;
+    }
+    document.head.querySelectorAll(`[${HEAD_ATTRIBUTE}]`).forEach(el => el.remove());
+    const createTag = (name, attrs) => {
+        const el = document.createElement(name);
+        el.setAttribute(HEAD_ATTRIBUTE, '');
+        getTagAttributes(attrs).forEach(([k, v]) => el.setAttribute(k, v));
+        return el;
+    };
+    [
+        ...head.meta.map(attrs => createTag('meta', attrs)),
+        ...head.link.map(attrs => createTag('link', attrs)),
+        ...head.jsonLd.map((data) => {
+            const el = createTag('script', { type: 'application/ld+json' });
+            el.textContent = JSON.stringify(data);
+            return el;
+        }),
+    ].forEach(el => document.head.appendChild(el));
+}
+
+// Resolve the head definitions of the global head option and the route's matched
+// components, or null if there are none
+function resolveRouteHead(fetchDataArgs, globalHead) {
+    const definitions = [
+        globalHead,
+        ...getMatchedComponents(fetchDataArgs.route).map(c => c.head),
+    ];
+    return definitions.some(Boolean) ? resolveHead(definitions, fetchDataArgs) : null;
+}
+
+/**
+ * Resolve the head definitions of the global head option and the route's matched
+ * components, and apply them to the document
+ *
+ * @param   {object} fetchDataArgs Context argument passed to fetchData
+ * @param   {object} globalHead    Global head definition
+ * @returns {Promise<undefined>}   No return value
+ */
+export async function useHeadClient(fetchDataArgs, globalHead) {
+    const head = await resolveRouteHead(fetchDataArgs, globalHead);
+    if (head) {
+        applyHead(head);
+    }
+}
+
 /**
  * Register/Unregister any dynamic Vuex modules during client-side routing operations.
  * Registering the store modules as part of the component allows the module to be bundled
@@ -210,9 +328,16 @@ export function useRouteVuexModulesClient(app, router, store, logger) {
  * @param   {object} opts                 Additional options
  * @param   {object} opts.middleware      Function to execute before fetchData
  * @param   {object} opts.postMiddleware  Function to execute after fetchData
+ * @param   {object} opts.head            Global head definition, merged ahead of
+ *                                        the route components' head definitions
  * @returns {undefined}         No return value
  */
 export function useFetchDataClient(app, router, store, logger, opts) {
+    // Redirects followed since the last navigation that didn't redirect
+    let redirects = 0;
+    // Heads resolved by beforeResolve, applied once their navigation is confirmed
+    const heads = new WeakMap();
+
     if (perfAvailable()) {
         router.beforeEach((to, from, next) => {
             const fetchDataArgs = getFetchDataArgs(null, app, router, store, to, from);
@@ -241,6 +366,7 @@ export function useFetchDataClient(app, router, store, logger, opts) {
             // Short circuit if none of our components need to process the route update
             if (components.length === 0) {
                 logger.debug(`Ignoring route update ${routeUpdateStr}`);
+                redirects = 0;
                 next();
                 return;
             }
@@ -259,9 +385,41 @@ export function useFetchDataClient(app, router, store, logger, opts) {
             if (opts && opts.postMiddleware) {
                 await opts.postMiddleware(fetchDataArgs);
             }
-            // Call next with the first non-null resolved value from fetchData
-            next(results.find(r => r != null));
-        } catch (e) {
+            // Call next with the first non-null resolved value from fetchData,
+            // resolving the head unless it redirects or cancels the navigation
+            const result = results.find(r => r != null);
+            if (result == null) {
+                try {
+                    const head = await resolveRouteHead(fetchDataArgs, opts && opts.head);
+                    if (head) {
+                        heads.set(to, head);
+                    }
+                } catch (e) {
+                    // A broken head shouldn't stop the page from being shown
+                    logger.error(`Error resolving head for route update ${routeUpdateStr}`, e);
+                }
+            }
+            redirects = 0;
+            next(result);
+        } catch (thrown) {
+            const e = resolveRedirect(thrown, to.fullPath);
+            if (e && e.url) {
+                redirects += 1;
+                if (redirects > MAX_REDIRECTS) {
+                    redirects = 0;
+                    logger.warn(`Too many redirects for route update ${routeUpdateStr}`);
+                    next(new Error(`Too many redirects for route update ${routeUpdateStr}`));
+                } else if (e.url.startsWith('/')) {
+                    logger.debug(`Redirecting route update ${routeUpdateStr} to ${e.url}`);
+                    next(e.url);
+                } else {
+                    // Leave the app for external URLs
+                    window.location.assign(e.url);
+                    next(false);
+                }
+                return;
+            }
+            redirects = 0;
             logger.warn('Error fetching component data, preventing routing', e);
             if (e instanceof Error) {
                 next(e);
@@ -277,4 +435,69 @@ export function useFetchDataClient(app, router, store, logger, opts) {
             }
         }
     });
+
+    // Apply the head once the navigation is confirmed, so a navigation cancelled
+    // by later guards leaves the current page's head in place
+    router.afterEach((to, from, failure) => {
+        const head = heads.get(to);
+        heads.delete(to);
+        if (head && !failure) {
+            applyHead(head);
+        }
+    });
+}
+
+// Load the current route for useInitialFetchDataClient, loading redirect targets
+// in turn, as there are no router guards to do so yet
+async function loadInitialRoute(app, router, store, logger, opts, redirects) {
+    const route = router.currentRoute.value;
+    const fetchDataArgs = getFetchDataArgs(null, app, router, store, route, null);
+    try {
+        if (opts && opts.middleware) {
+            await opts.middleware(fetchDataArgs);
+        }
+        await Promise.all([
+            opts && opts.globalFetchData && opts.globalFetchData(fetchDataArgs),
+            ...getMatchedComponents(route).map(c => c.fetchData && c.fetchData(fetchDataArgs)),
+        ]);
+        if (opts && opts.postMiddleware) {
+            await opts.postMiddleware(fetchDataArgs);
+        }
+        await useHeadClient(fetchDataArgs, opts && opts.head);
+    } catch (thrown) {
+        const e = resolveRedirect(thrown, route.fullPath);
+        if (!e || !e.url) {
+            throw e;
+        }
+        if (!e.url.startsWith('/')) {
+            logger.debug(`Redirecting initial route ${route.fullPath} to ${e.url}`);
+            window.location.assign(e.url);
+            return;
+        }
+        if (redirects >= MAX_REDIRECTS) {
+            throw new Error(`Too many redirects for initial route ${route.fullPath}`);
+        }
+        logger.debug(`Redirecting initial route ${route.fullPath} to ${e.url}`);
+        await router.replace(e.url);
+        await loadInitialRoute(app, router, store, logger, opts, redirects + 1);
+    }
+}
+
+/**
+ * Run middleware, fetchData and head for the current route, for pages the server
+ * didn't render (when getCsrFallbackReason() returns a reason, such as
+ * 'client-only' for routes with ssr: false).  Call once the router is ready and
+ * before mounting the app, which then renders rather than hydrates.  Redirects
+ * replace the current route and load the new one in the same way, so call it
+ * before useFetchDataClient registers its guards.  Other errors are rejected
+ *
+ * @param   {object} app                  App instance
+ * @param   {object} router               Router instance
+ * @param   {object} store                Vuex store instance
+ * @param   {object} logger               Logger instance
+ * @param   {object} opts                 Options, as for useFetchDataClient
+ * @returns {Promise<undefined>}          No return value
+ */
+export function useInitialFetchDataClient(app, router, store, logger, opts) {
+    return loadInitialRoute(app, router, store, logger, opts, 0);
 }
@@ -1,6 +1,10 @@
+import { renderHead, resolveHead } from './head';
+import { initialStateDefaults, renderStateTag, serializeState } from './initial-state';
+import { resolveRedirect } from './navigation';
 import {
     getMatchedComponents,
     getModuleName,
+    isClientOnlyRoute,
     safelyRegisterModule,
     getFetchDataArgs,
 } from './utils';
@@ -29,6 +33,86 @@ export function useRouteVuexModulesServer(router, store, logger) {
         });
 }
 
+// Record the duration of a data loading phase for the Server-Timing header, when
+// enabled by the renderer
+async function timePhase(ssrContext, name, description, fn) {
+    if (!ssrContext.serverTimings) {
+        return fn();
+    }
+    const start = Date.now();
+    try {
+        return await fn();
+    } finally {
+        ssrContext.serverTimings.push({
+            name,
+            description,
+            duration: Date.now() - start,
+        });
+    }
+}
+
+/**
+ * Serialize the store state into a meta tag appended to ssrContext.head, for the
+ * client to restore with useInitialStateClient.  vue-server-renderer injects
+ * ssrContext.head into the template automatically, otherwise templates should
+ * include {{{ head }}}
+ *
+ * @param   {object}   ssrContext    Server SSR context object
+ * @param   {object}   store         Vuex store instance
+ * @param   {object}   opts          Initial state options
+ * @param   {string}   opts.metaTag  Name of the meta tag
+ * @param   {string[]} opts.allow    Top-level state keys to include, or null for all
+ * @param   {string[]} opts.deny     Top-level state keys to strip
+ * @param   {number}   opts.warnSize Log a warning above this many bytes
+ * @param   {object}   opts.logger   Logger instance
+ * @returns {undefined}              No return value
+ */
+export function useInitialStateServer(ssrContext, store, opts) {
+    const {
+        metaTag,
+        allow,
+        deny,
+        warnSize,
+        logger = console,
+    } = {
+        ...initialStateDefaults,
+        ...opts,
+    };
+    const json = serializeState(store.state, { allow, deny });
+    const size = Buffer.byteLength(json);
+    if (warnSize && size > warnSize) {
+        logger.warn(`Initial state for ${ssrContext.url} is ${Math.round(size / 1024)}Kb`);
+    }
+    Object.assign(ssrContext, {
+        head: (ssrContext.head || '') + renderStateTag(json, metaTag),
+    });
+}
+
+/**
+ * Resolve the head definitions of the global head option and the route's matched
+ * components, setting ssrContext.title and appending their meta, link and
+ * JSON-LD tags to ssrContext.head
+ *
+ * @param   {object} ssrContext    Server SSR context object
+ * @param   {object} fetchDataArgs Context argument passed to fetchData
+ * @param   {object} globalHead    Global head definition
+ * @returns {Promise<undefined>}   No return value
+ */
+export async function useHeadServer(ssrContext, fetchDataArgs, globalHead) {
+    const definitions = [
+        globalHead,
+        ...getMatchedComponents(fetchDataArgs.route).map(c => c.head),
+    ];
+    if (!definitions.some(Boolean)) {
+        return;
+    }
+    const head = await resolveHead(definitions, fetchDataArgs);
+    Object.assign(ssrContext, {
+        ...(head.title != null ? { title: head.title } : {}),
+        head: (ssrContext.head || '') + renderHead(head),
+    });
+}
+
 /**
  * Wire up server-side fetchData/globalFetchData execution for current route components
  *
@@ -39,20 +123,55 @@ export function useRouteVuexModulesServer(router, store, logger) {
  * @param   {object} opts                 Additional options
  * @param   {object} opts.middleware      Function to execute before fetchData
  * @param   {object} opts.postMiddleware  Function to execute after fetchData
+ * @param   {object} opts.head            Global head definition, merged ahead of
+ *                                        the route components' head definitions
+ * @param   {object} opts.initialState    Serialize the store state into the page
+ *                                        once data has loaded, with the options
+ *                                        for useInitialStateServer (or true for
+ *                                        the defaults)
+ * @param   {object} opts.logger          Logger instance
  * @returns {undefined}         No return value
  */
 export async function useFetchDataServer(ssrContext, app, router, store, opts) {
     const route = router.currentRoute.value;
     const fetchDataArgs = getFetchDataArgs(ssrContext, app, router, store, route);
     const components = getMatchedComponents(route);
-    if (opts && opts.middleware) {
-        await opts.middleware(fetchDataArgs);
+    // Label for request metrics, falling back to the matched route pattern so we
+    // don't label by URL
+    const matched = route.matched[route.matched.length - 1];
+    Object.assign(ssrContext, {
+        routeName: route.name || (matched && matched.path) || null,
+    });
+    // Leave client-only routes to the client before doing any work, for the
+    // renderer to serve the page shell instead
+    if (isClientOnlyRoute(route)) {
+        throw Object.assign(new Error(`Skipping SSR of client-only route ${route.fullPath}`), {
+            code: 'ERR_CLIENT_ONLY',
+        });
     }
-    await Promise.all([
-        opts && opts.globalFetchData && opts.globalFetchData(fetchDataArgs),
-        ...components.map(c => c.fetchData && c.fetchData(fetchDataArgs)),
-    ]);
-    if (opts && opts.postMiddleware) {
-        await opts.postMiddleware(fetchDataArgs);
+    const time = (name, description, fn) => timePhase(ssrContext, name, description, fn);
+    try {
+        if (opts && opts.middleware) {
+            await time('middleware', null, () => opts.middleware(fetchDataArgs));
+        }
+        await Promise.all([
+            opts && opts.globalFetchData &&
+                time('globalFetchData', null, () => opts.globalFetchData(fetchDataArgs)),
+            ...components.map((c, i) => c.fetchData &&
+                time(`fetchData.${i}`, c.name, () => c.fetchData(fetchDataArgs))),
+        ]);
+        if (opts && opts.postMiddleware) {
+            await time('postMiddleware', null, () => opts.postMiddleware(fetchDataArgs));
+        }
+    } catch (e) {
+        // Redirects are sent by the renderer, relative to the page's URL
+        throw resolveRedirect(e, route.fullPath);
+    }
+    await useHeadServer(ssrContext, fetchDataArgs, opts && opts.head);
+    if (opts && opts.initialState) {
+        useInitialStateServer(ssrContext, store, {
+            logger: opts.logger,
+            ...opts.initialState,
+        });
     }
 }
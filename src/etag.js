@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+
+// Base ETag config - extended via the renderer etag option
+const defaults = {
+    // Function (req, context) => string|Promise<string> returning a cheap weak
+    // validator for the page, such as a content version.  Requests already
+    // holding it get a 304 without rendering.  Return null to render as usual
+    validator: null,
+};
+
+// Headers describing a body, which a 304 response doesn't have.  CSP headers are
+// dropped as well, so the client keeps the policy matching the nonces in the page
+// it has cached
+const BODY_HEADERS = [
+    'Content-Type',
+    'Content-Length',
+    'Transfer-Encoding',
+    'Content-Security-Policy',
+    'Content-Security-Policy-Report-Only',
+];
+
+/**
+ * Merge the etag renderer option with our defaults
+ *
+ * @param   {object|boolean} opts etag option
+ * @returns {object}              Full etag config
+ */
+function getEtagConfig(opts) {
+    return {
+        ...defaults,
+        ...opts,
+    };
+}
+
+/**
+ * Create a strong ETag for a rendered page
+ *
+ * @param   {string} html Page HTML
+ * @returns {string}      ETag header value
+ */
+function createEtag(html) {
+    const hash = crypto.createHash('sha1').update(html, 'utf8').digest('base64').slice(0, 27);
+    return `"${Buffer.byteLength(html).toString(16)}-${hash}"`;
+}
+
+/**
+ * Create a weak ETag from an app-supplied validator, such as a content version
+ *
+ * @param   {string} value Validator
+ * @returns {string}       ETag header value
+ */
+function createWeakEtag(value) {
+    return `W/"${String(value).replace(/["\\\s]/g, '')}"`;
+}
+
+/**
+ * Determine whether the client's cached copy matches the ETag, using the weak
+ * comparison If-None-Match calls for
+ *
+ * @param   {object} req  Node request
+ * @param   {string} etag ETag header value
+ * @returns {boolean}     Whether a 304 can be sent
+ */
+function isFresh(req, etag) {
+    const header = req.headers['if-none-match'];
+    if (!header || !['GET', 'HEAD'].includes(req.method)) {
+        return false;
+    }
+    if (header.trim() === '*') {
+        return true;
+    }
+    const opaque = tag => tag.trim().replace(/^W\//, '');
+    return header.split(',').some(tag => opaque(tag) === opaque(etag));
+}
+
+/**
+ * Send a 304 Not Modified response
+ *
+ * @param   {object} res Node response
+ * @returns {undefined}  No return value
+ */
+function sendNotModified(res) {
+    BODY_HEADERS.forEach(name => res.removeHeader(name));
+    res.statusCode = 304;
+    res.end();
+}
+
+module.exports = {
+    createEtag,
+    createWeakEtag,
+    getEtagConfig,
+    isFresh,
+    sendNotModified,
+};
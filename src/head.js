@@ -0,0 +1,112 @@
+import { stringifyJson } from './initial-state';
+
+// Marks the tags we render, so the client can replace them on navigation
+export const HEAD_ATTRIBUTE = 'data-vue-head';
+
+// Attributes identifying a meta tag, so a nested route's tag replaces the one
+// from its parent rather than duplicating it
+const META_KEYS = ['name', 'property', 'http-equiv', 'itemprop', 'charset'];
+
+const HTML_ENTITIES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+};
+const escapeHtml = value => String(value).replace(/[&<>"]/g, c => HTML_ENTITIES[c]);
+
+/**
+ * Return the key identifying a meta or link tag, or null if it can be repeated.
+ * Tags may specify their own via a key attribute, which isn't rendered
+ *
+ * @param   {string} type  Tag name
+ * @param   {object} attrs Tag attributes
+ * @returns {string|null}  Key
+ */
+function getTagKey(type, attrs) {
+    if (attrs.key != null) {
+        return String(attrs.key);
+    }
+    const name = type === 'meta' && META_KEYS.find(k => attrs[k] != null);
+    if (name) {
+        return `${name}:${attrs[name]}`;
+    }
+    return type === 'link' && attrs.rel === 'canonical' ? 'canonical' : null;
+}
+
+function mergeTags(type, tags, overrides = []) {
+    return overrides.reduce((acc, tag) => {
+        const key = getTagKey(type, tag);
+        return [...acc.filter(t => key == null || getTagKey(type, t) !== key), tag];
+    }, tags);
+}
+
+/**
+ * Return the attributes to output for a meta or link tag, in definition order
+ *
+ * @param   {object}     attrs Tag attributes
+ * @returns {string[][]}       [name, value] pairs
+ */
+export function getTagAttributes(attrs) {
+    return Object.keys(attrs)
+        .filter(k => k !== 'key' && attrs[k] != null && /^[\w:.-]+$/.test(k))
+        .map(k => [k, String(attrs[k])]);
+}
+
+/**
+ * Resolve and merge head definitions, from the global definition through to the
+ * most deeply nested route component.  Each is an object, or a function of
+ * fetchDataArgs returning one (or a promise), of the form:
+ *
+ * {
+ *     title: 'Page title',
+ *     meta: [{ name: 'description', content: '...' }],
+ *     link: [{ rel: 'canonical', href: '...' }],
+ *     jsonLd: [{ '@context': 'https://schema.org', '@type': 'Product' }],
+ * }
+ *
+ * Later titles replace earlier ones, as do meta tags with the same name,
+ * property, http-equiv, itemprop or charset, canonical links, and tags with the
+ * same key attribute.  Other tags and JSON-LD blocks accumulate
+ *
+ * @param   {Array}  definitions   Head definitions, with falsy entries ignored
+ * @param   {object} fetchDataArgs Context argument passed to fetchData
+ * @returns {Promise<object>}      Merged head
+ */
+export async function resolveHead(definitions, fetchDataArgs) {
+    const heads = await Promise.all(definitions
+        .filter(Boolean)
+        .map(d => (typeof d === 'function' ? d(fetchDataArgs) : d)));
+    return heads.filter(Boolean).reduce((acc, head) => ({
+        title: head.title != null ? String(head.title) : acc.title,
+        meta: mergeTags('meta', acc.meta, head.meta),
+        link: mergeTags('link', acc.link, head.link),
+        jsonLd: [...acc.jsonLd, ...[].concat(head.jsonLd || [])],
+    }), {
+        title: null,
+        meta: [],
+        link: [],
+        jsonLd: [],
+    });
+}
+
+/**
+ * Render the meta, link and JSON-LD tags of a resolved head.  The title is left
+ * to the template, via ssrContext.title
+ *
+ * @param   {object} head Head from resolveHead
+ * @returns {string}      HTML
+ */
+export function renderHead(head) {
+    const renderTag = (name, attrs) => {
+        const html = getTagAttributes(attrs).map(([k, v]) => ` ${k}="${escapeHtml(v)}"`).join('');
+        return `<${name} ${HEAD_ATTRIBUTE}${html}>`;
+    };
+    return [
+        ...head.meta.map(attrs => renderTag('meta', attrs)),
+        ...head.link.map(attrs => renderTag('link', attrs)),
+        ...head.jsonLd.map(data => (
+            `${renderTag('script', { type: 'application/ld+json' })}${stringifyJson(data)}</script>`
+        )),
+    ].join('');
+}
@@ -0,0 +1,8 @@
+// Added ahead of the webpack-hot-middleware client in HMR mode with the csp
+// renderer option, so webpack applies the page's nonce to the scripts it loads
+// for hot updates.  Browsers hide nonce attribute values, but not the property
+const script = document.currentScript || document.querySelector('script[nonce]');
+if (script && script.nonce) {
+    // eslint-disable-next-line camelcase, no-undef
+    __webpack_nonce__ = script.nonce;
+}
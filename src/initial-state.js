@@ -0,0 +1,60 @@
+// Base initial state config - extended via the initialState option
+export const initialStateDefaults = {
+    // Name of the meta tag the state is written to
+    metaTag: 'initial-state',
+    // Top-level state keys to include, or null for all
+    allow: null,
+    // Top-level state keys to strip, i.e. private or server-only modules
+    deny: null,
+    // Log a warning when the serialized state exceeds this many bytes
+    warnSize: 100 * 1024,
+};
+
+// Characters that could end the tag or be interpreted by the HTML or JS parser,
+// replaced with their JSON unicode escapes so the output is still valid JSON
+const UNSAFE_CHARS = /[<>&\u2028\u2029]/g;
+const escapeChar = c => `\\u${c.charCodeAt(0).toString(16).padStart(4, '0')}`;
+
+/**
+ * JSON encode a value for embedding in HTML, escaping anything that could break
+ * out of the enclosing tag or attribute, such as </script>, <!-- or U+2028
+ *
+ * @param   {*}      value Value to encode
+ * @returns {string}       Escaped JSON
+ */
+export function stringifyJson(value) {
+    return JSON.stringify(value).replace(UNSAFE_CHARS, escapeChar);
+}
+
+/**
+ * Serialize Vuex state for embedding in the page, stripping top-level keys per
+ * the allow and deny lists
+ *
+ * @param   {object}   state      Store state
+ * @param   {object}   opts       Serialization options
+ * @param   {string[]} opts.allow Top-level keys to include, or null for all
+ * @param   {string[]} opts.deny  Top-level keys to strip
+ * @returns {string}              Escaped JSON
+ */
+export function serializeState(state, { allow = null, deny = null } = {}) {
+    const filtered = Object.keys(state)
+        .filter(k => (!allow || allow.includes(k)) && (!deny || !deny.includes(k)))
+        .reduce((acc, k) => ({
+            ...acc,
+            [k]: state[k],
+        }), {});
+    return stringifyJson(filtered);
+}
+
+/**
+ * Render the meta tag holding serialized state
+ *
+ * @param   {string} json    Escaped JSON from serializeState
+ * @param   {string} metaTag Meta tag name
+ * @returns {string}         HTML
+ */
+export function renderStateTag(json, metaTag) {
+    // The JSON can no longer contain <, > or &, so only quotes need escaping
+    const name = metaTag.replace(/["<>&]/g, '');
+    return `<meta name="${name}" content="${json.replace(/"/g, '&quot;')}">`;
+}
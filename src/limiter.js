@@ -0,0 +1,108 @@
+// Base concurrency config - extended via the renderer concurrency option
+const defaults = {
+    // Max renders in progress at once
+    maxRenders: 20,
+    // Max requests waiting for a render slot, beyond which requests are shed
+    maxQueue: 100,
+    // Max time a request may wait for a render slot before it is shed, in ms
+    maxWait: 5000,
+    // Retry-After header sent with 503 responses to shed requests, in seconds
+    retryAfter: 10,
+    // Response to shed requests: 'unavailable' for a 503, or 'csr' for the
+    // client-side rendering fallback
+    shed: 'unavailable',
+};
+
+/**
+ * Create a limiter bounding the renders in progress, queueing requests beyond
+ * that and shedding them once the queue is full or they've waited too long
+ *
+ * @param   {object} opts Concurrency options, see defaults above
+ * @returns {object}      Limiter instance
+ */
+module.exports = function createLimiter(opts) {
+    const config = {
+        ...defaults,
+        ...opts,
+    };
+    const queue = [];
+    const shedCounts = { queue: 0, timeout: 0 };
+    let active = 0;
+
+    const start = (fn) => {
+        active++;
+        let released = false;
+        fn(() => {
+            if (released) {
+                return;
+            }
+            released = true;
+            active--;
+            const next = queue.shift();
+            if (next) {
+                clearTimeout(next.timer);
+                start(next.fn);
+            }
+        });
+    };
+
+    const shed = (onShed, reason) => {
+        shedCounts[reason]++;
+        onShed(reason);
+    };
+
+    return {
+        config,
+
+        /**
+         * Run a render now if a slot is free, otherwise once one frees up
+         *
+         * @param   {Function} fn     (release) => undefined, starting the render and
+         *                            calling release once it completes
+         * @param   {Function} onShed (reason) => undefined, called instead of fn if
+         *                            the request is shed, where reason is queue
+         *                            (the queue was full) or timeout
+         * @returns {Function}        Removes the request from the queue, returning
+         *                            whether it was still waiting
+         */
+        run(fn, onShed) {
+            if (active < config.maxRenders) {
+                start(fn);
+                return () => false;
+            }
+            if (queue.length >= config.maxQueue) {
+                shed(onShed, 'queue');
+                return () => false;
+            }
+            const entry = { fn };
+            const remove = () => {
+                const i = queue.indexOf(entry);
+                if (i < 0) {
+                    return false;
+                }
+                queue.splice(i, 1);
+                clearTimeout(entry.timer);
+                return true;
+            };
+            entry.timer = setTimeout(() => {
+                remove();
+                shed(onShed, 'timeout');
+            }, config.maxWait);
+            queue.push(entry);
+            return remove;
+        },
+
+        /**
+         * Return the current load and shed counts
+         *
+         * @returns {object} { active, queued, shed: { queue, timeout } }
+         */
+        getStats() {
+            return {
+                active,
+                queued: queue.length,
+                shed: { ...shedCounts },
+            };
+        },
+    };
+};
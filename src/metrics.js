@@ -0,0 +1,224 @@
+// Base metrics config - extended via the renderer metrics option
+const defaults = {
+    // Prefix for all metric names
+    prefix: 'vue_ssr_',
+    // Render duration histogram buckets, in seconds
+    buckets: [0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+};
+
+const escapeLabelValue = value => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n');
+
+function formatLabels(labels) {
+    const pairs = Object.keys(labels).map(k => `${k}="${escapeLabelValue(labels[k])}"`);
+    return `{${pairs.join(',')}}`;
+}
+
+const formatHeader = (name, help, type) => [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+
+// Label values of a series, in labelNames order, for use as a Map key
+function getSeriesKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map(k => labels[k]));
+}
+
+function getSeriesLabels(labelNames, key) {
+    const values = JSON.parse(key);
+    return labelNames.reduce((acc, k, i) => ({
+        ...acc,
+        [k]: values[i],
+    }), {});
+}
+
+function createCounter(name, help, labelNames) {
+    const series = new Map();
+    return {
+        inc(labels) {
+            const key = getSeriesKey(labelNames, labels);
+            series.set(key, (series.get(key) || 0) + 1);
+        },
+        collect() {
+            return [
+                ...formatHeader(name, help, 'counter'),
+                ...[...series].map(([key, value]) => (
+                    `${name}${formatLabels(getSeriesLabels(labelNames, key))} ${value}`
+                )),
+            ];
+        },
+    };
+}
+
+function createHistogram(name, help, labelNames, buckets) {
+    const series = new Map();
+    return {
+        observe(labels, value) {
+            const key = getSeriesKey(labelNames, labels);
+            if (!series.has(key)) {
+                series.set(key, {
+                    counts: buckets.map(() => 0),
+                    sum: 0,
+                    count: 0,
+                });
+            }
+            const entry = series.get(key);
+            buckets.forEach((le, i) => {
+                if (value <= le) {
+                    entry.counts[i]++;
+                }
+            });
+            entry.sum += value;
+            entry.count++;
+        },
+        collect() {
+            const lines = formatHeader(name, help, 'histogram');
+            series.forEach(({ counts, sum, count }, key) => {
+                const labels = getSeriesLabels(labelNames, key);
+                buckets.forEach((le, i) => {
+                    lines.push(`${name}_bucket${formatLabels({ ...labels, le })} ${counts[i]}`);
+                });
+                lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+                lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+                lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+            });
+            return lines;
+        },
+    };
+}
+
+// Gauges and counters read from component cache statistics at scrape time
+const cacheMetrics = [
+    ['component_cache_entries', 'gauge', 'Number of entries in the component cache', 'entries'],
+    ['component_cache_bytes', 'gauge', 'Length of the HTML in the component cache', 'bytes'],
+    ['component_cache_hit_ratio', 'gauge', 'Component cache hit ratio', 'hitRatio'],
+    ['component_cache_hits_total', 'counter', 'Component cache hits', 'hits'],
+    ['component_cache_misses_total', 'counter', 'Component cache misses', 'misses'],
+];
+
+// Gauges read from renderer concurrency limiters at scrape time
+const loadMetrics = [
+    ['renders_in_progress', 'Renders in progress', 'active'],
+    ['render_queue_depth', 'Requests waiting for a render slot', 'queued'],
+];
+
+/**
+ * Create the metrics registry shared by all renderers with metrics enabled
+ *
+ * @param   {object} opts Metrics options, see defaults above
+ * @returns {object}      Metrics instance
+ */
+module.exports = function createMetrics(opts) {
+    const config = {
+        ...defaults,
+        ...opts,
+    };
+    const { prefix } = config;
+    const renderDuration = createHistogram(
+        `${prefix}render_duration_seconds`,
+        'Time taken to respond to SSR requests',
+        ['renderer', 'route', 'mode'],
+        config.buckets,
+    );
+    const responses = createCounter(
+        `${prefix}responses_total`,
+        'SSR responses by status code',
+        ['renderer', 'status', 'mode'],
+    );
+    const errors = createCounter(
+        `${prefix}errors_total`,
+        'SSR render errors by type',
+        ['renderer', 'type'],
+    );
+    const shed = createCounter(
+        `${prefix}shed_total`,
+        'Requests shed by the concurrency limiter',
+        ['renderer', 'reason'],
+    );
+
+    return {
+        config,
+
+        /**
+         * Record a completed request
+         *
+         * @param   {object} labels          Request labels
+         * @param   {string} labels.renderer Renderer name
+         * @param   {string} labels.route    Route label
+         * @param   {string} labels.mode     stream, string or cache
+         * @param   {number} labels.status   Response status code
+         * @param   {number} duration        Request duration, in ms
+         * @returns {undefined}              No return value
+         */
+        observeRequest({
+            renderer,
+            route,
+            mode,
+            status,
+        }, duration) {
+            renderDuration.observe({ renderer, route, mode }, duration / 1000);
+            responses.inc({ renderer, status, mode });
+        },
+
+        /**
+         * Record a render error
+         *
+         * @param   {string} renderer Renderer name
+         * @param   {string} type     redirect, 404, 500, timeout or aborted
+         * @returns {undefined}       No return value
+         */
+        countError(renderer, type) {
+            errors.inc({ renderer, type });
+        },
+
+        /**
+         * Record a request shed by the concurrency limiter
+         *
+         * @param   {string} renderer Renderer name
+         * @param   {string} reason   queue or timeout
+         * @returns {undefined}       No return value
+         */
+        countShed(renderer, reason) {
+            shed.inc({ renderer, reason });
+        },
+
+        /**
+         * Serialize all metrics in the Prometheus text exposition format
+         *
+         * @param   {object} cacheStats Component cache statistics keyed by renderer name
+         * @param   {object} loadStats  Concurrency limiter statistics keyed by renderer name
+         * @returns {string}            Metrics text
+         */
+        serialize(cacheStats = {}, loadStats = {}) {
+            const cacheLines = cacheMetrics.flatMap(([name, type, help, stat]) => {
+                const metric = prefix + name;
+                return [
+                    ...formatHeader(metric, help, type),
+                    ...Object.keys(cacheStats)
+                        // Sizes are only known for the built-in cache
+                        .filter(renderer => cacheStats[renderer][stat] != null)
+                        .map(renderer => (
+                            `${metric}${formatLabels({ renderer })} ${cacheStats[renderer][stat]}`
+                        )),
+                ];
+            });
+            const loadLines = loadMetrics.flatMap(([name, help, stat]) => {
+                const metric = prefix + name;
+                return [
+                    ...formatHeader(metric, help, 'gauge'),
+                    ...Object.keys(loadStats).map(renderer => (
+                        `${metric}${formatLabels({ renderer })} ${loadStats[renderer][stat]}`
+                    )),
+                ];
+            });
+            return [
+                ...renderDuration.collect(),
+                ...responses.collect(),
+                ...errors.collect(),
+                ...shed.collect(),
+                ...cacheLines,
+                ...loadLines,
+                '',
+            ].join('\n');
+        },
+    };
+};
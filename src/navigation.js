@@ -0,0 +1,85 @@
+// Redirect and error helpers for fetchData and middleware, handled the same way
+// by useFetchDataServer/the renderer and useFetchDataClient
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Origin used to resolve relative locations, then stripped back off
+const LOCAL_ORIGIN = 'http://localhost';
+
+/**
+ * Redirect to another location, which may be relative to the current route.  On
+ * the server this sends a redirect response with the given status, and on the
+ * client it redirects the navigation (or loads external URLs in full)
+ *
+ * @param   {string} location Path or URL to redirect to
+ * @param   {number} status   301, 302, 303, 307 or 308
+ * @returns {undefined}       Never returns, throwing the redirect
+ */
+export function redirect(location, status = 302) {
+    if (!REDIRECT_STATUSES.includes(status)) {
+        throw new Error(`Invalid redirect status: ${status}`);
+    }
+    throw Object.assign(new Error(`Redirecting to ${location}`), {
+        url: location,
+        status,
+    });
+}
+
+/**
+ * Respond with a 404, rendering the renderer's 404 error page if configured
+ *
+ * @param   {string} message Error message
+ * @returns {undefined}      Never returns, throwing the error
+ */
+export function notFound(message = 'Not Found') {
+    throw Object.assign(new Error(message), { code: 404 });
+}
+
+/**
+ * Respond with a 410 for content that has been removed for good, rendering the
+ * renderer's 410 error page if configured
+ *
+ * @param   {string} message Error message
+ * @returns {undefined}      Never returns, throwing the error
+ */
+export function gone(message = 'Gone') {
+    throw Object.assign(new Error(message), { code: 410 });
+}
+
+/**
+ * Resolve a location against the current URL, returning a path for same-origin
+ * locations and the full URL otherwise
+ *
+ * @param   {string} location Path or URL
+ * @param   {string} current  Current path
+ * @returns {string}          Resolved location
+ */
+export function resolveLocation(location, current) {
+    const url = new URL(location, LOCAL_ORIGIN + current);
+    return url.origin === LOCAL_ORIGIN ? url.href.slice(LOCAL_ORIGIN.length) : url.href;
+}
+
+/**
+ * Resolve the location of a redirect thrown while loading the current URL,
+ * detecting redirects back to the same URL.  Plain { url } objects thrown by
+ * older code become errors, and anything without a url is returned unchanged
+ *
+ * @param   {*}      err     Thrown value
+ * @param   {string} current Current path
+ * @returns {*}              Redirect with a resolved url, or the original value
+ */
+export function resolveRedirect(err, current) {
+    if (!err || !err.url) {
+        return err;
+    }
+    const url = resolveLocation(err.url, current);
+    if (url === resolveLocation(current, current)) {
+        return Object.assign(new Error(`Redirect loop detected for ${current}`), {
+            code: 'ERR_REDIRECT_LOOP',
+        });
+    }
+    return Object.assign(err instanceof Error ? err : new Error(`Redirecting to ${url}`), {
+        ...err,
+        url,
+    });
+}
@@ -0,0 +1,176 @@
+const LRU = require('lru-cache');
+
+// Base page cache config - extended via the renderer pageCache option
+const defaults = {
+    // Default time-to-live for cached pages
+    maxAge: 60 * 1000,
+    // How long past its time-to-live an entry may still be served while it is
+    // re-rendered in the background
+    staleWhileRevalidate: 0,
+    // Max total length of cached HTML
+    maxSize: 50 * 1024 * 1024,
+    // Request attributes the cached HTML varies on, in addition to the URL
+    vary: [],
+    // Function (req) => boolean to skip the cache for a given request
+    bypass: null,
+    // Function (req) => number to override maxAge for a given request
+    ttl: null,
+};
+
+const VARY_TYPES = ['header', 'cookie'];
+
+// Minimal Cookie header parsing so we don't require cookie-parser to be
+// registered ahead of the renderer middleware.  Only the named cookie is decoded,
+// since other cookies (i.e. third party ones) may not be valid URI components
+function getCookie(header, name) {
+    const prefix = `${name}=`;
+    const pair = (header || '').split(';').map(p => p.trim()).find(p => p.startsWith(prefix));
+    if (!pair) {
+        return '';
+    }
+    const value = pair.slice(prefix.length).trim();
+    try {
+        return decodeURIComponent(value);
+    } catch (e) {
+        return value;
+    }
+}
+
+/**
+ * Resolve the value of a single vary attribute for the given request
+ *
+ * @param   {object}          req  Incoming request
+ * @param   {string|Function} attr 'header:<name>', 'cookie:<name>' or (req) => string
+ * @returns {string}               Value for this request, or an empty string
+ */
+function getVaryValue(req, attr) {
+    if (typeof attr === 'function') {
+        return attr(req) || '';
+    }
+    const [type, name] = attr.split(':');
+    if (type === 'header') {
+        return req.headers[name.toLowerCase()] || '';
+    }
+    return getCookie(req.headers.cookie, name);
+}
+
+/**
+ * Determine the HTTP Vary header value for the configured vary attributes.  Function
+ * attributes are opaque to us, so apps using those should set their own Vary header
+ *
+ * @param   {Array}  vary Configured vary attributes
+ * @returns {string}      Comma separated Vary header value
+ */
+function getVaryHeader(vary) {
+    const names = vary
+        .filter(attr => typeof attr === 'string')
+        .map(attr => attr.split(':'))
+        .map(([type, name]) => (type === 'header' ? name : 'Cookie'));
+    return [...new Set(names)].join(', ');
+}
+
+/**
+ * Create a full-page HTML cache for a renderer
+ *
+ * @param   {object} opts Page cache options, see defaults above
+ * @returns {object}      Page cache instance
+ */
+module.exports = function createPageCache(opts) {
+    const config = {
+        ...defaults,
+        ...opts,
+    };
+
+    config.vary.filter(attr => typeof attr === 'string').forEach((attr) => {
+        const [type, name] = attr.split(':');
+        if (!VARY_TYPES.includes(type) || !name) {
+            throw new Error(`Invalid page cache vary attribute: ${attr}`);
+        }
+    });
+
+    // Entries are kept around for the stale window beyond their own ttl
+    const lru = new LRU({
+        length: entry => entry.html.length,
+        max: config.maxSize,
+        maxAge: config.maxAge + config.staleWhileRevalidate,
+    });
+
+    // Promises for in-progress renders, keyed by cache key
+    const inflight = new Map();
+
+    return {
+        varyHeader: getVaryHeader(config.vary),
+
+        /**
+         * Return the cache key for a request, or null if the cache should be
+         * bypassed for this request
+         *
+         * @param   {object}      req Incoming request
+         * @returns {string|null}     Cache key
+         */
+        getKey(req) {
+            if (!['GET', 'HEAD'].includes(req.method)) {
+                return null;
+            }
+            if (config.bypass && config.bypass(req)) {
+                return null;
+            }
+            return JSON.stringify([req.url, ...config.vary.map(v => getVaryValue(req, v))]);
+        },
+
+        get(key) {
+            return lru.get(key);
+        },
+
+        /**
+         * Store a rendered page
+         *
+         * @param   {string} key      Cache key
+         * @param   {string} html     Page HTML
+         * @param   {object} req      Incoming request, for the ttl option
+         * @param   {object} response SSR response state to replay on hits
+         * @returns {undefined}       No return value
+         */
+        set(key, html, req, response = null) {
+            const maxAge = config.ttl ? config.ttl(req) : config.maxAge;
+            const created = Date.now();
+            lru.set(key, {
+                html,
+                response,
+                created,
+                expires: created + maxAge,
+            }, maxAge + config.staleWhileRevalidate);
+        },
+
+        isStale(entry) {
+            return Date.now() > entry.expires;
+        },
+
+        /**
+         * Register an in-progress render for the given key, so concurrent requests
+         * can share it via pending().  The key is released once the promise settles
+         *
+         * @param   {string}  key     Cache key
+         * @param   {Promise} promise Promise resolving to { html, status, response }
+         * @returns {Promise}         The same promise
+         */
+        track(key, promise) {
+            inflight.set(key, promise);
+            const release = () => {
+                if (inflight.get(key) === promise) {
+                    inflight.delete(key);
+                }
+            };
+            promise.then(release, release);
+            return promise;
+        },
+
+        pending(key) {
+            return inflight.get(key);
+        },
+
+        reset() {
+            lru.reset();
+        },
+    };
+};
@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+
+// See prerender-command.js for usage
+const { run } = require('./prerender-command');
+
+run(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+});
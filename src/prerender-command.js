@@ -0,0 +1,109 @@
+// Argument handling for the vue-ssr-prerender command:
+//
+//   vue-ssr-prerender --config prerender.config.js [--out dir]
+//                     [--concurrency n] [--crawl] [--origin url] [url...]
+
+const path = require('path');
+
+const prerender = require('./prerender');
+
+const VALUE_FLAGS = ['--config', '--out', '--concurrency', '--origin'];
+
+/**
+ * Parse the command's arguments
+ *
+ * @param   {string[]} argv Arguments, without the node and script paths
+ * @returns {object}        Flag values keyed by name without the dashes, and
+ *                          the URLs given
+ */
+function parseArgs(argv) {
+    const args = { urls: [] };
+    for (let i = 0; i < argv.length; i += 1) {
+        const arg = argv[i];
+        if (VALUE_FLAGS.includes(arg)) {
+            if (i + 1 >= argv.length) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            args[arg.slice(2)] = argv[i + 1];
+            i += 1;
+        } else if (arg === '--crawl') {
+            args.crawl = true;
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option: ${arg}`);
+        } else {
+            args.urls.push(arg);
+        }
+    }
+    return args;
+}
+
+/**
+ * Load the config file and apply the arguments overriding it
+ *
+ * @param   {object} args Arguments from parseArgs
+ * @param   {string} cwd  Directory the command is run from
+ * @returns {object}      Prerender options
+ */
+function getOptions(args, cwd = process.cwd()) {
+    if (!args.config) {
+        throw new Error('Missing --config');
+    }
+    // Paths in the config file are relative to the directory it's run from
+    const resolve = file => file && path.resolve(cwd, file);
+    // eslint-disable-next-line global-require, import/no-dynamic-require
+    const config = require(resolve(args.config));
+    const opts = {
+        ...config,
+        templatePath: resolve(config.templatePath),
+        clientManifest: resolve(config.clientManifest),
+        serverBundle: resolve(config.serverBundle),
+        outputDir: resolve(args.out || config.outputDir),
+    };
+    if (args.concurrency) {
+        opts.concurrency = parseInt(args.concurrency, 10);
+        if (!(opts.concurrency > 0)) {
+            throw new Error(`Invalid --concurrency: ${args.concurrency}`);
+        }
+    }
+    if (args.crawl) {
+        opts.crawl = true;
+    }
+    if (args.origin) {
+        opts.origin = args.origin;
+    }
+    if (args.urls.length > 0) {
+        opts.urls = args.urls;
+    }
+    return opts;
+}
+
+/**
+ * Run the command, reporting the pages written and any failures
+ *
+ * @param   {string[]} argv   Arguments, without the node and script paths
+ * @param   {object}   logger Logger instance
+ * @returns {Promise<number>} Exit code, 1 if the run or any page failed
+ */
+async function run(argv, logger = console) {
+    try {
+        const opts = getOptions(parseArgs(argv));
+        const manifest = await prerender(opts);
+        const count = Object.keys(manifest.pages).length;
+        logger.log(`Prerendered ${count} pages to ${opts.outputDir}`);
+        if (manifest.failures.length > 0) {
+            logger.error(`${manifest.failures.length} pages failed:`);
+            manifest.failures.forEach(f => logger.error(`  ${f.url}: ${f.message}`));
+            return 1;
+        }
+        return 0;
+    } catch (err) {
+        logger.error(err);
+        return 1;
+    }
+}
+
+module.exports = {
+    getOptions,
+    parseArgs,
+    run,
+};
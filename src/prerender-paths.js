@@ -0,0 +1,75 @@
+const path = require('path');
+
+// Origin used to resolve relative links, then stripped back off
+const LOCAL_ORIGIN = 'http://localhost';
+
+// Links to files other than pages, which we don't render
+const FILE_EXTENSION = /\.(?!html?$)[a-z0-9]+$/i;
+
+/**
+ * Normalize a URL to prerender into a path, without query or hash.  Returns null
+ * for URLs on other origins, or that aren't pages
+ *
+ * @param   {string} url     URL or path, relative to base
+ * @param   {string} base    Path of the page the URL was found on
+ * @param   {string} origin  Origin of the site, whose absolute URLs count as ours
+ * @returns {string|null}    Path, or null if it shouldn't be rendered
+ */
+function normalizeUrl(url, base = '/', origin = null) {
+    let parsed;
+    try {
+        parsed = new URL(url, LOCAL_ORIGIN + base);
+    } catch (e) {
+        return null;
+    }
+    if (parsed.origin !== LOCAL_ORIGIN && parsed.origin !== origin) {
+        return null;
+    }
+    return FILE_EXTENSION.test(parsed.pathname) ? null : parsed.pathname;
+}
+
+/**
+ * Return the paths of the pages linked to from rendered HTML
+ *
+ * @param   {string}   html   Page HTML
+ * @param   {string}   base   Path of the page
+ * @param   {string}   origin Origin of the site, whose absolute URLs count as ours
+ * @returns {string[]}        Unique paths
+ */
+function extractLinks(html, base, origin = null) {
+    const links = [];
+    const anchors = /<a\s[^>]*?href\s*=\s*(?:"([^"]*)"|'([^']*)')/gi;
+    let match = anchors.exec(html);
+    while (match) {
+        const href = (match[1] || match[2] || '').replace(/&amp;/g, '&').trim();
+        const skip = /^(mailto|tel|javascript):/i.test(href);
+        const url = skip ? null : normalizeUrl(href, base, origin);
+        if (url && !links.includes(url)) {
+            links.push(url);
+        }
+        match = anchors.exec(html);
+    }
+    return links;
+}
+
+/**
+ * Return the file a page is written to, relative to the output directory, such
+ * as about/index.html for /about
+ *
+ * @param   {string} url Normalized path
+ * @returns {string}     Relative file path
+ */
+function getOutputFile(url) {
+    const segments = decodeURIComponent(url).split('/').filter(Boolean);
+    if (segments.some(s => s === '..' || s.includes(path.sep))) {
+        throw new Error(`Invalid prerender path: ${url}`);
+    }
+    const file = path.join(...['.', ...segments]);
+    return /\.html?$/i.test(url) ? file : path.join(file, 'index.html');
+}
+
+module.exports = {
+    extractLinks,
+    getOutputFile,
+    normalizeUrl,
+};
@@ -0,0 +1,220 @@
+/* eslint-disable import/no-unresolved */
+
+const fs = require('fs');
+const path = require('path');
+const { createBundleRenderer } = require('vue-server-renderer');
+
+const { createShellRenderer } = require('./csr-shell');
+const { extractLinks, getOutputFile, normalizeUrl } = require('./prerender-paths');
+const { createSsrResponse } = require('./ssr-response');
+
+// Base prerender config - extended via the prerender options
+const defaults = {
+    // Paths to render
+    urls: ['/'],
+    // Also render pages linked to from rendered pages
+    crawl: false,
+    // Origin of the site, so absolute links to it are crawled too, i.e.
+    // 'https://www.example.com'
+    origin: null,
+    // Function (url) => boolean deciding whether to render a crawled path
+    filter: null,
+    // Max pages to render when crawling
+    maxPages: 1000,
+    // Pages to render at once
+    concurrency: 4,
+    // Directory to write the pages and manifest to
+    outputDir: null,
+    // Manifest file name, relative to outputDir
+    manifestFile: 'prerender-manifest.json',
+    // Function (url) => object|Promise<object> returning additional SSR context
+    // fields for a page
+    createContext: null,
+    title: 'Vue SSR Application',
+    logger: console,
+    rendererOpts: null,
+    // The remaining must be specified as absolute paths
+    templatePath: null,
+    clientManifest: null,
+    serverBundle: null,
+};
+
+function createContext(config, clientManifest, url) {
+    const context = {
+        title: config.title,
+        request: null,
+        response: null,
+        url,
+        rendererName: 'prerender',
+        clientManifest,
+        initialState: null,
+        httpResponse: createSsrResponse(),
+        nonce: null,
+        serverTimings: null,
+        // Lets the app skip request-specific behavior
+        prerender: true,
+    };
+    if (!config.createContext) {
+        return Promise.resolve(context);
+    }
+    return Promise.resolve(config.createContext(url)).then(appContext => ({
+        ...context,
+        ...appContext,
+    }));
+}
+
+// Render a single page, resolving with its manifest entry and HTML (if any)
+async function renderPage(config, build, url) {
+    let context;
+    try {
+        context = await createContext(config, build.clientManifest, url);
+        const html = await build.bundleRenderer.renderToString(context);
+        const { status, headers } = context.httpResponse;
+        return {
+            entry: {
+                status: status || 200,
+                ...(Object.keys(headers).length > 0 ? { headers } : {}),
+            },
+            html,
+        };
+    } catch (err) {
+        if (err.url) {
+            return { entry: { status: err.status || 302, location: err.url } };
+        }
+        if (err.code === 404 || err.code === 410) {
+            return { entry: { status: err.code } };
+        }
+        if (err.code === 'ERR_CLIENT_ONLY') {
+            return {
+                entry: { status: 200, clientOnly: true },
+                html: build.shell(context, 'client-only'),
+            };
+        }
+        return { entry: { status: 500 }, error: err };
+    }
+}
+
+async function writePage(config, url, html) {
+    const file = getOutputFile(url);
+    const dest = path.join(config.outputDir, file);
+    await fs.promises.mkdir(path.dirname(dest), { recursive: true });
+    await fs.promises.writeFile(dest, html);
+    return file;
+}
+
+/**
+ * Prerender pages to static HTML files with the production server bundle, client
+ * manifest and template.  Renders the configured URLs, and any pages they link
+ * to when crawling, writing each to outputDir as <path>/index.html along with a
+ * manifest of the status, headers and redirect location of every page and the
+ * errors of any that failed
+ *
+ * @param   {object} opts Prerender options, see defaults
+ * @returns {Promise<object>}  Manifest, as { pages, failures }
+ */
+async function prerender(opts) {
+    const config = {
+        ...defaults,
+        ...opts,
+    };
+    if (!config.outputDir) {
+        throw new Error('Prerendering requires an outputDir');
+    }
+    const readJSON = file => JSON.parse(fs.readFileSync(path.resolve(file), 'utf-8'));
+    const template = fs.readFileSync(config.templatePath, 'utf-8');
+    const clientManifest = readJSON(config.clientManifest);
+    const build = {
+        clientManifest,
+        bundleRenderer: createBundleRenderer(readJSON(config.serverBundle), {
+            template,
+            clientManifest,
+            runInNewContext: false,
+            ...config.rendererOpts,
+        }),
+        shell: createShellRenderer({
+            template,
+            clientManifest,
+            inject: !config.rendererOpts || config.rendererOpts.inject !== false,
+        }),
+    };
+
+    const manifest = { pages: {}, failures: [] };
+    const queue = [];
+    const seen = new Set();
+    config.urls.forEach((url) => {
+        const page = normalizeUrl(url, '/', config.origin);
+        if (!page) {
+            config.logger.warn(`Skipping ${url}, which isn't a page on this site`);
+        } else if (!seen.has(page)) {
+            seen.add(page);
+            queue.push(page);
+        }
+    });
+    const enqueue = (url) => {
+        if (!url || seen.has(url) || seen.size >= config.maxPages) {
+            return;
+        }
+        if (!config.filter || config.filter(url)) {
+            seen.add(url);
+            queue.push(url);
+        }
+    };
+
+    const fail = (url, message, err) => {
+        config.logger.error(`${message} ${url}`, err);
+        manifest.failures.push({ url, message: err.message, stack: err.stack });
+    };
+
+    const renderNext = async () => {
+        const url = queue.shift();
+        const { entry, html, error } = await renderPage(config, build, url);
+        manifest.pages[url] = entry;
+        if (error) {
+            fail(url, 'Error prerendering', error);
+        } else if (entry.location) {
+            config.logger.log(`Prerendered ${url} -> ${entry.location} (${entry.status})`);
+        } else {
+            config.logger.log(`Prerendered ${url} (${entry.status})`);
+        }
+        if (html != null) {
+            // A bad path (i.e. a malformed crawled link) only fails its own page
+            try {
+                entry.file = await writePage(config, url, html);
+            } catch (err) {
+                fail(url, 'Error writing prerendered page', err);
+            }
+        }
+        if (config.crawl && html != null) {
+            extractLinks(html, url, config.origin).forEach(enqueue);
+        } else if (config.crawl && entry.location) {
+            enqueue(normalizeUrl(entry.location, url, config.origin));
+        }
+    };
+
+    // Keep up to concurrency pages rendering, as crawling adds to the queue
+    await new Promise((resolve, reject) => {
+        let active = 0;
+        const fill = () => {
+            const slots = Math.min(config.concurrency - active, queue.length);
+            active += slots;
+            Array.from({ length: slots }).forEach(() => renderNext().then(() => {
+                active -= 1;
+                fill();
+            }, reject));
+            if (active === 0) {
+                resolve();
+            }
+        };
+        fill();
+    });
+
+    // Nothing may have been written yet, i.e. if every page redirected
+    await fs.promises.mkdir(config.outputDir, { recursive: true });
+    await fs.promises.writeFile(
+        path.join(config.outputDir, config.manifestFile),
+        JSON.stringify(manifest, null, 2),
+    );
+    return manifest;
+}
+
+module.exports = prerender;
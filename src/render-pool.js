@@ -0,0 +1,310 @@
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { Worker } = require('worker_threads');
+
+const {
+    deserializeContext,
+    deserializeError,
+    getRequestSnapshot,
+    serializeContext,
+} = require('./worker-context');
+
+// Base worker pool config - extended via the renderer workers option
+const defaults = {
+    // Number of worker threads, defaulting to one per core, less one for the main thread
+    size: Math.max(os.cpus().length - 1, 1),
+    // Replace a worker after it has rendered this many requests
+    maxRenders: 1000,
+    // Replace a worker once its heap grows beyond this many bytes
+    maxMemory: 512 * 1024 * 1024,
+    // resourceLimits passed to each Worker, i.e. { maxOldGenerationSizeMb: 1024 }
+    resourceLimits: null,
+};
+
+const WORKER_PATH = path.join(__dirname, 'render-worker.js');
+
+// Renderer options that can't be sent to a worker thread
+function getWorkerRendererOpts(rendererOpts, logger) {
+    return Object.keys(rendererOpts || {}).reduce((acc, k) => {
+        if (typeof rendererOpts[k] === 'function') {
+            logger.warn(`Ignoring rendererOpts.${k} for worker renders, functions can't be sent`);
+            return acc;
+        }
+        return {
+            ...acc,
+            [k]: rendererOpts[k],
+        };
+    }, {});
+}
+
+/**
+ * Create a pool of worker threads rendering a server bundle.  The pool
+ * implements the renderToString and renderToStream methods of a
+ * vue-server-renderer bundle renderer, so it can be used in place of one
+ *
+ * @param   {object} opts                  Pool options, see defaults above
+ * @param   {object} build                 What to render
+ * @param   {object} build.bundle          Server bundle
+ * @param   {string} build.template        Renderer template
+ * @param   {object} build.clientManifest  Client manifest
+ * @param   {object} build.config          Renderer config
+ * @returns {object}                       Render pool
+ */
+module.exports = function createRenderPool(opts, {
+    bundle,
+    template,
+    clientManifest,
+    config,
+}) {
+    const poolConfig = {
+        ...defaults,
+        ...opts,
+    };
+    const { logger } = config;
+    if (config.componentCache) {
+        logger.warn('Custom componentCache backends are not used for worker renders');
+    }
+    const workerData = {
+        bundle,
+        template,
+        clientManifest,
+        rendererOpts: getWorkerRendererOpts(config.rendererOpts, logger),
+        cacheConfig: {
+            componentCacheDebug: config.componentCacheDebug,
+            componentCacheMaxAge: config.componentCacheMaxAge,
+            componentCacheMaxSize: config.componentCacheMaxSize,
+        },
+    };
+
+    // Each entry is { worker, renders, pending, retire, finish }, where pending
+    // holds the in-progress renders keyed by id
+    const workers = new Set();
+    // Workers that have loaded the bundle, and workers being replaced
+    const started = new WeakSet();
+    const retiring = new WeakSet();
+    let nextId = 0;
+    let closed = false;
+    // Requests that may still render with the pool, see retain()
+    let users = 0;
+
+    const terminate = (entry) => {
+        workers.delete(entry);
+        entry.worker.terminate();
+    };
+
+    // Whether a retiring worker can be terminated.  Once the pool is closed, its
+    // workers stay up until the requests retaining it have finished
+    const isIdle = entry => entry.pending.size === 0 && !(closed && users > 0);
+
+    const onMessage = (entry, message) => {
+        if (message.type === 'ready') {
+            started.add(entry);
+            return;
+        }
+        if (message.type === 'log') {
+            logger[message.level](...message.args);
+            return;
+        }
+        const render = entry.pending.get(message.id);
+        if (!render) {
+            return;
+        }
+        if (message.type === 'context') {
+            Object.assign(render.context, deserializeContext(message.context));
+        } else if (message.type === 'chunk') {
+            if (!render.stream.push(message.chunk)) {
+                render.paused = true;
+                entry.worker.postMessage({ type: 'pause', id: message.id });
+            }
+        } else if (message.type === 'end') {
+            const { preloadFiles } = message;
+            render.context.getPreloadFiles = () => preloadFiles;
+            entry.finish(message.id, message.heapUsed);
+            render.stream.push(null);
+        } else if (message.type === 'error') {
+            entry.finish(message.id, message.heapUsed);
+            render.stream.destroy(deserializeError(message.error));
+        }
+    };
+
+    // Fail the in-progress renders of a worker that exited, returning whether to
+    // replace it.  Workers that never started (i.e. the bundle fails to load)
+    // aren't replaced, which would loop forever
+    const onExit = (entry, err) => {
+        const wasActive = workers.delete(entry);
+        const error = err || new Error(`Render worker exited for "${config.name}" renderer`);
+        const renders = [...entry.pending.values()];
+        entry.pending.clear();
+        renders.forEach(render => render.stream.destroy(error));
+        if (!wasActive || closed) {
+            return false;
+        }
+        if (!started.has(entry)) {
+            logger.error(`Render worker for "${config.name}" renderer failed to start`, error);
+            return false;
+        }
+        logger.error(`Render worker for "${config.name}" renderer exited`, error);
+        return !retiring.has(entry);
+    };
+
+    const spawn = () => {
+        const entry = {
+            worker: new Worker(WORKER_PATH, {
+                workerData,
+                resourceLimits: poolConfig.resourceLimits || undefined,
+            }),
+            renders: 0,
+            pending: new Map(),
+        };
+
+        // Stop sending renders to the worker, and terminate it once its renders
+        // finish
+        entry.retire = (reason) => {
+            if (retiring.has(entry)) {
+                return;
+            }
+            logger.log(`Replacing "${config.name}" render worker (${reason})`);
+            retiring.add(entry);
+            spawn();
+            if (isIdle(entry)) {
+                terminate(entry);
+            }
+        };
+
+        entry.finish = (id, heapUsed) => {
+            entry.pending.delete(id);
+            if (heapUsed > poolConfig.maxMemory) {
+                entry.retire(`heap of ${Math.round(heapUsed / 1024 / 1024)}Mb`);
+            } else if (retiring.has(entry) && isIdle(entry)) {
+                terminate(entry);
+            }
+        };
+
+        let exitError = null;
+        entry.worker.on('message', message => onMessage(entry, message));
+        entry.worker.on('error', (err) => {
+            exitError = err;
+        });
+        entry.worker.on('exit', () => {
+            if (onExit(entry, exitError)) {
+                spawn();
+            }
+        });
+        workers.add(entry);
+    };
+
+    for (let i = 0; i < poolConfig.size; i++) {
+        spawn();
+    }
+
+    // The worker with the fewest renders in progress.  After close, only the
+    // requests retaining the pool render, on whichever workers remain
+    const pickWorker = () => [...workers]
+        .filter(entry => closed || !retiring.has(entry))
+        .reduce((best, entry) => (
+            !best || entry.pending.size < best.pending.size ? entry : best
+        ), null);
+
+    const renderToStream = (context) => {
+        const id = nextId++;
+        const entry = pickWorker();
+        const render = { context, paused: false };
+        render.stream = new Readable({
+            read() {
+                if (render.paused) {
+                    render.paused = false;
+                    entry.worker.postMessage({ type: 'resume', id });
+                }
+            },
+            destroy(err, cb) {
+                if (entry && entry.pending.delete(id)) {
+                    entry.worker.postMessage({ type: 'abort', id });
+                    entry.finish(id, 0);
+                }
+                cb(err);
+            },
+        });
+        if (!entry) {
+            const reason = closed ? 'has been closed' : 'has no running workers';
+            process.nextTick(() => render.stream.destroy(
+                new Error(`The "${config.name}" render pool ${reason}`),
+            ));
+            return render.stream;
+        }
+        try {
+            entry.worker.postMessage({
+                type: 'render',
+                id,
+                context: {
+                    ...serializeContext(context),
+                    // Workers see a snapshot of the request, and no response
+                    request: getRequestSnapshot(context.request),
+                    response: null,
+                },
+            });
+        } catch (err) {
+            // The context holds something that can't be cloned
+            process.nextTick(() => render.stream.destroy(err));
+            return render.stream;
+        }
+        entry.pending.set(id, render);
+        entry.renders++;
+        if (entry.renders >= poolConfig.maxRenders) {
+            entry.retire(`${entry.renders} renders`);
+        }
+        return render.stream;
+    };
+
+    return {
+        config: poolConfig,
+
+        renderToStream,
+
+        renderToString(context, cb) {
+            const chunks = [];
+            renderToStream(context)
+                .on('data', chunk => chunks.push(chunk.toString()))
+                .on('end', () => cb(null, chunks.join('')))
+                .on('error', err => cb(err));
+        },
+
+        /**
+         * Keep the workers running after close() until the returned function is
+         * called, for requests that started before a reload swapped in a new pool
+         *
+         * @returns {Function} Releases the pool
+         */
+        retain() {
+            users++;
+            let released = false;
+            return () => {
+                if (released) {
+                    return;
+                }
+                released = true;
+                users--;
+                if (closed) {
+                    [...workers].filter(isIdle).forEach(terminate);
+                }
+            };
+        },
+
+        /**
+         * Terminate all workers once their in-progress renders finish and no
+         * requests retain the pool
+         *
+         * @returns {Promise} Resolves once all workers have exited
+         */
+        close() {
+            closed = true;
+            return Promise.all([...workers].map(entry => new Promise((resolve) => {
+                entry.worker.once('exit', resolve);
+                retiring.add(entry);
+                if (isIdle(entry)) {
+                    terminate(entry);
+                }
+            })));
+        },
+    };
+};
@@ -0,0 +1,115 @@
+// Renders SSR bundles on a worker thread for the render pool (see render-pool.js).
+// Each worker holds its own bundle renderer and component cache
+const v8 = require('v8');
+const { parentPort, workerData } = require('worker_threads');
+const { createBundleRenderer } = require('vue-server-renderer');
+
+const { createComponentCache } = require('./component-cache');
+const { createSsrResponse } = require('./ssr-response');
+const { deserializeContext, serializeContext, serializeError } = require('./worker-context');
+
+const {
+    bundle,
+    template,
+    clientManifest,
+    rendererOpts,
+    cacheConfig,
+} = workerData;
+
+// Forward log messages to the renderer's logger on the main thread
+const logger = ['log', 'debug', 'info', 'warn', 'error'].reduce((acc, level) => ({
+    ...acc,
+    [level]: (...args) => parentPort.postMessage({
+        type: 'log',
+        level,
+        args: args.map(arg => (arg instanceof Error ? arg.stack : String(arg))),
+    }),
+}), {});
+
+const bundleRenderer = createBundleRenderer(bundle, {
+    template,
+    clientManifest,
+    ...rendererOpts,
+    cache: createComponentCache({
+        ...cacheConfig,
+        logger,
+        componentCache: null,
+    }),
+    runInNewContext: false,
+});
+
+// In-progress render streams keyed by render id
+const streams = new Map();
+
+const getHeapUsed = () => v8.getHeapStatistics().used_heap_size;
+
+// Post the context fields set by the app, so the main thread has them for
+// headers, metrics and resource hints
+function postContext(id, context) {
+    try {
+        parentPort.postMessage({ type: 'context', id, context: serializeContext(context) });
+    } catch (e) {
+        // The app stored something that can't be cloned, so send what we rely on
+        logger.warn('Unable to send the SSR context to the main thread', e);
+        const { routeName, serverTimings, csrFallback } = context;
+        parentPort.postMessage({
+            type: 'context',
+            id,
+            context: { routeName, serverTimings, csrFallback },
+        });
+    }
+}
+
+function render(id, data) {
+    const context = deserializeContext(data);
+    if (context.httpResponse) {
+        // Only the response state survives being posted here
+        context.httpResponse = createSsrResponse(context.httpResponse);
+    }
+    const stream = bundleRenderer.renderToStream(context);
+    streams.set(id, stream);
+    let started = false;
+    stream.on('data', (chunk) => {
+        if (!started) {
+            started = true;
+            postContext(id, context);
+        }
+        parentPort.postMessage({ type: 'chunk', id, chunk: chunk.toString() });
+    });
+    stream.on('end', () => {
+        streams.delete(id);
+        // Post the final context too, with anything set while streaming
+        postContext(id, context);
+        parentPort.postMessage({
+            type: 'end',
+            id,
+            preloadFiles: context.getPreloadFiles ? context.getPreloadFiles() : [],
+            heapUsed: getHeapUsed(),
+        });
+    });
+    stream.on('error', (err) => {
+        streams.delete(id);
+        parentPort.postMessage({
+            type: 'error',
+            id,
+            error: serializeError(err),
+            heapUsed: getHeapUsed(),
+        });
+    });
+}
+
+parentPort.on('message', ({ type, id, context }) => {
+    const stream = streams.get(id);
+    if (type === 'render') {
+        render(id, context);
+    } else if (stream && type === 'pause') {
+        stream.pause();
+    } else if (stream && type === 'resume') {
+        stream.resume();
+    } else if (stream && type === 'abort') {
+        streams.delete(id);
+        stream.destroy();
+    }
+});
+
+parentPort.postMessage({ type: 'ready' });
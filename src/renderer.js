@@ -1,27 +1,63 @@
 /* eslint-disable no-console, global-require, import/no-unresolved, import/no-dynamic-require */
 
+const { EventEmitter } = require('events');
 const fs = require('fs');
 const path = require('path');
-const LRU = require('lru-cache');
 const { createBundleRenderer } = require('vue-server-renderer');
 
+const {
+    getAdapter,
+    redirect,
+    runMiddleware,
+    send,
+} = require('./adapters');
+const { createComponentCache } = require('./component-cache');
+const {
+    createNonce,
+    createNonceInjector,
+    getCspConfig,
+    setCspHeader,
+} = require('./csp');
+const {
+    createEtag,
+    createWeakEtag,
+    getEtagConfig,
+    isFresh,
+    sendNotModified,
+} = require('./etag');
+const { createShellRenderer, getCsrFallbackConfig } = require('./csr-shell');
+const { bucket, createDispatcher } = require('./dispatcher');
+const createLimiter = require('./limiter');
+const createMetrics = require('./metrics');
+const createPageCache = require('./page-cache');
+const createRenderPool = require('./render-pool');
+const createResourceHints = require('./resource-hints');
+const { applySsrResponse, createSsrResponse, isShareable } = require('./ssr-response');
+
 const errorHandler = (err, res, cb) => {
     if (err.url) {
-        res.redirect(err.url);
+        redirect(res, err.url, err.status);
     } else if (err.code === 404) {
-        res.status(err.code).send('404 | Page Not Found');
+        send(res, err.code, '404 | Page Not Found');
+    } else if (err.code === 410) {
+        send(res, err.code, '410 | Gone');
     } else {
         // Render Error Page or Redirect
-        res.status(500).send('500 | Internal Server Error');
+        send(res, 500, '500 | Internal Server Error');
         console.error(err);
         console.error(err.stack);
     }
     cb();
 };
 
+// Error codes for pages that don't exist, which are sent with that status rather
+// than as a 500
+const CLIENT_ERRORS = [404, 410];
+
 // Base config - extended via client argument to initVueRenderer
 const defaults = {
     name: 'default',
+    adapter: 'express',
     errorHandler,
     isLocal: process.env.NODE_ENV === 'local',
     isDev: process.env.NODE_ENV === 'development',
@@ -29,9 +65,25 @@ const defaults = {
     logger: console,
     hmr: false,
     stream: true,
+    componentCache: null,
     componentCacheDebug: false,
     componentCacheMaxAge: 15 * 60 * 1000,
     componentCacheMaxSize: 1024 * 1024,
+    pageCache: null,
+    renderTimeout: null,
+    csrFallback: null,
+    errorPages: null,
+    errorPageFallback: null,
+    resourceHints: null,
+    createContext: null,
+    title: 'Vue SSR Application',
+    serverTiming: true,
+    metrics: null,
+    reload: null,
+    workers: null,
+    concurrency: null,
+    csp: null,
+    etag: null,
     rendererOpts: null,
     templatePath: null,
     clientConfig: null,
@@ -40,167 +92,1280 @@ const defaults = {
     serverBundle: null,
 };
 
-const configs = {};
-const caches = {};
-const renderers = {};
+// Base production reload config - extended via the renderer reload option
+const reloadDefaults = {
+    // Watch the template, server bundle and client manifest for changes
+    watch: false,
+    // Time to wait for a build to finish writing files before reloading, in ms
+    debounce: 1000,
+    // URL rendered with a new bundle before it is swapped in, or null to skip
+    smokeUrl: '/',
+    // Max time for the smoke test render, in ms
+    timeout: 10000,
+};
 
-let readyPromise;
+// Create the bundle renderer (or worker render pool) for a renderer config, along
+// with everything derived from the bundle, template or client manifest
+function buildRenderer(config, bundle, options) {
+    // Workers hold their own component caches
+    const componentCache = config.workers ? null : createComponentCache(config);
+    return {
+        componentCache,
+        shell: createShellRenderer({
+            template: options.template,
+            clientManifest: options.clientManifest,
+            inject: !config.rendererOpts || config.rendererOpts.inject !== false,
+            csrFallback: config.csrFallback,
+        }),
+        hints: config.resourceHints ?
+            createResourceHints(options.clientManifest, config.resourceHints) :
+            null,
+        clientManifest: options.clientManifest,
+        bundleRenderer: config.workers ?
+            createRenderPool(config.workers, { ...options, bundle, config }) :
+            createBundleRenderer(bundle, Object.assign(options, {
+                cache: componentCache,
+                runInNewContext: false,
+            }, config.rendererOpts)),
+    };
+}
 
-function createRenderer(bundle, options, config) {
-    if (caches[config.name]) {
-        config.logger.debug(
-            `Recreating the "${config.name}" Vue SSR BundleRenderer, clearing`,
-            'the component cache and re-creating',
-        );
-        caches[config.name].reset();
-        caches[config.name] = null;
-    }
-
-    const prettySize = Math.round(config.componentCacheMaxSize / 1024);
-    const prettyAge = Math.round(config.componentCacheMaxAge / 1000);
-    config.logger.debug(`Creating component cache: maxSize ${prettySize}Kb, maxAge ${prettyAge}s`);
-    caches[config.name] = new LRU({
-        length(n, key) {
-            // Vue components come in as an object with an html key containing
-            // the SSR output
-            const valid = (
-                n != null &&
-                n.html != null &&
-                typeof n.html.length === 'number'
-            );
-            const length = valid ? n.html.length : 1;
-            if (config.componentCacheDebug) {
-                config.logger.debug(`Adding component cache entry: key=${key}, length=${length}`);
-            }
-            return length;
-        },
-        max: config.componentCacheMaxSize,
-        maxAge: config.componentCacheMaxAge,
+// Stop a built renderer's worker threads, once their in-progress renders finish
+function closeRenderer(build) {
+    return build && build.bundleRenderer && build.bundleRenderer.close ?
+        build.bundleRenderer.close() :
+        Promise.resolve();
+}
+
+// Swap a built renderer into a named renderer's state.  Requests work from a
+// copy of the state taken when they start, so in-flight renders are unaffected
+function swapRenderer(state, build) {
+    const { config } = state;
+    closeRenderer(state);
+    if (state.componentCache) {
+        config.logger.debug(`Recreating the "${config.name}" Vue SSR BundleRenderer`);
+        if (!config.componentCache) {
+            // Entries in the built-in cache were rendered by the outdated bundle
+            config.logger.debug(`Clearing the "${config.name}" component cache and re-creating`);
+            state.componentCache.invalidate();
+        }
+    }
+    Object.assign(state, build);
+}
+
+function createRenderer(state, bundle, options) {
+    swapRenderer(state, buildRenderer(state.config, bundle, options));
+}
+
+function startRenderTimer(config, onTimeout) {
+    if (!config.renderTimeout) {
+        return null;
+    }
+    return setTimeout(() => {
+        const err = new Error(`SSR render timed out after ${config.renderTimeout}ms`);
+        err.code = 'ERR_RENDER_TIMEOUT';
+        onTimeout(err);
+    }, config.renderTimeout);
+}
+
+// Return a function adding the request's CSP nonce to the rendered HTML, called
+// with each chunk in order
+function getNonceInjector(state, context) {
+    const { config } = state;
+    if (!config.csp || !context.nonce) {
+        return html => html;
+    }
+    return createNonceInjector(state.clientManifest, context.nonce, getCspConfig(config.csp));
+}
+
+const injectNonce = (state, context, html) => getNonceInjector(state, context)(html);
+
+// Cached pages hold a placeholder in place of the nonce they were rendered with,
+// since every response needs its own
+function toCachedHtml(state, context, html) {
+    return state.noncePlaceholder && context.nonce ?
+        html.split(context.nonce).join(state.noncePlaceholder) :
+        html;
+}
+
+function fromCachedHtml(state, context, html) {
+    return state.noncePlaceholder && context.nonce ?
+        html.split(state.noncePlaceholder).join(context.nonce) :
+        html;
+}
+
+// Send a successfully rendered page, or a 304 when the client's copy is current.
+// Without an ETag from the app's validator, hash the page minus its nonce so
+// responses differing only by nonce share an ETag
+function sendPage(state, context, res, status, html) {
+    const { config } = state;
+    if (config.etag && status === 200) {
+        if (!res.getHeader('ETag')) {
+            const stable = context.nonce ? html.split(context.nonce).join('') : html;
+            res.setHeader('ETag', createEtag(stable));
+        }
+        if (isFresh(context.request, res.getHeader('ETag'))) {
+            sendNotModified(res);
+            return;
+        }
+    }
+    config.adapter.send(res, status, html);
+}
+
+// Determine whether an error should be handled by serving the client-side
+// rendering fallback, returning the reason if so
+function getCsrFallbackReason(config, err) {
+    if (!config.csrFallback || err.url || CLIENT_ERRORS.includes(err.code)) {
+        return null;
+    }
+    const csrFallback = getCsrFallbackConfig(config.csrFallback);
+    if (err.code === 'ERR_RENDER_TIMEOUT') {
+        return csrFallback.timeout ? 'timeout' : null;
+    }
+    return csrFallback.error ? 'error' : null;
+}
+
+// Serve the static error page, falling back to the errorHandler if there isn't one
+function sendStaticErrorPage(state, err, status, res, cb) {
+    const { config } = state;
+    if (!state.staticErrorPage) {
+        config.errorHandler(err, res, cb);
+        return;
+    }
+    config.logger.error(`Serving static ${status} error page`, err);
+    config.adapter.send(res, status, state.staticErrorPage);
+    cb();
+}
+
+// Render the configured error route through the app, with the error attached
+// to the SSR context.  The error page gets its own httpResponse, so headers and
+// cookies set by the failed render don't leak into it
+function renderErrorPage(state, context, err, status, res, cb) {
+    const { config } = state;
+    config.logger.log(`Rendering ${status} error page from ${config.name} renderer`);
+    const errorContext = {
+        ...context,
+        url: config.errorPages[status],
+        originalUrl: context.url,
+        error: err,
+        httpResponse: createSsrResponse(),
+    };
+    let finished = false;
+    const handleError = (renderErr) => {
+        finished = true;
+        config.logger.error(`Error rendering ${status} error page`, renderErr);
+        sendStaticErrorPage(state, err, status, res, cb);
+    };
+    const timer = startRenderTimer(config, handleError);
+    state.bundleRenderer.renderToString(errorContext, (renderErr, html) => {
+        clearTimeout(timer);
+        if (finished) {
+            return;
+        }
+        if (renderErr) {
+            handleError(renderErr);
+        } else {
+            finished = true;
+            applySsrResponse(res, errorContext.httpResponse);
+            config.adapter.send(res, status, injectNonce(state, errorContext, html));
+            cb();
+        }
     });
+}
+
+function getErrorType(err) {
+    if (err.url) {
+        return 'redirect';
+    }
+    if (CLIENT_ERRORS.includes(err.code)) {
+        return String(err.code);
+    }
+    return err.code === 'ERR_RENDER_TIMEOUT' ? 'timeout' : '500';
+}
+
+function handleRenderError(state, context, err, res, cb) {
+    const { config } = state;
+    if (res.headersSent) {
+        // Too late to send an error page, so cut the response short rather than
+        // leave the client waiting on a page that will never be complete
+        config.logger.error(`Error rendering ${context.url} after the response started`, err);
+        res.destroy(err);
+        cb({ aborted: true });
+        return;
+    }
+    if (err.code === 'ERR_CLIENT_ONLY') {
+        // Not an error - the route opted out of SSR
+        config.logger.log(`Serving client-only shell for ${context.url}`);
+        context.csrFallback = 'client-only';
+        const html = injectNonce(state, context, state.shell(context, 'client-only'));
+        sendPage(state, context, res, 200, html);
+        cb();
+        return;
+    }
+    if (state.metrics) {
+        state.metrics.countError(config.name, getErrorType(err));
+    }
+    const reason = getCsrFallbackReason(config, err);
+    const status = CLIENT_ERRORS.includes(err.code) ? err.code : 500;
+    if (err.url) {
+        config.errorHandler(err, res, cb);
+    } else if (reason) {
+        config.logger.error(`Serving client-side rendering fallback (${reason})`, err);
+        res.setHeader('Cache-Control', 'no-store');
+        context.csrFallback = reason;
+        const { status: fallbackStatus } = getCsrFallbackConfig(config.csrFallback);
+        const html = injectNonce(state, context, state.shell(context, reason));
+        config.adapter.send(res, fallbackStatus, html);
+        cb();
+    } else if (config.errorPages && config.errorPages[status]) {
+        renderErrorPage(state, context, err, status, res, cb);
+    } else {
+        config.errorHandler(err, res, cb);
+    }
+}
 
-    return createBundleRenderer(bundle, Object.assign(options, {
-        cache: caches[config.name],
-        runInNewContext: false,
-    }, config.rendererOpts));
+// Give hooks a last chance to set response headers
+function beforeFirstByte(hooks) {
+    hooks.onHeaders.forEach(fn => fn());
 }
 
-function renderToString(config, context, res, cb) {
-    renderers[config.name].renderToString(context,
+function renderToString(state, context, res, cb, hooks) {
+    const { config } = state;
+    let finished = false;
+    const handleError = (err) => {
+        finished = true;
+        if (hooks.onError) {
+            hooks.onError(err);
+        }
+        handleRenderError(state, context, err, res, cb);
+    };
+    const timer = startRenderTimer(config, handleError);
+    state.bundleRenderer.renderToString(context,
         (err, html) => {
-            if (err) {
-                config.errorHandler(err, res, cb);
+            clearTimeout(timer);
+            if (finished) {
+                config.logger.warn(`Discarding render of ${context.url} completed after timeout`);
+            } else if (err) {
+                handleError(err);
             } else {
-                res.send(html);
+                finished = true;
+                beforeFirstByte(hooks);
+                const status = res.statusCode;
+                const page = injectNonce(state, context, html);
+                sendPage(state, context, res, status, page);
+                if (hooks.onHtml) {
+                    hooks.onHtml(page, status);
+                }
                 cb();
             }
-        },
-        e => config.errorHandler(e, res, cb));
+        });
 }
 
-function renderToStream(config, context, res, cb) {
-    const stream = renderers[config.name].renderToStream(context);
-    stream.on('data', data => res.write(data.toString()));
+function renderToStream(state, context, res, cb, hooks) {
+    const { config } = state;
+    let finished = false;
+    // Only buffer the streamed output when someone needs the full HTML
+    const chunks = hooks.onHtml ? [] : null;
+    const stream = state.bundleRenderer.renderToStream(context);
+    const inject = getNonceInjector(state, context);
+    const handleError = (err) => {
+        finished = true;
+        if (hooks.onError) {
+            hooks.onError(err);
+        }
+        handleRenderError(state, context, err, res, cb);
+    };
+    // Once we've started streaming it's too late to time out
+    const timer = startRenderTimer(config, (err) => {
+        stream.destroy();
+        handleError(err);
+    });
+    // Stop rendering if the client goes away.  We watch the response rather than
+    // the request, since req emits close as soon as the request body has been read
+    // in newer Node versions
+    res.on('close', () => {
+        if (finished || res.writableFinished) {
+            return;
+        }
+        finished = true;
+        clearTimeout(timer);
+        stream.destroy();
+        config.logger.warn(`Client aborted request for ${context.url}, stopping render`);
+        if (hooks.onError) {
+            const err = new Error(`Client aborted request for ${context.url}`);
+            err.code = 'ERR_CLIENT_ABORTED';
+            hooks.onError(err);
+        }
+        cb({ aborted: true });
+    });
+    stream.on('data', (data) => {
+        clearTimeout(timer);
+        if (!res.headersSent) {
+            beforeFirstByte(hooks);
+        }
+        const str = inject(data.toString());
+        if (chunks) {
+            chunks.push(str);
+        }
+        // Respect backpressure from slow clients rather than buffering the page
+        if (!res.write(str)) {
+            stream.pause();
+            res.once('drain', () => stream.resume());
+        }
+    });
     stream.on('end', () => {
+        finished = true;
         res.end();
+        hooks.onEnd();
+        if (chunks) {
+            hooks.onHtml(chunks.join(''), res.statusCode);
+        }
         cb();
     });
-    stream.on('error', err => config.errorHandler(err, res, cb));
+    stream.on('error', (err) => {
+        clearTimeout(timer);
+        if (!finished) {
+            handleError(err);
+        }
+    });
+}
+
+// Hint the files we know the page will need before rendering starts.  Returns a
+// function to update the Link header with the async chunks actually used, for
+// when the render completes before headers are sent (string mode)
+function sendResourceHints(hints, context, req, res) {
+    const existing = [].concat(res.getHeader('Link') || []);
+    const setLinkHeader = (links) => {
+        if (hints.config.linkHeader && links.length > 0) {
+            res.setHeader('Link', [...existing, ...links].join(', '));
+        }
+    };
+    const links = hints.getLinks(req.url);
+    if (hints.config.earlyHints && links.length > 0 && typeof res.writeEarlyHints === 'function') {
+        res.writeEarlyHints({ link: links });
+    }
+    setLinkHeader(links);
+    return () => setLinkHeader(hints.getLinks(req.url, context.getPreloadFiles()));
 }
 
-function render(config, clientManifest, req, res) {
+// Add the page cache's Vary fields to those already on the response, i.e. set by
+// compression middleware.  Vary: * already covers everything
+function addVaryHeader(res, varyHeader) {
+    const existing = [].concat(res.getHeader('Vary') || [])
+        .join(',')
+        .split(',')
+        .map(field => field.trim())
+        .filter(Boolean);
+    const names = existing.map(field => field.toLowerCase());
+    if (names.includes('*')) {
+        return;
+    }
+    const added = varyHeader.split(', ').filter(field => !names.includes(field.toLowerCase()));
+    res.setHeader('Vary', [...existing, ...added].join(', '));
+}
+
+// Server-Timing metric names must be tokens, and descriptions quoted strings
+function formatServerTiming({ name, duration, description }) {
+    const metric = String(name).replace(/[^\w!#$%&'*+.^`|~-]/g, '_');
+    const desc = description ? `;desc="${String(description).replace(/["\\]/g, '')}"` : '';
+    return `${metric}${desc};dur=${duration}`;
+}
+
+// Set the Server-Timing header from the phases recorded during the request,
+// adding the app render time and the time to first byte
+function setServerTimingHeader(context, res, renderStart, requestStart) {
+    const now = Date.now();
+    const timings = [
+        ...context.serverTimings,
+        { name: 'render', duration: now - renderStart },
+        { name: 'firstByte', duration: now - requestStart },
+    ];
+    res.setHeader('Server-Timing', timings.map(formatServerTiming).join(', '));
+}
+
+// Rejects a page cache promise when the page can't be shared with other requests,
+// so anyone waiting on it renders their own
+function createUnshareableError(context) {
+    const err = new Error(`Response for ${context.url} can't be shared`);
+    err.code = 'ERR_PAGE_UNSHAREABLE';
+    return err;
+}
+
+// Re-render a stale page cache entry in the background.  There is no response
+// to write to, so the app will receive a null context.response
+function revalidate(state, context, cacheKey) {
+    const { config, pageCache } = state;
+    config.logger.log(`Revalidating stale page cache entry from ${config.name} renderer`);
+    const revalidateContext = {
+        ...context,
+        response: null,
+        httpResponse: createSsrResponse(),
+    };
+    const promise = new Promise((resolve, reject) => {
+        // Give up on hung renders, so the entry can be revalidated again.  Once
+        // the promise is rejected, a late render is discarded
+        const timer = startRenderTimer(config, reject);
+        state.bundleRenderer.renderToString(revalidateContext, (err, html) => {
+            clearTimeout(timer);
+            const { httpResponse } = revalidateContext;
+            if (err) {
+                reject(err);
+            } else if ((httpResponse.status || 200) !== 200 || !isShareable(httpResponse)) {
+                reject(createUnshareableError(context));
+            } else {
+                resolve({
+                    html: toCachedHtml(state, context, injectNonce(state, context, html)),
+                    status: 200,
+                    response: createSsrResponse(httpResponse),
+                });
+            }
+        });
+    });
+    pageCache.track(cacheKey, promise).then(
+        ({ html, response }) => pageCache.set(cacheKey, html, context.request, response),
+        err => config.logger.error('Error revalidating page cache entry', err),
+    );
+}
+
+// Respond to a request the concurrency limiter couldn't find a render slot for
+function shedRequest(state, context, res, reason, done, hooks) {
+    const { config, limiter } = state;
+    const { active, queued } = limiter.getStats();
+    const why = reason === 'queue' ? 'queue full' : `waited ${limiter.config.maxWait}ms`;
+    config.logger.warn(
+        `Shedding request for ${context.url} from ${config.name} renderer`,
+        `(${why}, ${active} rendering, ${queued} queued)`,
+    );
+    if (state.metrics) {
+        state.metrics.countShed(config.name, reason);
+    }
+    if (hooks.onError) {
+        const err = new Error(`Shed request for ${context.url}`);
+        err.code = 'ERR_RENDER_SHED';
+        hooks.onError(err);
+    }
+    res.setHeader('Cache-Control', 'no-store');
+    if (limiter.config.shed === 'csr') {
+        context.csrFallback = 'shed';
+        const { status } = getCsrFallbackConfig(config.csrFallback);
+        config.adapter.send(res, status, injectNonce(state, context, state.shell(context, 'shed')));
+    } else {
+        res.setHeader('Retry-After', String(limiter.config.retryAfter));
+        config.adapter.send(res, 503, state.staticErrorPage || '503 | Service Unavailable');
+    }
+    done();
+}
+
+// Render the appropriate Vue components into the renderer template using the
+// server render logic in entry-server.js, once the concurrency limiter (if any)
+// has a render slot free
+function startRender(state, context, res, done, hooks) {
+    const { config, limiter } = state;
+    const renderFn = config.stream ? renderToStream : renderToString;
+    const run = (cb) => {
+        config.logger.log(`Rendering from ${config.name} renderer!`);
+        renderFn(state, context, res, cb, hooks);
+    };
+    if (!limiter) {
+        run(done);
+        return;
+    }
+
+    let waiting = true;
+    const cancel = limiter.run((release) => {
+        waiting = false;
+        run((opts) => {
+            release();
+            done(opts);
+        });
+    }, (reason) => {
+        waiting = false;
+        shedRequest(state, context, res, reason, done, hooks);
+    });
+    if (!waiting) {
+        return;
+    }
+    const { active, queued } = limiter.getStats();
+    config.logger.log(
+        `Queued request for ${context.url} on ${config.name} renderer`,
+        `(${active} rendering, ${queued} queued)`,
+    );
+    // Give up our place in the queue if the client goes away
+    res.on('close', () => {
+        if (res.writableFinished || !cancel()) {
+            return;
+        }
+        config.logger.warn(`Client aborted request for ${context.url} while queued`);
+        if (hooks.onError) {
+            const err = new Error(`Client aborted request for ${context.url}`);
+            err.code = 'ERR_CLIENT_ABORTED';
+            hooks.onError(err);
+        }
+        done({ aborted: true });
+    });
+}
+
+function servePage(state, context, req, res, done, requestStart) {
+    const { config, hints, pageCache } = state;
+
+    // Serve from the full-page cache when we can, otherwise store the HTML once
+    // it has been successfully rendered
+    const cacheKey = pageCache ? pageCache.getKey(req) : null;
+    const hooks = { onHeaders: [] };
+
+    // Apply the status, headers and cookies set via ssrContext.httpResponse ahead
+    // of our own headers, and report any changes made once they've been sent
+    let sentResponse = null;
+    hooks.onHeaders.push(() => {
+        applySsrResponse(res, context.httpResponse);
+        sentResponse = JSON.stringify(context.httpResponse);
+    });
+    hooks.onEnd = () => {
+        if (JSON.stringify(context.httpResponse) !== sentResponse) {
+            config.logger.warn(
+                `Ignoring ssrContext.httpResponse changes for ${context.url}`,
+                'made after the response headers were sent',
+            );
+        }
+    };
+    if (pageCache && pageCache.varyHeader) {
+        addVaryHeader(res, pageCache.varyHeader);
+    }
+    if (cacheKey) {
+        const entry = pageCache.get(cacheKey);
+        if (entry) {
+            const stale = pageCache.isStale(entry);
+            const type = stale ? 'stale entry' : 'hit';
+            config.logger.log(`Serving page cache ${type} from ${config.name} renderer`);
+            res.setHeader('X-Page-Cache', stale ? 'STALE' : 'HIT');
+            applySsrResponse(res, entry.response);
+            const html = fromCachedHtml(state, context, entry.html);
+            sendPage(state, context, res, res.statusCode, html);
+            if (stale && !pageCache.pending(cacheKey)) {
+                revalidate(state, context, cacheKey);
+            }
+            done();
+            return;
+        }
+    }
+
+    if (hints) {
+        const updateLinkHeader = sendResourceHints(hints, context, req, res);
+        // Async chunks used aren't known until the render completes
+        if (!config.stream) {
+            hooks.onHeaders.push(updateLinkHeader);
+        }
+    }
+
+    if (context.serverTimings) {
+        const renderStart = Date.now();
+        hooks.onHeaders.push(() => setServerTimingHeader(context, res, renderStart, requestStart));
+    }
+
+    if (cacheKey) {
+        // Share an identical in-flight render rather than starting another one
+        const pending = pageCache.pending(cacheKey);
+        if (pending) {
+            config.logger.log(`Waiting on in-flight render from ${config.name} renderer`);
+            res.setHeader('X-Page-Cache', 'COALESCED');
+            // Wait no longer than a render of our own could take
+            let finished = false;
+            const timer = startRenderTimer(config, (err) => {
+                finished = true;
+                handleRenderError(state, context, err, res, done);
+            });
+            pending.then(({ html, status, response }) => {
+                clearTimeout(timer);
+                if (finished) {
+                    return;
+                }
+                applySsrResponse(res, response);
+                sendPage(state, context, res, status, fromCachedHtml(state, context, html));
+                done();
+            }, (err) => {
+                clearTimeout(timer);
+                if (finished) {
+                    return;
+                }
+                const retry = ['ERR_CLIENT_ABORTED', 'ERR_RENDER_SHED', 'ERR_PAGE_UNSHAREABLE'];
+                if (retry.includes(err.code)) {
+                    // Nothing went wrong with the render itself, so do our own
+                    startRender(state, context, res, done, hooks);
+                } else {
+                    handleRenderError(state, context, err, res, done);
+                }
+            });
+            return;
+        }
+
+        res.setHeader('X-Page-Cache', 'MISS');
+        let settle;
+        pageCache.track(cacheKey, new Promise((resolve, reject) => {
+            settle = { resolve, reject };
+        }));
+        hooks.onHtml = (page, status) => {
+            // Pages setting cookies or private caching are for this request only
+            if (!isShareable(context.httpResponse)) {
+                settle.reject(createUnshareableError(context));
+                return;
+            }
+            const html = toCachedHtml(state, context, page);
+            const response = createSsrResponse(context.httpResponse);
+            // The app may have set a non-200 status
+            if (status === 200) {
+                pageCache.set(cacheKey, html, req, response);
+            }
+            settle.resolve({ html, status, response });
+        };
+        hooks.onError = settle.reject;
+    }
+
+    startRender(state, context, res, done, hooks);
+}
+
+function renderPage(state, context, req, res, done, requestStart) {
+    const { config } = state;
+    if (config.csp && context.nonce) {
+        setCspHeader(res, context.nonce, getCspConfig(config.csp));
+    }
+    const { validator } = config.etag ? getEtagConfig(config.etag) : {};
+    if (!validator) {
+        servePage(state, context, req, res, done, requestStart);
+        return;
+    }
+
+    // Check the app's validator first, so unchanged pages skip rendering entirely
+    Promise.resolve()
+        .then(() => validator(req, context))
+        .then((value) => {
+            if (value !== null && value !== undefined) {
+                const etag = createWeakEtag(value);
+                res.setHeader('ETag', etag);
+                if (isFresh(req, etag)) {
+                    config.logger.log(`Skipping render of ${context.url} for matching ETag`);
+                    sendNotModified(res);
+                    done();
+                    return;
+                }
+            }
+            servePage(state, context, req, res, done, requestStart);
+        }, (err) => {
+            config.logger.warn(`ETag validator failed for ${context.url}, rendering`, err);
+            servePage(state, context, req, res, done, requestStart);
+        });
+}
+
+function recordMetrics(state, context, req, res, aborted, duration) {
+    const { config, metrics } = state;
+    if (aborted) {
+        metrics.countError(config.name, 'aborted');
+        return;
+    }
+    const { routeLabel } = config.metrics;
+    const route = routeLabel ? routeLabel(req, context) : context.routeName;
+    const cached = ['HIT', 'STALE', 'COALESCED'].includes(res.getHeader('X-Page-Cache'));
+    metrics.observeRequest({
+        renderer: config.name,
+        route: route || 'unknown',
+        mode: (cached && 'cache') || (config.stream ? 'stream' : 'string'),
+        status: res.statusCode,
+    }, duration);
+}
+
+function render(liveState, req, res) {
+    // Finish on the current renderer even if a reload swaps in a new one
+    const state = { ...liveState };
+    const { config, clientManifest, hints } = state;
     const s = Date.now();
+    // Keep a worker render pool running until we're done with it
+    const release = state.bundleRenderer.retain ? state.bundleRenderer.retain() : () => {};
 
     config.logger.log('\n\nVue request started', new Date().toISOString());
 
-    const context = {
-        title: 'Vue SSR Application',
+    let context = {
+        title: config.title,
         request: req,
         response: res,
         url: req.url,
+        // Name of the renderer handling this request
+        rendererName: config.name,
         clientManifest,
         initialState: null,
+        // Status, headers and cookies for the app to set from fetchData
+        httpResponse: createSsrResponse(),
+        // CSP nonce for the response, applied to the scripts and styles we render
+        nonce: config.csp ? createNonce() : null,
+        // Request phase timings for the Server-Timing header, in the format
+        // { name, duration, description }
+        serverTimings: config.serverTiming ? [] : null,
     };
 
     res.setHeader('Content-Type', 'text/html');
 
-    // Render the appropriate Vue components into the renderer template
-    // using the server render logic in entry-server.js
-    const renderFn = config.stream ? renderToStream : renderToString;
-
-    config.logger.log(`Rendering from ${config.name} renderer!`);
-    renderFn(config, context, res, () => {
-        if (config.componentCacheDebug) {
-            config.logger.log('Component cache stats:');
-            config.logger.log('  length:', caches[config.name].length);
-            config.logger.log('  keys:', caches[config.name].keys().join(','));
+    const done = ({ aborted = false } = {}) => {
+        release();
+        if (config.componentCacheDebug && state.componentCache) {
+            config.logger.log('Component cache stats:', state.componentCache.getStats());
         }
-        config.logger.log('Vue request ended', new Date().toISOString());
-        config.logger.log(`SSR request took: ${Date.now() - s}ms`);
-    });
+        // Remember the async chunks this path used for future resource hints
+        const rendered = res.statusCode === 200 && !context.csrFallback;
+        if (hints && !aborted && rendered && context.getPreloadFiles) {
+            hints.learn(req.url, context.getPreloadFiles());
+        }
+        if (state.metrics) {
+            recordMetrics(state, context, req, res, aborted, Date.now() - s);
+        }
+        if (aborted) {
+            config.logger.log('Vue request aborted', new Date().toISOString());
+            config.logger.log(`SSR request aborted after: ${Date.now() - s}ms`);
+        } else {
+            config.logger.log('Vue request ended', new Date().toISOString());
+            config.logger.log(`SSR request took: ${Date.now() - s}ms`);
+        }
+    };
+
+    if (!config.createContext) {
+        renderPage(state, context, req, res, done, s);
+        return;
+    }
+
+    // Let the app add request-scoped fields on top of our defaults
+    const contextStart = Date.now();
+    Promise.resolve()
+        .then(() => config.createContext(req, res, config))
+        .then((appContext) => {
+            context = {
+                ...context,
+                ...appContext,
+            };
+            if (context.serverTimings) {
+                context.serverTimings.push({
+                    name: 'context',
+                    duration: Date.now() - contextStart,
+                });
+            }
+            renderPage(state, context, req, res, done, s);
+        }, err => handleRenderError(state, context, err, res, done));
 }
 
-module.exports = function initVueRenderer(app, configOpts) {
-    const config = {
-        ...defaults,
-        ...configOpts,
+// Read the template, server bundle and client manifest for a renderer from disk.
+// JSON files are read directly rather than required, so reloads see new builds
+function loadFiles(config) {
+    const readJSON = file => JSON.parse(fs.readFileSync(path.resolve(file), 'utf-8'));
+    return {
+        template: fs.readFileSync(config.templatePath, 'utf-8'),
+        bundle: readJSON(config.serverBundle),
+        clientManifest: readJSON(config.clientManifest),
     };
-    configs[config.name] = config;
+}
 
-    if (renderers[config.name]) {
-        config.logger.error(`[ERROR] Overwriting existing "${config.name}" renderer`);
-    } else {
-        config.logger.log(`Creating "${config.name}" renderer...`);
-    }
-
-    // In development: setup the dev server with watch and hot-reload,
-    // and create a new renderer on bundle / index template update.
-    if (config.hmr) {
-        // We should only run one webpack HMR process at a time, since our renderers use
-        // the same client/server builds, and really just differ by template.  This means
-        // that template changes for non-default renders will not be picked up by the HMR
-        // (unless a default template change is made)
-        if (config.name === 'default') {
-            readyPromise = require('./setup-dev-server')(
-                app,
-                config,
-                (bundle, options) => {
-                    // When we receive an update, we re-create all renderers
-                    Object.keys(configs).forEach((k) => {
-                        config.logger.log(`HMR: Creating "${k}" renderer`);
-                        if (k === 'default') {
-                            renderers[k] = createRenderer(bundle, options, configs[k]);
-                        } else {
-                            // But we load the proper template for non-default renderers
-                            config.logger.log('Re-loading non-default template');
-                            const newOptions = {
-                                ...options,
-                                template: fs.readFileSync(configs[k].templatePath, 'utf-8'),
-                            };
-                            renderers[k] = createRenderer(bundle, newOptions, configs[k]);
-                        }
-                    });
+// Render the smoke test URL with a newly built renderer before swapping it in.
+// Redirects and client-only routes are outcomes the app chose, so only other
+// errors fail the smoke test.  A missing page fails it, as a broken bundle may
+// not match any route
+function smokeTest(config, build, url, timeout) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            reject(new Error(`Smoke test render of ${url} timed out after ${timeout}ms`));
+        }, timeout);
+        build.bundleRenderer.renderToString({
+            title: config.title,
+            // A minimal stand-in for the request, for apps reading its headers
+            request: { method: 'GET', url, headers: {} },
+            response: null,
+            url,
+            rendererName: config.name,
+            clientManifest: build.clientManifest,
+            initialState: null,
+            httpResponse: createSsrResponse(),
+            serverTimings: null,
+            // Lets the app skip side effects such as analytics for this render
+            smokeTest: true,
+        }, (err) => {
+            clearTimeout(timer);
+            if (!err || err.url || err.code === 'ERR_CLIENT_ONLY') {
+                resolve();
+            } else if (err instanceof Error) {
+                reject(err);
+            } else {
+                // Apps may reject with plain objects, which would leave the report
+                // without a message
+                const smokeErr = new Error(`Smoke test render of ${url} failed`);
+                smokeErr.reason = err;
+                reject(smokeErr);
+            }
+        });
+    });
+}
+
+/**
+ * Reload a renderer from the files on disk, validating that the new set loads
+ * and renders the smoke test URL before swapping it in.  On failure the current
+ * renderer is kept, and a report is logged and emitted as a reloadError event
+ *
+ * @param   {object}       state  Renderer state
+ * @param   {EventEmitter} events Emitter for reload and reloadError events
+ * @returns {Promise}             Resolves once swapped in, rejects on failure
+ */
+async function reloadRenderer(state, events) {
+    const { config } = state;
+    // Without the reload option, reload() only checks that the new files load
+    const opts = config.reload ?
+        { ...reloadDefaults, ...config.reload } :
+        { ...reloadDefaults, smokeUrl: null };
+    const start = Date.now();
+    let stage = 'load';
+    let build = null;
+    try {
+        const { template, bundle, clientManifest } = loadFiles(config);
+        stage = 'create';
+        build = buildRenderer(config, bundle, { template, clientManifest });
+        if (opts.smokeUrl) {
+            stage = 'smoke';
+            await smokeTest(config, build, opts.smokeUrl, opts.timeout);
+        }
+        swapRenderer(state, build);
+        if (state.pageCache) {
+            // Cached pages were rendered by the outdated bundle
+            state.pageCache.reset();
+        }
+    } catch (err) {
+        closeRenderer(build);
+        const report = {
+            renderer: config.name,
+            stage,
+            files: [config.templatePath, config.serverBundle, config.clientManifest],
+            smokeUrl: opts.smokeUrl,
+            duration: Date.now() - start,
+            error: err,
+        };
+        config.logger.error(
+            `Failed to reload "${config.name}" renderer (${stage}), keeping the current version`,
+            report,
+        );
+        events.emit('reloadError', report);
+        throw err;
+    }
+    const duration = Date.now() - start;
+    config.logger.log(`Reloaded "${config.name}" renderer in ${duration}ms`);
+    events.emit('reload', { renderer: config.name, duration });
+}
+
+// Component caches keyed by renderer name, for renderers that have been created
+function getComponentCaches(renderers) {
+    return Object.keys(renderers)
+        .filter(k => renderers[k].componentCache)
+        .reduce((acc, k) => ({
+            ...acc,
+            [k]: renderers[k].componentCache,
+        }), {});
+}
+
+/**
+ * Return component cache statistics for a single renderer, or for all renderers
+ * keyed by name
+ *
+ * @param   {object} renderers Renderer state keyed by name
+ * @param   {string} name      Renderer name
+ * @returns {object}           Cache statistics
+ */
+function getComponentCacheStats(renderers, name) {
+    const caches = getComponentCaches(renderers);
+    if (name) {
+        return caches[name] ? caches[name].getStats() : null;
+    }
+    return Object.keys(caches).reduce((acc, k) => ({
+        ...acc,
+        [k]: caches[k].getStats(),
+    }), {});
+}
+
+/**
+ * Invalidate component cache entries, for example after content is published.
+ * Flushes the entire cache if no key, prefix or component is specified
+ *
+ * @param   {object} renderers          Renderer state keyed by name
+ * @param   {object} criteria           Entries to remove
+ * @param   {string} criteria.renderer  Renderer name, defaults to all renderers
+ * @param   {string} criteria.key       Exact key (ComponentName::serverCacheKey)
+ * @param   {string} criteria.prefix    Key prefix
+ * @param   {string} criteria.component Component name
+ * @returns {Promise<object>}           Invalidated key counts keyed by renderer name
+ */
+async function invalidateComponentCache(renderers, { renderer, ...criteria } = {}) {
+    const caches = getComponentCaches(renderers);
+    if (renderer && !caches[renderer]) {
+        throw new Error(`Unknown renderer "${renderer}"`);
+    }
+    const names = renderer ? [renderer] : Object.keys(caches);
+    const counts = await Promise.all(names.map(k => caches[k].invalidate(criteria)));
+    return names.reduce((acc, k, i) => ({
+        ...acc,
+        [k]: counts[i],
+    }), {});
+}
+
+/**
+ * Create a request handler exposing component cache statistics and invalidation,
+ * to be mounted behind your own authentication:
+ *
+ *   GET  /           Statistics for all renderers
+ *   POST /invalidate Invalidate using the renderer, key, prefix and component
+ *                    query parameters
+ *
+ * @param   {object}        renderers    Renderer state keyed by name
+ * @param   {object}        opts         Handler options
+ * @param   {string|object} opts.adapter Framework adapter, defaults to express
+ * @param   {object}        opts.logger  Logger instance
+ * @returns {Function}                   Request handler
+ */
+function componentCacheAdmin(renderers, { adapter = 'express', logger = console } = {}) {
+    return getAdapter(adapter).handler((req, res, next) => {
+        const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+        const sendJson = (status, body) => {
+            res.statusCode = status;
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify(body));
+        };
+
+        if (req.method === 'GET' && pathname === '/') {
+            sendJson(200, getComponentCacheStats(renderers));
+        } else if (req.method === 'POST' && pathname === '/invalidate') {
+            const criteria = ['renderer', 'key', 'prefix', 'component'].reduce((acc, k) => ({
+                ...acc,
+                [k]: searchParams.get(k) || undefined,
+            }), {});
+            invalidateComponentCache(renderers, criteria).then(
+                invalidated => sendJson(200, { invalidated }),
+                (e) => {
+                    logger.error('Error invalidating component cache', e);
+                    sendJson(500, { error: e.message });
                 },
             );
+        } else if (next) {
+            next();
         } else {
-            config.logger.warn(
-                `Skipping HMR setup for "${config.name}" renderer.  Make sure you`,
-                'have a "default" renderer to enable HMR',
-            );
+            sendJson(404, { error: 'Not Found' });
         }
+    });
+}
 
-        return (req, res) => {
-            // Make dev server wait on webpack builds
-            readyPromise.then(({ clientManifest }) => render(config, clientManifest, req, res));
-        };
-    }
+/**
+ * Create a request handler serving render, error and component cache metrics in
+ * the Prometheus text format, for renderers with the metrics option enabled
+ *
+ * @param   {object}        renderers    Renderer state keyed by name
+ * @param   {object}        opts         Handler options
+ * @param   {string|object} opts.adapter Framework adapter, defaults to express
+ * @returns {Function}                   Request handler
+ */
+function metricsHandler(renderers, { adapter = 'express' } = {}) {
+    return getAdapter(adapter).handler((req, res) => {
+        const names = Object.keys(renderers).filter(k => renderers[k].metrics);
+        const caches = getComponentCaches(renderers);
+        const cacheStats = names
+            .filter(k => caches[k])
+            .reduce((acc, k) => ({
+                ...acc,
+                [k]: caches[k].getStats(),
+            }), {});
+        const loadStats = names
+            .filter(k => renderers[k].limiter)
+            .reduce((acc, k) => ({
+                ...acc,
+                [k]: renderers[k].limiter.getStats(),
+            }), {});
+        res.statusCode = 200;
+        res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+        res.end(names.length > 0 ?
+            renderers[names[0]].metrics.serialize(cacheStats, loadStats) :
+            '');
+    });
+}
+
+/**
+ * Create a request handler choosing a named renderer for each request, i.e. to
+ * serve a lighter template for some routes or experiment with a new template
+ *
+ * @param   {object}        renderers     Renderer state keyed by name
+ * @param   {Function}      select        (req) => string|Promise<string> returning
+ *                                        the renderer name, see also bucket()
+ * @param   {object}        opts          Dispatcher options
+ * @param   {string}        opts.fallback Renderer used when select returns nothing,
+ *                                        throws or names an unknown renderer
+ * @param   {string|object} opts.adapter  Framework adapter, defaults to express
+ * @param   {object}        opts.logger   Logger instance
+ * @returns {Function}                    Request handler
+ */
+function dispatchRenderer(renderers, select, {
+    fallback = 'default',
+    adapter = 'express',
+    logger = console,
+} = {}) {
+    const getHandle = name => (renderers[name] ? renderers[name].handle : null);
+    return getAdapter(adapter).handler(createDispatcher(select, getHandle, { fallback, logger }));
+}
+
+/**
+ * Create an isolated set of named renderers.  Renderers, caches, metrics and the
+ * HMR dev server belong to the instance, so multiple apps (or test suites) can
+ * run in one process.  The instance is an EventEmitter, emitting reload and
+ * reloadError events
+ *
+ * @returns {object} Renderer instance
+ */
+function createVueRenderer() {
+    // Per-renderer state keyed by renderer name: config, bundleRenderer,
+    // componentCache, pageCache, shell, hints, clientManifest, staticErrorPage,
+    // metrics, limiter, noncePlaceholder and handle
+    const renderers = {};
+    let devServer = null;
+    // Shared by all renderers with metrics enabled, and labelled by renderer name
+    let metrics = null;
+    // Production reload file watchers and their pending debounce timers
+    const watchers = [];
+    const reloadTimers = new Set();
+    // Reloads run one at a time, in the order requested
+    let reloading = Promise.resolve();
+    const events = new EventEmitter();
 
-    // Non-local mode without HMR
-    const template = fs.readFileSync(config.templatePath, 'utf-8');
-    const bundle = require(path.resolve(config.serverBundle));
-    const clientManifest = require(path.resolve(config.clientManifest));
+    const queueReload = (names) => {
+        const run = () => Promise.all(names.map(k => (
+            reloadRenderer(renderers[k], events).then(() => null, () => k)
+        ))).then((failed) => {
+            const failedNames = failed.filter(Boolean);
+            if (failedNames.length > 0) {
+                throw new Error(`Failed to reload renderers: ${failedNames.join(', ')}`);
+            }
+        });
+        reloading = reloading.then(run, run);
+        return reloading;
+    };
 
-    renderers[config.name] = createRenderer(bundle, { template, clientManifest }, config);
-    return function renderVueRoute(req, res) {
-        return render(config, clientManifest, req, res);
+    // Reload a renderer whenever its built files change, once writes settle
+    const watchFiles = (config) => {
+        const opts = { ...reloadDefaults, ...config.reload };
+        const files = [config.templatePath, config.serverBundle, config.clientManifest];
+        let timer = null;
+        const watcher = require('chokidar')
+            .watch(files.map(f => path.resolve(f)), { ignoreInitial: true })
+            .on('all', () => {
+                clearTimeout(timer);
+                reloadTimers.delete(timer);
+                timer = setTimeout(() => {
+                    reloadTimers.delete(timer);
+                    config.logger.log(`Build files changed, reloading "${config.name}" renderer`);
+                    // Failures are logged and emitted by reloadRenderer
+                    queueReload([config.name]).catch(() => {});
+                }, opts.debounce);
+                reloadTimers.add(timer);
+            });
+        watchers.push(watcher);
     };
-};
+
+    // When we receive an HMR update, we re-create all renderers
+    const onBuild = (bundle, options) => {
+        Object.keys(renderers).forEach((k) => {
+            const state = renderers[k];
+            state.config.logger.log(`HMR: Creating "${k}" renderer`);
+            if (state.pageCache) {
+                // Cached pages were rendered by the outdated bundle
+                state.pageCache.reset();
+            }
+            if (k === 'default') {
+                createRenderer(state, bundle, options);
+            } else {
+                // But we load the proper template for non-default renderers
+                state.config.logger.log('Re-loading non-default template');
+                createRenderer(state, bundle, {
+                    ...options,
+                    template: fs.readFileSync(state.config.templatePath, 'utf-8'),
+                });
+            }
+        });
+    };
+
+    const instance = Object.assign(events, {
+        /**
+         * Create a named renderer and return its request handler
+         *
+         * @param   {object} app        Server app, for registering the HMR middleware
+         * @param   {object} configOpts Renderer options, see defaults above
+         * @returns {Function}          Request handler for the configured adapter
+         */
+        middleware(app, configOpts) {
+            const config = {
+                ...defaults,
+                ...configOpts,
+            };
+            config.adapter = getAdapter(config.adapter);
+            if (config.metrics && !metrics) {
+                metrics = createMetrics(config.metrics);
+            }
+
+            if (renderers[config.name]) {
+                config.logger.error(`[ERROR] Overwriting existing "${config.name}" renderer`);
+            } else {
+                config.logger.log(`Creating "${config.name}" renderer...`);
+            }
+
+            const state = {
+                config,
+                staticErrorPage: config.errorPageFallback ?
+                    fs.readFileSync(config.errorPageFallback, 'utf-8') :
+                    null,
+                pageCache: config.pageCache ? createPageCache(config.pageCache) : null,
+                metrics: config.metrics ? metrics : null,
+                limiter: config.concurrency ? createLimiter(config.concurrency) : null,
+                noncePlaceholder: config.csp ? createNonce() : null,
+            };
+            renderers[config.name] = state;
+
+            // In development: setup the dev server with watch and hot-reload,
+            // and create a new renderer on bundle / index template update.
+            if (config.hmr) {
+                // We should only run one webpack HMR process at a time, since our renderers
+                // use the same client/server builds, and really just differ by template.
+                // This means that template changes for non-default renders will not be
+                // picked up by the HMR (unless a default template change is made)
+                //
+                // Adapters without an app to register the webpack dev middleware on run
+                // it from the default renderer's handler instead
+                const devMiddleware = [];
+                if (config.name === 'default') {
+                    devServer = require('./setup-dev-server')(
+                        (middleware) => {
+                            if (config.adapter.use) {
+                                config.adapter.use(app, middleware);
+                            } else {
+                                devMiddleware.push(middleware);
+                            }
+                        },
+                        config,
+                        onBuild,
+                    );
+                } else {
+                    config.logger.warn(
+                        `Skipping HMR setup for "${config.name}" renderer.  Make sure you`,
+                        'have a "default" renderer to enable HMR',
+                    );
+                }
+
+                state.handle = (req, res) => {
+                    runMiddleware(devMiddleware, req, res, (err) => {
+                        if (err) {
+                            config.errorHandler(err, res, () => {});
+                            return;
+                        }
+                        // Make dev server wait on webpack builds
+                        devServer.ready.then(() => render(state, req, res));
+                    });
+                };
+                return config.adapter.handler(state.handle);
+            }
+
+            // Non-local mode without HMR
+            const { template, bundle, clientManifest } = loadFiles(config);
+            createRenderer(state, bundle, { template, clientManifest });
+            state.handle = (req, res) => render(state, req, res);
+            if (config.reload && config.reload.watch) {
+                watchFiles(config);
+            }
+            return config.adapter.handler(state.handle);
+        },
+
+        /**
+         * Render a request with a named renderer, independent of any framework
+         *
+         * @param   {object} req  Node request
+         * @param   {object} res  Node response
+         * @param   {string} name Renderer name
+         * @returns {undefined}   No return value
+         */
+        render(req, res, name = 'default') {
+            if (!renderers[name]) {
+                throw new Error(`Unknown renderer "${name}"`);
+            }
+            renderers[name].handle(req, res);
+        },
+
+        /**
+         * Return the vue-server-renderer bundle renderer for a named renderer
+         *
+         * @param   {string} name Renderer name
+         * @returns {object}      Bundle renderer, or null if not (yet) created
+         */
+        getRenderer(name = 'default') {
+            return renderers[name] && renderers[name].bundleRenderer ?
+                renderers[name].bundleRenderer :
+                null;
+        },
+
+        /**
+         * Re-create all non-HMR renderers from the template, server bundle and
+         * client manifest on disk.  Each renderer is only swapped once its new
+         * files load (and render the smoke test URL, with the reload option), so
+         * a failed reload leaves that renderer's current version in place
+         *
+         * @returns {Promise} Resolves once all renderers are replaced, or rejects
+         *                    if any failed to reload
+         */
+        reload() {
+            return queueReload(Object.keys(renderers).filter(k => !renderers[k].config.hmr));
+        },
+
+        /**
+         * Stop the HMR dev server, reload file watchers and render workers, and
+         * release all renderers.  Handlers already returned keep rendering with
+         * the renderer they were created for, unless it renders on worker threads
+         *
+         * @returns {Promise} Resolves once the dev server, watchers and workers
+         *                    have stopped
+         */
+        async close() {
+            reloadTimers.forEach(timer => clearTimeout(timer));
+            reloadTimers.clear();
+            await Promise.all(watchers.splice(0).map(w => w.close()));
+            if (devServer) {
+                await devServer.close();
+                devServer = null;
+            }
+            const closing = Object.keys(renderers).map((k) => {
+                const state = renderers[k];
+                if (state.pageCache) {
+                    state.pageCache.reset();
+                }
+                delete renderers[k];
+                return closeRenderer(state);
+            });
+            metrics = null;
+            await Promise.all(closing);
+        },
+
+        getComponentCacheStats: name => getComponentCacheStats(renderers, name),
+        invalidateComponentCache: criteria => invalidateComponentCache(renderers, criteria),
+        componentCacheAdmin: opts => componentCacheAdmin(renderers, opts),
+        metricsHandler: opts => metricsHandler(renderers, opts),
+        dispatchRenderer: (select, opts) => dispatchRenderer(renderers, select, opts),
+    });
+
+    return instance;
+}
+
+// Backs the module-level API
+const defaultInstance = createVueRenderer();
+
+function initVueRenderer(app, configOpts) {
+    return defaultInstance.middleware(app, configOpts);
+}
+
+module.exports = initVueRenderer;
+module.exports.createVueRenderer = createVueRenderer;
+module.exports.getComponentCacheStats = defaultInstance.getComponentCacheStats;
+module.exports.invalidateComponentCache = defaultInstance.invalidateComponentCache;
+module.exports.componentCacheAdmin = defaultInstance.componentCacheAdmin;
+module.exports.metricsHandler = defaultInstance.metricsHandler;
+module.exports.dispatchRenderer = defaultInstance.dispatchRenderer;
+module.exports.reload = defaultInstance.reload;
+module.exports.on = (event, listener) => defaultInstance.on(event, listener);
+module.exports.bucket = bucket;
@@ -0,0 +1,82 @@
+const LRU = require('lru-cache');
+const { uniq } = require('lodash');
+
+const { getAsType, getPublicPath } = require('./client-manifest');
+
+// Base resource hints config - extended via the renderer resourceHints option
+const defaults = {
+    // Send a 103 Early Hints response where the server supports it
+    earlyHints: true,
+    // Send a Link response header
+    linkHeader: true,
+    // Max number of files to hint per request
+    max: 10,
+    // Asset types to hint (script, style, font, image)
+    types: ['script', 'style'],
+    // Number of distinct paths to remember used async chunks for
+    maxPaths: 1000,
+};
+
+const getPath = url => url.split('?')[0];
+
+/**
+ * Create resource hints for a renderer from its client manifest.  Hints always
+ * include the initial files from the manifest, and the async chunks used by
+ * previous renders of the same path once known
+ *
+ * @param   {object} clientManifest Client build manifest
+ * @param   {object} opts           Resource hint options, see defaults above
+ * @returns {object}                Resource hints instance
+ */
+module.exports = function createResourceHints(clientManifest, opts) {
+    const config = {
+        ...defaults,
+        ...opts,
+    };
+    const publicPath = getPublicPath(clientManifest);
+    const initial = clientManifest.initial || [];
+    const learned = new LRU({ max: config.maxPaths });
+
+    const toLink = (file) => {
+        const as = getAsType(file);
+        const crossorigin = as === 'font' ? '; crossorigin' : '';
+        return `<${publicPath}${file}>; rel=preload; as=${as}${crossorigin}`;
+    };
+
+    return {
+        config,
+
+        /**
+         * Return Link header values for the given request
+         *
+         * @param   {string}   url       Request URL
+         * @param   {object[]} usedFiles Files used by the current render, from
+         *                               context.getPreloadFiles(), if known
+         * @returns {string[]}           Link header values
+         */
+        getLinks(url, usedFiles) {
+            const asyncFiles = usedFiles ?
+                usedFiles.map(f => f.file) :
+                learned.get(getPath(url)) || [];
+            return uniq([...initial, ...asyncFiles])
+                .filter(file => config.types.includes(getAsType(file)))
+                .slice(0, config.max)
+                .map(toLink);
+        },
+
+        /**
+         * Remember the async chunks used to render a given path, for hinting on
+         * subsequent requests before their render starts
+         *
+         * @param   {string}   url       Request URL
+         * @param   {object[]} usedFiles Files from context.getPreloadFiles()
+         * @returns {undefined}          No return value
+         */
+        learn(url, usedFiles) {
+            const asyncFiles = usedFiles
+                .map(f => f.file)
+                .filter(file => !initial.includes(file));
+            learned.set(getPath(url), asyncFiles);
+        },
+    };
+};
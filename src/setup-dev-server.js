@@ -1,6 +1,7 @@
 /* eslint-disable no-console */
 
 const fs = require('fs');
+const path = require('path');
 
 /* eslint-disable import/no-extraneous-dependencies */
 const MFS = require('memory-fs');
@@ -10,7 +11,7 @@ const webpackHotMiddleware = require('webpack-hot-middleware');
 const webpackDevMiddleware = require('webpack-dev-middleware');
 /* eslint-enable import/no-extraneous-dependencies */
 
-module.exports = function setupDevServer(app, config, cb) {
+module.exports = function setupDevServer(use, config, cb) {
     const mfs = new MFS();
     let serverBundle;
     let template;
@@ -35,14 +36,16 @@ module.exports = function setupDevServer(app, config, cb) {
 
     // read template from disk and watch
     template = fs.readFileSync(config.templatePath, 'utf-8');
-    chokidar.watch(config.templatePath).on('change', () => {
+    const watcher = chokidar.watch(config.templatePath).on('change', () => {
         console.error('Template file updated');
         template = fs.readFileSync(config.templatePath, 'utf-8');
         update();
     });
 
-    // modify client config to work with hot middleware
+    // modify client config to work with hot middleware, passing along the CSP
+    // nonce for the scripts it loads
     clientConfig.entry.app = [
+        ...(config.csp ? [path.join(__dirname, 'hmr-nonce.js')] : []),
         'webpack-hot-middleware/client',
         clientConfig.entry.app,
     ];
@@ -55,8 +58,10 @@ module.exports = function setupDevServer(app, config, cb) {
     // Launch the client webpack build and update with the clientManifest
     console.log('Launching client webpack build');
     const clientCompiler = webpack(clientConfig);
-    app.use(webpackDevMiddleware(clientCompiler, { outputFileSystem: mfs }));
-    app.use(webpackHotMiddleware(clientCompiler, { heartbeat: 5000 }));
+    const devMiddleware = webpackDevMiddleware(clientCompiler, { outputFileSystem: mfs });
+    const hotMiddleware = webpackHotMiddleware(clientCompiler, { heartbeat: 5000 });
+    use(devMiddleware);
+    use(hotMiddleware);
 
     clientCompiler.hooks.done.tap('setup-dev-server', (stats) => {
         console.log('Completed client webpack build');
@@ -73,7 +78,7 @@ module.exports = function setupDevServer(app, config, cb) {
     console.log('Launching server webpack build');
     const serverCompiler = webpack(serverConfig);
     serverCompiler.outputFileSystem = mfs;
-    serverCompiler.watch({}, (err, stats) => {
+    const watching = serverCompiler.watch({}, (err, stats) => {
         console.log('Completed server webpack build');
         if (err) {
             throw err;
@@ -88,5 +93,13 @@ module.exports = function setupDevServer(app, config, cb) {
         update();
     });
 
-    return readyPromise;
+    return {
+        ready: readyPromise,
+        // Stop watching and building
+        close: () => Promise.all([
+            watcher.close(),
+            new Promise(r => watching.close(r)),
+            new Promise(r => devMiddleware.close(r)),
+        ]).then(() => hotMiddleware.close()),
+    };
 };
@@ -0,0 +1,142 @@
+const { validateHeaderName, validateHeaderValue } = require('http');
+
+// Cache-Control directives that mean a response can't be shared between users
+const PRIVATE_CACHE_CONTROL = /(^|,)\s*(private|no-store)\b/i;
+
+const SAME_SITE = ['Strict', 'Lax', 'None'];
+
+/**
+ * Serialize a cookie for the Set-Cookie header.  Options follow Express'
+ * res.cookie(), with maxAge in milliseconds
+ *
+ * @param   {string}  name             Cookie name
+ * @param   {string}  value            Cookie value, URI encoded in the header
+ * @param   {object}  opts             Cookie options
+ * @param   {string}  opts.domain      Domain attribute
+ * @param   {string}  opts.path        Path attribute, defaulting to /
+ * @param   {Date}    opts.expires     Expires attribute
+ * @param   {number}  opts.maxAge      Max-Age in milliseconds, also setting Expires
+ * @param   {boolean} opts.httpOnly    HttpOnly attribute
+ * @param   {boolean} opts.secure      Secure attribute
+ * @param   {string}  opts.sameSite    SameSite attribute (Strict, Lax or None)
+ * @returns {string}                   Set-Cookie header value
+ */
+function serializeCookie(name, value, opts = {}) {
+    if (!/^[\w!#$%&'*+.^`|~-]+$/.test(name)) {
+        throw new Error(`Invalid cookie name: ${name}`);
+    }
+    const parts = [`${name}=${encodeURIComponent(value)}`, `Path=${opts.path || '/'}`];
+    if (opts.domain) {
+        parts.push(`Domain=${opts.domain}`);
+    }
+    if (opts.maxAge != null) {
+        parts.push(`Max-Age=${Math.floor(opts.maxAge / 1000)}`);
+    }
+    const expires = opts.maxAge != null ? new Date(Date.now() + opts.maxAge) : opts.expires;
+    if (expires) {
+        parts.push(`Expires=${new Date(expires).toUTCString()}`);
+    }
+    if (opts.httpOnly) {
+        parts.push('HttpOnly');
+    }
+    if (opts.secure) {
+        parts.push('Secure');
+    }
+    if (opts.sameSite) {
+        const sameSite = String(opts.sameSite).toLowerCase();
+        parts.push(`SameSite=${SAME_SITE.find(s => s.toLowerCase() === sameSite) || 'Strict'}`);
+    }
+    return parts.join('; ');
+}
+
+/**
+ * Create the ssrContext.httpResponse object the app uses to set the status,
+ * headers and cookies of the response.  The state is held in plain enumerable
+ * fields and the methods are non-enumerable, so it can be posted to and from
+ * render worker threads, which restore the methods with createSsrResponse(data)
+ *
+ * @param   {object} data Existing state, i.e. from another thread
+ * @returns {object}      SSR response
+ */
+function createSsrResponse(data = {}) {
+    const response = {
+        status: data.status || null,
+        headers: { ...data.headers },
+        cookies: [...(data.cookies || [])],
+    };
+    return Object.defineProperties(response, {
+        setStatus: {
+            value(status) {
+                if (!Number.isInteger(status) || status < 100 || status > 599) {
+                    throw new Error(`Invalid response status: ${status}`);
+                }
+                response.status = status;
+                return response;
+            },
+        },
+        setHeader: {
+            value(name, value) {
+                // Throw for invalid headers now, rather than once the render is done
+                validateHeaderName(name);
+                if (value != null) {
+                    validateHeaderValue(name, value);
+                }
+                response.headers[name.toLowerCase()] = value;
+                return response;
+            },
+        },
+        setCookie: {
+            value(name, value, opts = {}) {
+                response.cookies.push(serializeCookie(name, value, opts));
+                return response;
+            },
+        },
+    });
+}
+
+/**
+ * Apply an SSR response to the Node response, before anything is written.  A
+ * null header value removes the header, and cookies are added to any Set-Cookie
+ * headers already set
+ *
+ * @param   {object} res      Node response
+ * @param   {object} response SSR response, or its state
+ * @returns {undefined}       No return value
+ */
+function applySsrResponse(res, response) {
+    if (response.status) {
+        res.statusCode = response.status;
+    }
+    Object.keys(response.headers).forEach((name) => {
+        const value = response.headers[name];
+        if (value == null) {
+            res.removeHeader(name);
+        } else {
+            res.setHeader(name, value);
+        }
+    });
+    if (response.cookies.length > 0) {
+        const existing = [].concat(res.getHeader('Set-Cookie') || []);
+        res.setHeader('Set-Cookie', [...existing, ...response.cookies]);
+    }
+}
+
+/**
+ * Determine whether a response can be served to other users from the page cache,
+ * which it can't if it sets cookies or is marked private or no-store
+ *
+ * @param   {object} response SSR response, or its state
+ * @returns {boolean}         Whether the response can be shared
+ */
+function isShareable(response) {
+    const cacheControl = response.headers['cache-control'];
+    return response.cookies.length === 0 &&
+        !(cacheControl && PRIVATE_CACHE_CONTROL.test(cacheControl));
+}
+
+module.exports = {
+    applySsrResponse,
+    createSsrResponse,
+    isShareable,
+    serializeCookie,
+};
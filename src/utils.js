@@ -33,6 +33,18 @@ export function getMatchedComponents(route) {
     return route.matched.flatMap(r => Object.values(r.components));
 }
 
+/**
+ * Determine whether a route opts out of SSR, via ssr: false in the meta of any
+ * matched route record or on any matched component
+ *
+ * @param   {Object} route VueRouter route instance
+ * @returns {boolean}      True if the route should only be rendered on the client
+ */
+export function isClientOnlyRoute(route) {
+    return route.matched.some(r => (r.meta && r.meta.ssr === false)) ||
+        getMatchedComponents(route).some(c => c.ssr === false);
+}
+
 /* eslint-disable max-params */
 /**
  * Return a consistent structure for the object passed to fetchData and related hooks
@@ -0,0 +1,101 @@
+// SSR context fields that only make sense on the main thread
+const MAIN_THREAD_FIELDS = ['request', 'response', 'clientManifest'];
+
+// Request properties apps commonly read from the SSR context during fetchData
+const REQUEST_FIELDS = ['method', 'url', 'originalUrl', 'headers', 'cookies', 'query'];
+
+/**
+ * Convert an error into a plain object that can be posted between threads,
+ * retaining properties such as code and url that our error handling relies on
+ *
+ * @param   {*}      err Error, or any value thrown or rejected during a render
+ * @returns {object}     Serializable error
+ */
+function serializeError(err) {
+    if (!(err instanceof Error)) {
+        return { value: err };
+    }
+    return {
+        ...err,
+        name: err.name,
+        message: err.message,
+        stack: err.stack,
+        isError: true,
+    };
+}
+
+/**
+ * Restore an error serialized by serializeError
+ *
+ * @param   {object} data Serializable error
+ * @returns {*}           Error, or the original non-Error value
+ */
+function deserializeError(data) {
+    if (!data.isError) {
+        return data.value;
+    }
+    const { isError, ...props } = data;
+    return Object.assign(new Error(props.message), props);
+}
+
+/**
+ * Return the parts of an SSR context that can be posted between threads,
+ * dropping functions, main-thread-only fields and vue-server-renderer internals
+ *
+ * @param   {object} context SSR context
+ * @returns {object}         Serializable context
+ */
+function serializeContext(context) {
+    return Object.keys(context).reduce((acc, k) => {
+        const value = context[k];
+        if (MAIN_THREAD_FIELDS.includes(k) || k.startsWith('_') || typeof value === 'function') {
+            return acc;
+        }
+        return {
+            ...acc,
+            [k]: value instanceof Error ? serializeError(value) : value,
+        };
+    }, {});
+}
+
+/**
+ * Restore a context serialized by serializeContext
+ *
+ * @param   {object} data Serializable context
+ * @returns {object}      Context, with any errors restored
+ */
+function deserializeContext(data) {
+    return Object.keys(data).reduce((acc, k) => {
+        const value = data[k];
+        return {
+            ...acc,
+            [k]: value && value.isError ? deserializeError(value) : value,
+        };
+    }, {});
+}
+
+/**
+ * Return a serializable snapshot of the request for renders on a worker thread
+ *
+ * @param   {object} req Incoming request
+ * @returns {object}     Request snapshot, or null if there is no request
+ */
+function getRequestSnapshot(req) {
+    if (!req) {
+        return null;
+    }
+    return REQUEST_FIELDS
+        .filter(k => req[k] !== undefined)
+        .reduce((acc, k) => ({
+            ...acc,
+            [k]: req[k],
+        }), {});
+}
+
+module.exports = {
+    deserializeContext,
+    deserializeError,
+    getRequestSnapshot,
+    serializeContext,
+    serializeError,
+};
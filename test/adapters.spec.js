@@ -0,0 +1,186 @@
+import {
+    getAdapter,
+    redirect,
+    runMiddleware,
+    send,
+} from '../src/adapters';
+
+describe('adapters', () => {
+    const getRes = () => {
+        const headers = {};
+        const listeners = {};
+        return {
+            statusCode: 200,
+            headers,
+            setHeader: (k, v) => { headers[k.toLowerCase()] = v; },
+            getHeader: k => headers[k.toLowerCase()],
+            once: (event, fn) => { listeners[event] = fn; },
+            emit: event => listeners[event](),
+            end: jest.fn(),
+        };
+    };
+
+    describe('send', () => {
+
+        it('should send a complete html response', () => {
+            const res = getRes();
+            send(res, 404, 'Not Found ✓');
+            expect(res.statusCode).toBe(404);
+            expect(res.headers['content-type']).toBe('text/html; charset=utf-8');
+            expect(res.headers['content-length']).toBe(13);
+            expect(res.end).toHaveBeenCalledWith('Not Found ✓');
+        });
+
+        it('should retain an existing content type', () => {
+            const res = getRes();
+            res.setHeader('Content-Type', 'text/html');
+            send(res, 200, 'html');
+            expect(res.headers['content-type']).toBe('text/html');
+        });
+
+    });
+
+    describe('redirect', () => {
+
+        it('should send a redirect', () => {
+            const res = getRes();
+            redirect(res, '/login');
+            expect(res.statusCode).toBe(302);
+            expect(res.headers.location).toBe('/login');
+            expect(res.headers['content-type']).toBe('text/plain; charset=utf-8');
+            redirect(res, '/moved', 301);
+            expect(res.statusCode).toBe(301);
+        });
+
+        it('should encode the location', () => {
+            const res = getRes();
+            const location = '/%E5%95%86%E5%93%81/1?q=a%20b#top';
+            redirect(res, '/商品/1?q=a b#top');
+            expect(res.headers.location).toBe(location);
+            expect(res.end).toHaveBeenCalledWith(`Redirecting to ${location}`);
+        });
+
+        it('should keep existing escapes and replace unpaired surrogates', () => {
+            const res = getRes();
+            redirect(res, '/a%20b/100%/\ud800');
+            expect(res.headers.location).toBe('/a%20b/100%25/%EF%BF%BD');
+        });
+
+    });
+
+    describe('runMiddleware', () => {
+
+        it('should run middleware in order', () => {
+            const calls = [];
+            const done = jest.fn();
+            runMiddleware([
+                (req, res, next) => { calls.push(1); next(); },
+                (req, res, next) => { calls.push(2); next(); },
+            ], {}, {}, done);
+            expect(calls).toEqual([1, 2]);
+            expect(done).toHaveBeenCalledWith();
+        });
+
+        it('should stop on errors', () => {
+            const err = new Error('error');
+            const second = jest.fn();
+            const done = jest.fn();
+            runMiddleware([(req, res, next) => next(err), second], {}, {}, done);
+            expect(second).not.toHaveBeenCalled();
+            expect(done).toHaveBeenCalledWith(err);
+        });
+
+        it('should stop when middleware handles the request', () => {
+            const done = jest.fn();
+            runMiddleware([() => {}], {}, {}, done);
+            expect(done).not.toHaveBeenCalled();
+        });
+
+    });
+
+    describe('getAdapter', () => {
+        const req = {};
+        const handle = jest.fn();
+
+        beforeEach(() => handle.mockReset());
+
+        it('should reject unknown adapters', () => {
+            expect(() => getAdapter('hapi')).toThrow('Unknown renderer adapter "hapi"');
+        });
+
+        it('should default custom adapters to the http adapter', () => {
+            const custom = { handler: jest.fn() };
+            const adapter = getAdapter(custom);
+            expect(adapter.handler).toBe(custom.handler);
+            expect(adapter.send).toBe(send);
+            expect(adapter.use).toBe(null);
+        });
+
+        it('should support express', () => {
+            const { use, handler, send: expressSend } = getAdapter('express');
+            const app = { use: jest.fn() };
+            const middleware = jest.fn();
+            use(app, middleware);
+            expect(app.use).toHaveBeenCalledWith(middleware);
+
+            const res = { status: jest.fn(() => res), send: jest.fn() };
+            const next = jest.fn();
+            handler(handle)(req, res, next);
+            expect(handle).toHaveBeenCalledWith(req, res, next);
+            expressSend(res, 404, 'html');
+            expect(res.status).toHaveBeenCalledWith(404);
+            expect(res.send).toHaveBeenCalledWith('html');
+        });
+
+        it('should support plain node http', () => {
+            const res = getRes();
+            getAdapter('http').handler(handle)(req, res);
+            expect(handle).toHaveBeenCalledWith(req, res);
+        });
+
+        it('should support koa', async () => {
+            const { use, handler } = getAdapter('koa');
+            const ctx = { req, res: getRes() };
+            ctx.res.statusCode = 404;
+            handler(handle)(ctx);
+            expect(ctx.respond).toBe(false);
+            expect(ctx.res.statusCode).toBe(200);
+            expect(handle).toHaveBeenCalledWith(ctx.req, ctx.res);
+
+            const app = { use: jest.fn() };
+            const next = jest.fn(() => 'next');
+            use(app, (rq, rs, nxt) => nxt());
+            const passThrough = app.use.mock.calls[0][0];
+            await expect(passThrough(ctx, next)).resolves.toBe('next');
+            expect(ctx.respond).toBe(true);
+
+            use(app, (rq, rs, nxt) => nxt(new Error('error')));
+            await expect(app.use.mock.calls[1][0](ctx, next)).rejects.toThrow('error');
+
+            use(app, () => {});
+            const handled = app.use.mock.calls[2][0](ctx, next);
+            expect(ctx.respond).toBe(false);
+            ctx.res.emit('close');
+            await expect(handled).resolves.toBe(undefined);
+        });
+
+        it('should support fastify', () => {
+            const { use, handler } = getAdapter('fastify');
+            const request = { raw: req };
+            const reply = { raw: getRes(), hijack: jest.fn() };
+            handler(handle)(request, reply);
+            expect(reply.hijack).toHaveBeenCalled();
+            expect(handle).toHaveBeenCalledWith(req, reply.raw);
+
+            const app = { addHook: jest.fn() };
+            const middleware = jest.fn();
+            const done = jest.fn();
+            use(app, middleware);
+            expect(app.addHook.mock.calls[0][0]).toBe('onRequest');
+            app.addHook.mock.calls[0][1](request, reply, done);
+            expect(middleware).toHaveBeenCalledWith(req, reply.raw, done);
+        });
+
+    });
+
+});
@@ -0,0 +1,37 @@
+import { getAsType, getPublicPath } from '../src/client-manifest';
+
+describe('client-manifest', () => {
+
+    describe('getPublicPath', () => {
+
+        it('should add a trailing slash', () => {
+            expect(getPublicPath({ publicPath: '/dist' })).toBe('/dist/');
+            expect(getPublicPath({ publicPath: '/dist/' })).toBe('/dist/');
+            expect(getPublicPath({ publicPath: 'https://cdn.example.com' }))
+                .toBe('https://cdn.example.com/');
+        });
+
+        it('should leave an empty public path empty', () => {
+            expect(getPublicPath({ publicPath: '' })).toBe('');
+        });
+
+    });
+
+    describe('getAsType', () => {
+
+        it('should return the preload type of a file', () => {
+            expect(getAsType('app.js')).toBe('script');
+            expect(getAsType('app.CSS')).toBe('style');
+            expect(getAsType('logo.svg')).toBe('image');
+            expect(getAsType('font.woff2')).toBe('font');
+            expect(getAsType('data.json')).toBe('');
+        });
+
+        it('should ignore query strings', () => {
+            expect(getAsType('app.js?v=1.2')).toBe('script');
+            expect(getAsType('app.css?v=1')).toBe('style');
+        });
+
+    });
+
+});
@@ -0,0 +1,387 @@
+import {
+    createComponentCache,
+    createLRUCache,
+    createSharedCache,
+} from '../src/component-cache';
+
+// Local in-memory stand-in for a shared store client such as redis
+function createMemoryStore() {
+    const data = new Map();
+    return {
+        data,
+        get: jest.fn(key => Promise.resolve(data.has(key) ? data.get(key) : null)),
+        set: jest.fn((key, value) => {
+            data.set(key, value);
+            return Promise.resolve();
+        }),
+    };
+}
+
+const cacheGet = (cache, key) => new Promise(r => cache.get(key, r));
+const cacheHas = (cache, key) => new Promise(r => cache.has(key, r));
+
+// Call fn with a callback that throws, as vue-server-renderer's may when the render
+// fails, expecting the throw to come from a later tick rather than be swallowed by
+// a promise chain
+async function expectThrowOnNextTick(fn) {
+    const err = new Error('Render failed');
+    const cb = jest.fn(() => {
+        throw err;
+    });
+    const ticks = [];
+    const spy = jest.spyOn(process, 'nextTick').mockImplementation((...args) => {
+        ticks.push(args);
+    });
+    fn(cb);
+    await new Promise(r => setTimeout(r));
+    spy.mockRestore();
+    expect(cb).not.toHaveBeenCalled();
+    const thrown = ticks.map(([tick, ...args]) => {
+        try {
+            tick(...args);
+            return null;
+        } catch (e) {
+            return e;
+        }
+    });
+    expect(thrown.filter(Boolean)).toEqual([err]);
+    expect(cb).toHaveBeenCalledTimes(1);
+}
+
+describe('component-cache', () => {
+    const noop = () => {};
+    const logger = {
+        debug: noop,
+        error: noop,
+    };
+    const config = {
+        name: 'default',
+        logger,
+        componentCache: null,
+        componentCacheDebug: false,
+        componentCacheMaxAge: 1000,
+        componentCacheMaxSize: 10,
+    };
+
+    describe('createLRUCache', () => {
+
+        it('should limit by html length', () => {
+            const cache = createLRUCache(config);
+            cache.set('a', { html: '12345' });
+            cache.set('b', { html: '12345' });
+            expect(cache.length).toBe(10);
+            cache.set('c', { html: '1' });
+            expect(cache.has('a')).toBe(false);
+            expect(cache.get('c')).toEqual({ html: '1' });
+        });
+
+        it('should count invalid entries as length 1', () => {
+            const cache = createLRUCache(config);
+            cache.set('a', null);
+            cache.set('b', {});
+            expect(cache.length).toBe(2);
+        });
+
+        it('should log entries in debug mode', () => {
+            const debugLogger = { debug: jest.fn() };
+            const cache = createLRUCache({
+                ...config,
+                logger: debugLogger,
+                componentCacheDebug: true,
+            });
+            cache.set('a', { html: '123' });
+            expect(debugLogger.debug).toHaveBeenCalledWith(
+                'Adding component cache entry: key=a, length=3',
+            );
+        });
+
+    });
+
+    describe('createComponentCache', () => {
+
+        it('should default to the built-in LRU cache', async () => {
+            const cache = createComponentCache(config);
+            cache.set('a', { html: '12345' });
+            expect(await cacheHas(cache, 'a')).toBe(true);
+            expect(cache.getStats()).toEqual(expect.objectContaining({
+                entries: 1,
+                bytes: 5,
+            }));
+        });
+
+        it('should reject invalid caches', () => {
+            expect(() => createComponentCache({
+                ...config,
+                componentCache: { get: noop },
+            })).toThrow('componentCache must implement at least get & set');
+        });
+
+        it('should support sync caches', async () => {
+            const store = new Map();
+            const cache = createComponentCache({ ...config, componentCache: store });
+            expect(cache.get.length).toBe(2);
+            cache.set('a', { html: 'a' });
+            expect(await cacheHas(cache, 'a')).toBe(true);
+            expect(await cacheGet(cache, 'a')).toEqual({ html: 'a' });
+            expect(await cacheGet(cache, 'b')).toBe(undefined);
+        });
+
+        it('should support caches without has', () => {
+            const cache = createComponentCache({
+                ...config,
+                componentCache: { get: noop, set: noop },
+            });
+            expect(cache.has).toBe(undefined);
+            expect(cache.getStats()).toEqual(expect.objectContaining({
+                entries: null,
+                bytes: null,
+            }));
+        });
+
+        it('should support callback caches', async () => {
+            const componentCache = {
+                get: jest.fn((key, cb) => setTimeout(() => cb({ html: key }))),
+                set: noop,
+                has: (key, cb) => setTimeout(() => cb(true)),
+            };
+            const cache = createComponentCache({ ...config, componentCache });
+            expect(await cacheHas(cache, 'a')).toBe(true);
+            expect(await cacheGet(cache, 'a')).toEqual({ html: 'a' });
+            expect(componentCache.get).toHaveBeenCalledWith('a', expect.any(Function));
+        });
+
+        it('should support promise caches', async () => {
+            const componentCache = {
+                get: key => Promise.resolve({ html: key }),
+                set: noop,
+                has: key => (key === 'error' ?
+                    Promise.reject(new Error('error')) :
+                    Promise.resolve(true)),
+            };
+            const cache = createComponentCache({ ...config, componentCache });
+            expect(await cacheHas(cache, 'a')).toBe(true);
+            expect(await cacheHas(cache, 'error')).toBe(undefined);
+            expect(await cacheGet(cache, 'a')).toEqual({ html: 'a' });
+        });
+
+        it('should call back outside the promise chain', async () => {
+            const componentCache = {
+                get: () => Promise.resolve(),
+                set: noop,
+            };
+            const cache = createComponentCache({ ...config, componentCache });
+            await expectThrowOnNextTick(cb => cache.get('a', cb));
+        });
+
+    });
+
+    describe('getStats', () => {
+
+        it('should record hits and misses from has', async () => {
+            const cache = createComponentCache(config);
+            cache.set('a', { html: 'a' });
+            await cacheHas(cache, 'a');
+            await cacheGet(cache, 'a');
+            await cacheHas(cache, 'b');
+            expect(cache.getStats()).toEqual({
+                hits: 1,
+                misses: 1,
+                sets: 1,
+                evictions: 0,
+                invalidations: 0,
+                bytesWritten: 1,
+                hitRatio: 0.5,
+                entries: 1,
+                bytes: 1,
+            });
+        });
+
+        it('should record hits and misses from get without has', async () => {
+            const store = new Map();
+            const cache = createComponentCache({
+                ...config,
+                componentCache: {
+                    get: key => store.get(key),
+                    set: (key, value) => store.set(key, value),
+                },
+            });
+            expect(cache.getStats().hitRatio).toBe(0);
+            cache.set('a', { html: 'abc' });
+            await cacheGet(cache, 'a');
+            await cacheGet(cache, 'a');
+            await cacheGet(cache, 'b');
+            await cacheGet(cache, 'c');
+            expect(cache.getStats()).toEqual(expect.objectContaining({
+                hits: 2,
+                misses: 2,
+                bytesWritten: 3,
+                hitRatio: 0.5,
+            }));
+        });
+
+        it('should record evictions from the built-in cache', () => {
+            const cache = createComponentCache(config);
+            cache.set('a', { html: '123456' });
+            cache.set('b', { html: '123456' });
+            cache.set('b', { html: '12345' });
+            expect(cache.getStats().evictions).toBe(1);
+        });
+
+    });
+
+    describe('invalidate', () => {
+        const populate = (cache) => {
+            cache.set('Header::1', { html: 'a' });
+            cache.set('Header::2', { html: 'b' });
+            cache.set('Footer::1', { html: 'c' });
+        };
+
+        it('should invalidate by key', async () => {
+            const cache = createComponentCache(config);
+            populate(cache);
+            expect(await cache.invalidate({ key: 'Header::1' })).toBe(1);
+            expect(await cacheHas(cache, 'Header::1')).toBe(false);
+            expect(await cacheHas(cache, 'Header::2')).toBe(true);
+        });
+
+        it('should invalidate by prefix', async () => {
+            const cache = createComponentCache(config);
+            populate(cache);
+            expect(await cache.invalidate({ prefix: 'Head' })).toBe(2);
+            expect(await cacheHas(cache, 'Footer::1')).toBe(true);
+        });
+
+        it('should invalidate by component name', async () => {
+            const cache = createComponentCache(config);
+            populate(cache);
+            expect(await cache.invalidate({ component: 'Footer' })).toBe(1);
+            expect(await cacheHas(cache, 'Header::1')).toBe(true);
+            expect(await cacheHas(cache, 'Footer::1')).toBe(false);
+            expect(cache.getStats()).toEqual(expect.objectContaining({
+                evictions: 0,
+                invalidations: 1,
+            }));
+        });
+
+        it('should flush all entries', async () => {
+            const cache = createComponentCache(config);
+            populate(cache);
+            expect(await cache.invalidate()).toBe(3);
+            expect(cache.getStats().entries).toBe(0);
+            expect(cache.getStats().evictions).toBe(0);
+        });
+
+        it('should flush caches without keys', async () => {
+            const componentCache = { get: noop, set: noop, reset: jest.fn() };
+            const cache = createComponentCache({ ...config, componentCache });
+            expect(await cache.invalidate()).toBe(null);
+            expect(componentCache.reset).toHaveBeenCalled();
+        });
+
+        it('should flush caches without reset', async () => {
+            const store = new Map([['a', { html: 'a' }]]);
+            const componentCache = {
+                get: noop,
+                set: noop,
+                keys: () => [...store.keys()],
+                del: key => store.delete(key),
+            };
+            const cache = createComponentCache({ ...config, componentCache });
+            expect(await cache.invalidate()).toBe(1);
+            expect(store.size).toBe(0);
+        });
+
+        it('should reject when the backend does not support invalidation', async () => {
+            const cache = createComponentCache({
+                ...config,
+                componentCache: { get: noop, set: noop },
+            });
+            await expect(cache.invalidate({ key: 'a' })).rejects.toThrow(
+                'componentCache must implement del to support invalidation',
+            );
+            await expect(cache.invalidate()).rejects.toThrow(
+                'componentCache must implement keys to support invalidation',
+            );
+        });
+
+    });
+
+    describe('createSharedCache', () => {
+
+        it('should share html through the store', async () => {
+            const client = createMemoryStore();
+            const cache1 = createSharedCache({ client, logger });
+            const cache2 = createSharedCache({ client, logger, maxAge: 5000 });
+            const components = new Set([noop]);
+            cache1.set('a', { html: '<div></div>', components });
+            await Promise.resolve();
+            expect(client.set).toHaveBeenCalledWith('vue-ssr:a', '{"html":"<div></div>"}', 900000);
+
+            // Same process retains component hooks
+            expect(await cacheGet(cache1, 'a')).toEqual({ html: '<div></div>', components });
+
+            // Other processes only get the html
+            const result = await cacheGet(cache2, 'a');
+            expect(result.html).toBe('<div></div>');
+            expect(result.components.size).toBe(0);
+
+            expect(await cacheGet(cache2, 'b')).toBe(undefined);
+        });
+
+        it('should support invalidation when the client does', async () => {
+            const client = createMemoryStore();
+            client.del = key => Promise.resolve(client.data.delete(key));
+            client.keys = prefix => Promise.resolve(
+                [...client.data.keys()].filter(k => k.startsWith(prefix)),
+            );
+            client.data.set('other', 'x');
+            const cache = createComponentCache({
+                ...config,
+                componentCache: createSharedCache({ client, logger }),
+            });
+            cache.set('Header::1', { html: 'a', components: new Set() });
+            cache.set('Footer::1', { html: 'b', components: new Set() });
+            await new Promise(r => setTimeout(r));
+            expect(await cache.invalidate({ component: 'Header' })).toBe(1);
+            expect([...client.data.keys()]).toEqual(['other', 'vue-ssr:Footer::1']);
+        });
+
+        it('should support a key prefix', async () => {
+            const client = createMemoryStore();
+            const cache = createSharedCache({ client, logger, prefix: 'build-1:' });
+            cache.set('a', { html: 'a', components: new Set() });
+            await Promise.resolve();
+            expect(client.data.has('build-1:a')).toBe(true);
+        });
+
+        it('should treat store errors as cache misses', async () => {
+            const errorLogger = { error: jest.fn() };
+            const client = {
+                get: () => Promise.reject(new Error('get error')),
+                set: () => {
+                    throw new Error('set error');
+                },
+            };
+            const cache = createSharedCache({ client, logger: errorLogger });
+            expect(await cacheGet(cache, 'a')).toBe(undefined);
+            cache.set('a', { html: 'a', components: new Set() });
+            await new Promise(r => setTimeout(r));
+            expect(errorLogger.error).toHaveBeenCalledTimes(2);
+        });
+
+        it('should call back outside the promise chain', async () => {
+            const cache = createSharedCache({ client: createMemoryStore(), logger });
+            await expectThrowOnNextTick(cb => cache.get('a', cb));
+        });
+
+        it('should default to the console logger', async () => {
+            const spy = jest.spyOn(console, 'error').mockImplementation(noop);
+            const cache = createSharedCache({ client: { get: () => '{' } });
+            expect(await cacheGet(cache, 'a')).toBe(undefined);
+            expect(spy).toHaveBeenCalled();
+            spy.mockRestore();
+        });
+
+    });
+
+});
@@ -0,0 +1,171 @@
+import {
+    addNonceToPolicy,
+    createNonce,
+    createNonceInjector,
+    getCspConfig,
+    setCspHeader,
+} from '../src/csp';
+
+function createResponse(headers = {}) {
+    return {
+        headers: { ...headers },
+        getHeader(name) {
+            return this.headers[name];
+        },
+        setHeader(name, value) {
+            this.headers[name] = value;
+        },
+    };
+}
+
+describe('csp', () => {
+    const config = getCspConfig(true);
+
+    describe('createNonce', () => {
+
+        it('should create unique base64 nonces', () => {
+            const nonce = createNonce();
+            expect(nonce).toMatch(/^[A-Za-z0-9+/]{22}==$/);
+            expect(createNonce()).not.toBe(nonce);
+        });
+
+    });
+
+    describe('addNonceToPolicy', () => {
+
+        it('should add the nonce to script-src and style-src', () => {
+            const policy = "default-src 'self'; script-src 'self'; style-src 'self';";
+            expect(addNonceToPolicy(policy, 'abc', true)).toBe(
+                "default-src 'self'; script-src 'self' 'nonce-abc'; style-src 'self' 'nonce-abc'",
+            );
+        });
+
+        it('should fall back to default-src', () => {
+            expect(addNonceToPolicy("default-src 'self'; img-src *", 'abc', true)).toBe(
+                "default-src 'self' 'nonce-abc'; img-src *",
+            );
+            expect(addNonceToPolicy("default-src 'self'; script-src 'self'", 'abc', true)).toBe(
+                "default-src 'self' 'nonce-abc'; script-src 'self' 'nonce-abc'",
+            );
+        });
+
+        it('should leave style-src alone when styles are disabled', () => {
+            expect(addNonceToPolicy("script-src 'self'; style-src 'self'", 'abc', false)).toBe(
+                "script-src 'self' 'nonce-abc'; style-src 'self'",
+            );
+        });
+
+    });
+
+    describe('setCspHeader', () => {
+
+        it('should extend existing policies', () => {
+            const res = createResponse({
+                'Content-Security-Policy': "script-src 'self'",
+                'Content-Security-Policy-Report-Only': ["script-src 'none'", 'style-src *'],
+            });
+            setCspHeader(res, 'abc', getCspConfig({ policy: "script-src 'strict-dynamic'" }));
+            expect(res.headers).toEqual({
+                'Content-Security-Policy': ["script-src 'self' 'nonce-abc'"],
+                'Content-Security-Policy-Report-Only': [
+                    "script-src 'none' 'nonce-abc'",
+                    "style-src * 'nonce-abc'",
+                ],
+            });
+        });
+
+        it('should set the configured policy', () => {
+            const res = createResponse();
+            setCspHeader(res, 'abc', getCspConfig({ policy: "script-src 'self'" }));
+            expect(res.headers).toEqual({
+                'Content-Security-Policy': "script-src 'self' 'nonce-abc'",
+            });
+        });
+
+        it('should set a report-only policy', () => {
+            const res = createResponse();
+            setCspHeader(res, 'abc', getCspConfig({
+                policy: "script-src 'self'",
+                reportOnly: true,
+            }));
+            expect(res.headers).toEqual({
+                'Content-Security-Policy-Report-Only': "script-src 'self' 'nonce-abc'",
+            });
+        });
+
+        it('should not set a header without a policy', () => {
+            const res = createResponse();
+            setCspHeader(res, 'abc', config);
+            expect(res.headers).toEqual({});
+        });
+
+    });
+
+    describe('createNonceInjector', () => {
+        const clientManifest = {
+            publicPath: '/dist',
+            all: ['app.js', 'app.css', 'chunk.js'],
+        };
+        const head = [
+            '<html><head><script>var analytics;</script>',
+            '<link rel="preload" href="/dist/app.js" as="script">',
+            '<link rel="stylesheet" href="/dist/app.css">',
+            '<style data-vue-ssr-id="1">.a{}</style></head><body>',
+        ].join('');
+        const app = [
+            '<div id="app" data-server-rendered="true">',
+            '<script>alert(1)</script><style>.b{}</style>',
+            '<link rel="stylesheet" href="/evil.css"></div>',
+        ].join('');
+        const tail = [
+            '<script nonce="abc">window.__INITIAL_STATE__={}</script>',
+            '<script src="/dist/app.js" defer></script>',
+            '<script src="/evil.js"></script></body></html>',
+        ].join('');
+
+        const expected = {
+            head: [
+                '<html><head><script nonce="abc">var analytics;</script>',
+                '<link nonce="abc" rel="preload" href="/dist/app.js" as="script">',
+                '<link nonce="abc" rel="stylesheet" href="/dist/app.css">',
+                '<style nonce="abc" data-vue-ssr-id="1">.a{}</style></head><body>',
+            ].join(''),
+            tail: [
+                '<script nonce="abc">window.__INITIAL_STATE__={}</script>',
+                '<script nonce="abc" src="/dist/app.js" defer></script>',
+                '<script src="/evil.js"></script></body></html>',
+            ].join(''),
+        };
+
+        it('should only add the nonce to the template and manifest files', () => {
+            const inject = createNonceInjector(clientManifest, 'abc', config);
+            expect(inject(head + app + tail)).toBe(expected.head + app + expected.tail);
+        });
+
+        it('should track the app root across streamed chunks', () => {
+            const inject = createNonceInjector(clientManifest, 'abc', config);
+            expect(inject(head)).toBe(expected.head);
+            expect(inject(app)).toBe(app);
+            expect(inject(tail)).toBe(expected.tail);
+        });
+
+        it('should skip styles when disabled', () => {
+            const inject = createNonceInjector(
+                { publicPath: '', all: ['app.css'] },
+                'abc',
+                getCspConfig({ styles: false }),
+            );
+            const html = '<link rel="stylesheet" href="app.css"><style>.a{}</style>';
+            expect(inject(html)).toBe(html);
+        });
+
+        it('should handle manifests without files', () => {
+            const inject = createNonceInjector({ publicPath: '/' }, 'abc', config);
+            expect(inject(`${app}<script src="/app.js"></script>`)).toBe(
+                `${app}<script src="/app.js"></script>`,
+            );
+        });
+
+    });
+
+});
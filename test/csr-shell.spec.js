@@ -0,0 +1,104 @@
+import { createShellRenderer, getCsrFallbackConfig } from '../src/csr-shell';
+
+describe('csr-shell', () => {
+    const template = [
+        '<html><head><title>{{ title }}</title></head>',
+        '<body><!--vue-ssr-outlet--></body></html>',
+    ].join('');
+    const clientManifest = {
+        publicPath: '/dist',
+        all: ['runtime.js', 'app.js', 'app.css', 'logo.png', 'async.js'],
+        initial: ['runtime.js', 'app.js', 'app.css', 'logo.png'],
+        async: ['async.js'],
+        modules: {},
+    };
+
+    describe('getCsrFallbackConfig', () => {
+
+        it('should apply defaults', () => {
+            expect(getCsrFallbackConfig({ timeout: true })).toEqual({
+                timeout: true,
+                error: false,
+                appId: 'app',
+                status: 200,
+            });
+        });
+
+    });
+
+    describe('createShellRenderer', () => {
+
+        it('should render the template with an empty outlet and client resources', () => {
+            const renderShell = createShellRenderer({ template, clientManifest });
+            const html = renderShell({ title: 'Test <App>' }, 'timeout');
+            expect(html).toBe([
+                '<html><head><title>Test &lt;App&gt;</title>',
+                '<link rel="preload" href="/dist/runtime.js" as="script">',
+                '<link rel="preload" href="/dist/app.js" as="script">',
+                '<link rel="preload" href="/dist/app.css" as="style">',
+                '<link rel="stylesheet" href="/dist/app.css">',
+                '</head><body>',
+                '<div id="app" data-csr-fallback="timeout"></div>',
+                '<script src="/dist/runtime.js" defer></script>',
+                '<script src="/dist/app.js" defer></script>',
+                '</body></html>',
+            ].join(''));
+        });
+
+        it('should include context.head', () => {
+            const renderShell = createShellRenderer({
+                template,
+                clientManifest: { publicPath: '' },
+                csrFallback: { appId: 'root' },
+            });
+            const html = renderShell({ title: 'Test', head: '<meta name="a">' }, 'error');
+            expect(html).toBe([
+                '<html><head><title>Test</title><meta name="a"></head><body>',
+                '<div id="root" data-csr-fallback="error"></div>',
+                '</body></html>',
+            ].join(''));
+        });
+
+        it('should expose render functions when not injecting', () => {
+            const renderShell = createShellRenderer({
+                template: [
+                    '<html><head>{{{ renderStyles() }}}{{{ renderState() }}}</head><body>',
+                    '<!--vue-ssr-outlet-->',
+                    '{{{ renderScripts() }}}{{ getPreloadFiles().length }}',
+                    '</body></html>',
+                ].join(''),
+                clientManifest,
+                inject: false,
+            });
+            const html = renderShell({}, 'timeout');
+            expect(html).toBe([
+                '<html><head><link rel="stylesheet" href="/dist/app.css"></head><body>',
+                '<div id="app" data-csr-fallback="timeout"></div>',
+                '<script src="/dist/runtime.js" defer></script>',
+                '<script src="/dist/app.js" defer></script>',
+                '4</body></html>',
+            ].join(''));
+        });
+
+        it('should support templates without a head', () => {
+            const renderShell = createShellRenderer({
+                template: '<body><!--vue-ssr-outlet--></body>',
+                clientManifest: { publicPath: '/' },
+            });
+            expect(renderShell({}, 'error'))
+                .toBe('<body><div id="app" data-csr-fallback="error"></div></body>');
+            const renderBare = createShellRenderer({
+                template: '<!--vue-ssr-outlet-->',
+                clientManifest: { publicPath: '/' },
+            });
+            expect(renderBare({}, 'error')).toBe('<div id="app" data-csr-fallback="error"></div>');
+        });
+
+        it('should require an outlet', () => {
+            expect(() => createShellRenderer({ template: '<html></html>', clientManifest }))
+                .toThrow('Content placeholder not found in template.');
+        });
+
+    });
+
+});
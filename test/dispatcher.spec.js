@@ -0,0 +1,137 @@
+import { bucket, createDispatcher } from '../src/dispatcher';
+
+describe('dispatcher', () => {
+
+    describe('bucket', () => {
+        const ids = Array.from({ length: 2000 }, (_, i) => `visitor-${i}`);
+
+        it('should consistently assign ids to a variant', () => {
+            const weights = { default: 50, lite: 50 };
+            ids.slice(0, 50).forEach((id) => {
+                expect(bucket(id, 'template', weights)).toBe(bucket(id, 'template', weights));
+            });
+        });
+
+        it('should split ids according to weights', () => {
+            const weights = { default: 90, lite: 10, off: 0 };
+            const counts = ids.reduce((acc, id) => {
+                const variant = bucket(id, 'template', weights);
+                acc[variant] = (acc[variant] || 0) + 1;
+                return acc;
+            }, {});
+            expect(Object.keys(counts).sort()).toEqual(['default', 'lite']);
+            expect(counts.lite / ids.length).toBeGreaterThan(0.07);
+            expect(counts.lite / ids.length).toBeLessThan(0.13);
+        });
+
+        it('should bucket experiments independently', () => {
+            const weights = { a: 50, b: 50 };
+            const differ = ids.filter(id => (
+                bucket(id, 'one', weights) !== bucket(id, 'two', weights)
+            ));
+            expect(differ.length).toBeGreaterThan(0);
+        });
+
+        it('should require a weighted variant', () => {
+            expect(() => bucket('id', 'template', { default: 0 })).toThrow('No weighted variants');
+        });
+
+    });
+
+    describe('createDispatcher', () => {
+        const logger = { warn: jest.fn(), error: jest.fn() };
+        const req = { url: '/' };
+        const flush = () => new Promise(r => setImmediate(r));
+        let handles;
+        const getHandle = name => handles[name];
+
+        beforeEach(() => {
+            logger.warn.mockReset();
+            logger.error.mockReset();
+            handles = {
+                default: jest.fn(),
+                checkout: jest.fn(),
+            };
+        });
+
+        it('should render with the selected renderer', async () => {
+            const res = {};
+            createDispatcher(() => 'checkout', getHandle, { logger })(req, res);
+            await flush();
+            expect(handles.checkout).toHaveBeenCalledWith(req, res);
+            expect(handles.default).not.toHaveBeenCalled();
+        });
+
+        it('should support async selectors', async () => {
+            createDispatcher(async () => 'checkout', getHandle)(req, {});
+            await flush();
+            expect(handles.checkout).toHaveBeenCalled();
+        });
+
+        it('should fall back when nothing is selected', async () => {
+            createDispatcher(() => null, getHandle, { logger })(req, {});
+            await flush();
+            expect(handles.default).toHaveBeenCalled();
+            expect(logger.warn).not.toHaveBeenCalled();
+        });
+
+        it('should fall back for unknown renderers', async () => {
+            createDispatcher(() => 'amp', getHandle, { logger, fallback: 'checkout' })(req, {});
+            await flush();
+            expect(handles.checkout).toHaveBeenCalled();
+            expect(logger.warn).toHaveBeenCalledWith(
+                'Unknown renderer "amp", falling back to "checkout"',
+            );
+        });
+
+        it('should fall back when the selector throws', async () => {
+            createDispatcher(() => { throw new Error('error'); }, getHandle, { logger })(req, {});
+            await flush();
+            expect(handles.default).toHaveBeenCalled();
+            expect(logger.error).toHaveBeenCalled();
+        });
+
+        const createResponse = () => ({
+            headers: {},
+            setHeader(k, v) { this.headers[k] = v; },
+            getHeader(k) { return this.headers[k]; },
+            end: jest.fn(),
+        });
+
+        it('should respond with an error if the fallback is not registered', async () => {
+            const res = createResponse();
+            createDispatcher(() => null, () => undefined, { logger })(req, res);
+            await flush();
+            expect(res.statusCode).toBe(500);
+            expect(res.end).toHaveBeenCalledWith('500 | Internal Server Error');
+            expect(logger.error).toHaveBeenCalledWith(
+                'Fallback renderer "default" is not registered',
+            );
+        });
+
+        it('should respond with an error if the renderer throws', async () => {
+            const err = new Error('boom');
+            handles.checkout.mockImplementation(() => { throw err; });
+            const res = createResponse();
+            createDispatcher(() => 'checkout', getHandle, { logger })(req, res);
+            await flush();
+            expect(res.statusCode).toBe(500);
+            expect(res.end).toHaveBeenCalledWith('500 | Internal Server Error');
+            expect(logger.error).toHaveBeenCalledWith('Error dispatching request', err);
+        });
+
+        it('should not respond again if the renderer throws after responding', async () => {
+            handles.default.mockImplementation((r, res) => {
+                res.headersSent = true;
+                throw new Error('boom');
+            });
+            const res = createResponse();
+            createDispatcher(() => null, getHandle, { logger })(req, res);
+            await flush();
+            expect(res.end).not.toHaveBeenCalled();
+            expect(logger.error).toHaveBeenCalled();
+        });
+
+    });
+
+});
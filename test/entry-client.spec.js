@@ -4,7 +4,19 @@
 
 import { get, isEqual, remove } from 'lodash';
 
-import { perfMeasure, useRouteVuexModulesClient, useFetchDataClient } from '../src/entry-client';
+import { renderStateTag, serializeState } from '../src/initial-state';
+import { renderHead } from '../src/head';
+import { gone, redirect } from '../src/navigation';
+import {
+    applyHead,
+    getCsrFallbackReason,
+    getInitialState,
+    perfMeasure,
+    useInitialStateClient,
+    useRouteVuexModulesClient,
+    useFetchDataClient,
+    useInitialFetchDataClient,
+} from '../src/entry-client';
 
 const getResolvablePromise = () => {
     let resolve;
@@ -780,6 +792,7 @@ describe('entry-client utils', () => {
             const app = { name: 'App' };
             let beforeResolveFn;
             const router = {
+                afterEach() {},
                 beforeEach() {},
                 beforeResolve(fn) {
                     beforeResolveFn = fn;
@@ -821,6 +834,7 @@ describe('entry-client utils', () => {
             const app = { name: 'App' };
             let beforeResolveFn;
             const router = {
+                afterEach() {},
                 beforeEach() {},
                 beforeResolve(fn) {
                     beforeResolveFn = fn;
@@ -870,6 +884,7 @@ describe('entry-client utils', () => {
             };
             let beforeResolveFn;
             const router = {
+                afterEach() {},
                 beforeEach() {},
                 beforeResolve(fn) {
                     beforeResolveFn = fn;
@@ -919,6 +934,7 @@ describe('entry-client utils', () => {
             };
             let beforeResolveFn;
             const router = {
+                afterEach() {},
                 beforeEach() {},
                 beforeResolve(fn) {
                     beforeResolveFn = fn;
@@ -962,6 +978,69 @@ describe('entry-client utils', () => {
             expect(nextArg).toEqual(new Error('{"error":"oops"}'));
         });
 
+        describe('redirects', () => {
+            let beforeResolveFn;
+            const router = {
+                afterEach() {},
+                beforeEach() {},
+                beforeResolve(fn) {
+                    beforeResolveFn = fn;
+                },
+            };
+            const fromRoute = { name: 'home', path: '/', fullPath: '/' };
+
+            function navigate(fetchData, fullPath = '/account/orders') {
+                const toRoute = {
+                    name: 'orders',
+                    path: fullPath,
+                    fullPath,
+                    matched: [{ components: { a: { fetchData } } }],
+                };
+                const ctx = getResolvablePromise();
+                beforeResolveFn(toRoute, fromRoute, ctx.resolve);
+                return ctx.promise;
+            }
+
+            it('should redirect the navigation relative to the route', async () => {
+                useFetchDataClient({}, router, { state: {} }, logger);
+                expect(await navigate(() => redirect('login', 301))).toBe('/account/login');
+                expect(await navigate(() => Promise.reject({ url: '/legacy' }))).toBe('/legacy');
+            });
+
+            it('should load external URLs in full', async () => {
+                const { location } = window;
+                delete window.location;
+                window.location = { assign: jest.fn() };
+                useFetchDataClient({}, router, { state: {} }, logger);
+                expect(await navigate(() => redirect('https://sso.example.com/'))).toBe(false);
+                expect(window.location.assign).toHaveBeenCalledWith('https://sso.example.com/');
+                window.location = location;
+            });
+
+            it('should stop redirect loops', async () => {
+                useFetchDataClient({}, router, { state: {} }, logger);
+                expect(await navigate(() => redirect('/account/orders'))).toMatchObject({
+                    code: 'ERR_REDIRECT_LOOP',
+                });
+                for (let i = 0; i < 10; i += 1) {
+                    // eslint-disable-next-line no-await-in-loop
+                    expect(await navigate(() => redirect(`/step/${i}`))).toBe(`/step/${i}`);
+                }
+                expect(await navigate(() => redirect('/again'))).toEqual(
+                    new Error('Too many redirects for route update / -> /account/orders'),
+                );
+                // Count again from zero after a navigation without a redirect
+                expect(await navigate(() => redirect('/again'))).toBe('/again');
+                expect(await navigate(() => {})).toBe(undefined);
+            });
+
+            it('should pass errors for missing pages to the router', async () => {
+                useFetchDataClient({}, router, { state: {} }, logger);
+                expect(await navigate(() => gone())).toMatchObject({ code: 410 });
+            });
+
+        });
+
         it('should support the shouldProcessRouteUpdate object', async () => {
             const app = { name: 'App' };
             const shouldProcessRouteUpdate = {};
@@ -971,6 +1050,7 @@ describe('entry-client utils', () => {
             };
             let beforeResolveFn;
             const router = {
+                afterEach() {},
                 beforeEach() {},
                 beforeResolve(fn) {
                     beforeResolveFn = fn;
@@ -1064,6 +1144,7 @@ describe('entry-client utils', () => {
             let beforeEachFn;
             let beforeResolveFn;
             const router = {
+                afterEach() {},
                 beforeEach(fn) {
                     beforeEachFn = fn;
                 },
@@ -1197,6 +1278,7 @@ describe('entry-client utils', () => {
             let beforeEachFn;
             let beforeResolveFn;
             const router = {
+                afterEach() {},
                 beforeEach(fn) {
                     beforeEachFn = fn;
                 },
@@ -1233,6 +1315,114 @@ describe('entry-client utils', () => {
 
     });
 
+    describe('useInitialFetchDataClient', () => {
+
+        afterEach(() => {
+            document.head.innerHTML = '';
+        });
+
+        // Router on /account/orders rendering component, with other routes by path
+        function createRouter(component, routes = {}) {
+            const getRoute = (fullPath, c) => ({
+                fullPath,
+                matched: c ? [{ components: { default: c } }] : [],
+            });
+            const router = {
+                currentRoute: {
+                    value: getRoute('/account/orders', component),
+                },
+                replace: jest.fn((url) => {
+                    router.currentRoute.value = getRoute(url, routes[url]);
+                    return Promise.resolve();
+                }),
+            };
+            return router;
+        }
+
+        it('should load data and apply the head for the current route', async () => {
+            const calls = [];
+            const component = {
+                fetchData: jest.fn(() => calls.push('fetchData')),
+                head: () => ({ title: 'Orders' }),
+            };
+            const router = createRouter(component);
+            const store = { state: {} };
+            await useInitialFetchDataClient({}, router, store, logger, {
+                middleware: () => calls.push('middleware'),
+                globalFetchData: () => calls.push('globalFetchData'),
+                postMiddleware: () => calls.push('postMiddleware'),
+            });
+            expect(calls[0]).toBe('middleware');
+            expect(calls.slice(1, 3).sort()).toEqual(['fetchData', 'globalFetchData']);
+            expect(calls[3]).toBe('postMiddleware');
+            expect(component.fetchData).toHaveBeenCalledWith({
+                ssrContext: null,
+                app: {},
+                router,
+                store,
+                route: router.currentRoute.value,
+                from: null,
+            });
+            expect(document.title).toBe('Orders');
+            await useInitialFetchDataClient({}, createRouter({}), store, logger);
+        });
+
+        it('should follow redirects', async () => {
+            const router = createRouter({ fetchData: () => redirect('login') });
+            await useInitialFetchDataClient({}, router, {}, logger);
+            expect(router.replace).toHaveBeenCalledWith('/account/login');
+
+            const { location } = window;
+            delete window.location;
+            window.location = { assign: jest.fn() };
+            await useInitialFetchDataClient(
+                {},
+                createRouter({ fetchData: () => redirect('https://sso.example.com/') }),
+                {},
+                logger,
+            );
+            expect(window.location.assign).toHaveBeenCalledWith('https://sso.example.com/');
+            window.location = location;
+        });
+
+        it('should load the data and head of redirect targets', async () => {
+            const login = {
+                fetchData: jest.fn(),
+                head: () => ({ title: 'Log in' }),
+            };
+            const router = createRouter(
+                { fetchData: () => redirect('login') },
+                { '/account/login': login },
+            );
+            const middleware = jest.fn();
+            await useInitialFetchDataClient({}, router, {}, logger, { middleware });
+            expect(router.replace).toHaveBeenCalledWith('/account/login');
+            expect(middleware).toHaveBeenCalledTimes(2);
+            expect(login.fetchData).toHaveBeenCalledWith(expect.objectContaining({
+                route: router.currentRoute.value,
+                from: null,
+            }));
+            expect(document.title).toBe('Log in');
+        });
+
+        it('should stop following redirect loops', async () => {
+            const component = {
+                fetchData: ({ route }) => redirect(route.fullPath === '/a' ? '/b' : '/a'),
+            };
+            const router = createRouter(component, { '/a': component, '/b': component });
+            await expect(useInitialFetchDataClient({}, router, {}, logger))
+                .rejects.toThrow('Too many redirects for initial route');
+            expect(router.replace).toHaveBeenCalledTimes(10);
+        });
+
+        it('should reject other errors', async () => {
+            const router = createRouter({ fetchData: () => gone() });
+            await expect(useInitialFetchDataClient({}, router, {}, logger))
+                .rejects.toMatchObject({ code: 410 });
+        });
+
+    });
+
     describe('perfMeasure', () => {
 
         it('should measure from a given start mark', () => {
@@ -1261,4 +1451,209 @@ describe('entry-client utils', () => {
 
     });
 
+    describe('getCsrFallbackReason', () => {
+
+        afterEach(() => {
+            document.body.innerHTML = '';
+        });
+
+        it('should return null for server rendered pages', () => {
+            document.body.innerHTML = '<div id="app" data-server-rendered="true"></div>';
+            expect(getCsrFallbackReason()).toBe(null);
+        });
+
+        it('should return null when the app element is missing', () => {
+            expect(getCsrFallbackReason()).toBe(null);
+        });
+
+        it('should return the fallback reason', () => {
+            document.body.innerHTML = '<div id="root" data-csr-fallback="timeout"></div>';
+            expect(getCsrFallbackReason('#root')).toBe('timeout');
+        });
+
+    });
+
+    describe('useInitialStateClient', () => {
+
+        afterEach(() => {
+            document.head.innerHTML = '';
+        });
+
+        it('should restore state rendered by the server', () => {
+            const serverState = {
+                html: '</script><script>alert(1)</script>',
+                quote: '"\'',
+                separators: 'a\u2028b',
+            };
+            document.head.innerHTML = renderStateTag(serializeState(serverState), 'initial-state');
+            expect(document.querySelectorAll('script').length).toBe(0);
+            const store = {
+                state: { html: null, clientOnly: true },
+                replaceState: jest.fn(),
+            };
+            expect(useInitialStateClient(store)).toBe(true);
+            expect(store.replaceState).toHaveBeenCalledWith({
+                ...serverState,
+                clientOnly: true,
+            });
+        });
+
+        it('should support a custom meta tag', () => {
+            document.head.innerHTML = renderStateTag('{"a":1}', 'state');
+            expect(getInitialState('state')).toEqual({ a: 1 });
+            expect(getInitialState()).toBe(null);
+        });
+
+        it('should skip pages without state', () => {
+            const store = { replaceState: jest.fn() };
+            expect(useInitialStateClient(store, { metaTag: 'state' })).toBe(false);
+            expect(store.replaceState).not.toHaveBeenCalled();
+        });
+
+        it('should log unparsable state', () => {
+            document.head.innerHTML = '<meta name="initial-state" content="{">';
+            const errorLogger = { error: jest.fn() };
+            expect(getInitialState('initial-state', errorLogger)).toBe(null);
+            expect(errorLogger.error).toHaveBeenCalledWith(
+                'Unable to parse initial state',
+                expect.any(Error),
+            );
+        });
+
+    });
+
+    describe('useHeadClient', () => {
+
+        afterEach(() => {
+            document.head.innerHTML = '';
+        });
+
+        const serverHead = {
+            title: 'Home',
+            meta: [{ name: 'description', content: 'Home page' }],
+            link: [{ rel: 'canonical', href: '/' }],
+            jsonLd: [],
+        };
+
+        function routeWithHead(head) {
+            return {
+                name: 'product',
+                path: '/p/1',
+                fullPath: '/p/1',
+                matched: [{ components: { a: { head } } }],
+            };
+        }
+
+        it('should replace the server-rendered head', () => {
+            document.head.innerHTML = `<meta charset="utf-8">${renderHead(serverHead)}`;
+            applyHead({
+                title: 'Product',
+                meta: [{ name: 'description', content: 'Product page' }],
+                link: [{ rel: 'canonical', href: '/p/1' }],
+                jsonLd: [{ '@type': 'Product' }],
+            });
+            expect(document.title).toBe('Product');
+            expect(document.head.innerHTML).toBe([
+                '<meta charset="utf-8">',
+                '<title>Product</title>',
+                '<meta data-vue-head="" name="description" content="Product page">',
+                '<link data-vue-head="" rel="canonical" href="/p/1">',
+                '<script data-vue-head="" type="application/ld+json">{"@type":"Product"}</script>',
+            ].join(''));
+            applyHead({
+                title: null,
+                meta: [],
+                link: [],
+                jsonLd: [],
+            });
+            expect(document.title).toBe('Product');
+            expect(document.head.innerHTML).toBe('<meta charset="utf-8"><title>Product</title>');
+        });
+
+        function createRouter() {
+            const guards = {};
+            return {
+                guards,
+                beforeEach() {},
+                beforeResolve(fn) {
+                    guards.beforeResolve = fn;
+                },
+                afterEach(fn) {
+                    guards.afterEach = fn;
+                },
+            };
+        }
+
+        it('should apply the head once a navigation is confirmed', async () => {
+            const router = createRouter();
+            const store = { state: { name: null } };
+            const head = jest.fn(({ route }) => ({ title: `${store.state.name} ${route.path}` }));
+            const to = routeWithHead(head);
+            const from = { name: 'home', path: '/' };
+            to.matched[0].components.a.fetchData = () => {
+                store.state.name = 'Widget';
+            };
+            useFetchDataClient({}, router, store, logger, {
+                head: { meta: [{ property: 'og:site_name', content: 'Shop' }] },
+            });
+            document.title = 'Home';
+            const ctx = getResolvablePromise();
+            router.guards.beforeResolve(to, from, ctx.resolve);
+            expect(await ctx.promise).toBe(undefined);
+            expect(document.title).toBe('Home');
+            router.guards.afterEach(to, from);
+            expect(document.title).toBe('Widget /p/1');
+            expect(document.head.querySelector('meta[property="og:site_name"]')).not.toBe(null);
+        });
+
+        it('should leave the head alone when the navigation fails', async () => {
+            const router = createRouter();
+            const to = routeWithHead(() => ({ title: 'Product' }));
+            const from = { name: 'home', path: '/' };
+            useFetchDataClient({}, router, { state: {} }, logger);
+            document.title = 'Home';
+            const ctx = getResolvablePromise();
+            router.guards.beforeResolve(to, from, ctx.resolve);
+            await ctx.promise;
+            router.guards.afterEach(to, from, new Error('Navigation cancelled'));
+            expect(document.title).toBe('Home');
+            // Heads are only applied for the navigation they were resolved for
+            router.guards.afterEach(to, from);
+            expect(document.title).toBe('Home');
+        });
+
+        it('should log head errors without stopping the navigation', async () => {
+            const router = createRouter();
+            const err = new Error('Head failed');
+            const to = routeWithHead(() => { throw err; });
+            const from = { name: 'home', path: '/', fullPath: '/' };
+            const error = jest.spyOn(logger, 'error');
+            useFetchDataClient({}, router, { state: {} }, logger);
+            document.title = 'Home';
+            const ctx = getResolvablePromise();
+            router.guards.beforeResolve(to, from, ctx.resolve);
+            expect(await ctx.promise).toBe(undefined);
+            router.guards.afterEach(to, from);
+            expect(document.title).toBe('Home');
+            expect(error).toHaveBeenCalledWith(
+                'Error resolving head for route update / -> /p/1',
+                err,
+            );
+            error.mockRestore();
+        });
+
+        it('should leave the head alone when fetchData redirects', async () => {
+            const router = createRouter();
+            const head = jest.fn(() => ({ title: 'Product' }));
+            const to = routeWithHead(head);
+            to.matched[0].components.a.fetchData = () => '/login';
+            useFetchDataClient({}, router, { state: {} }, logger);
+            const ctx = getResolvablePromise();
+            router.guards.beforeResolve(to, { name: 'home', path: '/' }, ctx.resolve);
+            expect(await ctx.promise).toBe('/login');
+            expect(head).not.toHaveBeenCalled();
+        });
+
+    });
+
 });
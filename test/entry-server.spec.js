@@ -1,6 +1,12 @@
 import { isEqual } from 'lodash';
 
-import { useRouteVuexModulesServer, useFetchDataServer } from '../src/entry-server';
+import { redirect } from '../src/navigation';
+import {
+    useFetchDataServer,
+    useHeadServer,
+    useInitialStateServer,
+    useRouteVuexModulesServer,
+} from '../src/entry-server';
 
 describe('entry-server utils', () => {
     const logger = { info: () => {} };
@@ -379,6 +385,221 @@ describe('entry-server utils', () => {
             }
         });
 
+        it('should resolve redirects against the route', async () => {
+            const router = {
+                currentRoute: {
+                    value: {
+                        fullPath: '/account/orders',
+                        matched: [{
+                            components: [{ fetchData: () => redirect('login', 307) }],
+                        }],
+                    },
+                },
+            };
+            await expect(useFetchDataServer({}, {}, router, {})).rejects.toMatchObject({
+                url: '/account/login',
+                status: 307,
+            });
+        });
+
+        it('should skip client-only routes before fetching data', async () => {
+            const fetchData = jest.fn();
+            const getRouter = (meta, component) => ({
+                currentRoute: {
+                    value: {
+                        fullPath: '/account',
+                        matched: [
+                            { meta: {}, components: { default: { fetchData } } },
+                            { meta, components: { default: component } },
+                        ],
+                    },
+                },
+            });
+            const ssrContext = {};
+            await expect(useFetchDataServer(ssrContext, {}, getRouter({ ssr: false }, {}), {}))
+                .rejects.toMatchObject({
+                    code: 'ERR_CLIENT_ONLY',
+                    message: 'Skipping SSR of client-only route /account',
+                });
+            await expect(useFetchDataServer(ssrContext, {}, getRouter({}, { ssr: false }), {}))
+                .rejects.toMatchObject({ code: 'ERR_CLIENT_ONLY' });
+            expect(fetchData).not.toHaveBeenCalled();
+            await useFetchDataServer(ssrContext, {}, getRouter({ ssr: true }, {}), {});
+            expect(fetchData).toHaveBeenCalled();
+        });
+
+        it('should record the route name for metrics', async () => {
+            const ssrContext = { url: '/' };
+            const router = {
+                currentRoute: {
+                    value: {
+                        name: 'product',
+                        path: '/products/1',
+                        matched: [{ path: '/products/:id', components: {} }],
+                    },
+                },
+            };
+            await useFetchDataServer(ssrContext, {}, router, { state: {} });
+            expect(ssrContext.routeName).toBe('product');
+            router.currentRoute.value.name = null;
+            await useFetchDataServer(ssrContext, {}, router, { state: {} });
+            expect(ssrContext.routeName).toBe('/products/:id');
+            router.currentRoute.value.matched = [];
+            await useFetchDataServer(ssrContext, {}, router, { state: {} });
+            expect(ssrContext.routeName).toBe(null);
+        });
+
+        it('should record phase timings when enabled', async () => {
+            const ssrContext = { url: '/', serverTimings: [] };
+            const app = { name: 'App' };
+            const component1 = {
+                name: 'Home',
+                fetchData: jest.fn(),
+            };
+            const component2 = {
+                fetchData: jest.fn(() => Promise.reject('error')),
+            };
+            const router = {
+                currentRoute: {
+                    value: {
+                        path: '/',
+                        matched: [{
+                            components: [component1, component2],
+                        }],
+                    },
+                },
+            };
+            const store = { state: {} };
+            expect.assertions(2);
+            try {
+                await useFetchDataServer(ssrContext, app, router, store, {
+                    globalFetchData: jest.fn(),
+                    middleware: jest.fn(),
+                    postMiddleware: jest.fn(),
+                });
+            } catch (e) {
+                expect(e).toBe('error');
+            }
+            expect(ssrContext.serverTimings).toEqual([
+                { name: 'middleware', description: null, duration: expect.any(Number) },
+                { name: 'globalFetchData', description: null, duration: expect.any(Number) },
+                { name: 'fetchData.0', description: 'Home', duration: expect.any(Number) },
+                { name: 'fetchData.1', description: undefined, duration: expect.any(Number) },
+            ]);
+        });
+
+    });
+
+    describe('useInitialStateServer', () => {
+        const router = {
+            currentRoute: {
+                value: {
+                    path: '/',
+                    matched: [{ components: {} }],
+                },
+            },
+        };
+
+        it('should serialize the state after fetchData', async () => {
+            const ssrContext = { url: '/' };
+            const store = { state: { count: 0, session: 'secret' } };
+            const component = {
+                fetchData: jest.fn(() => {
+                    store.state.count = 1;
+                }),
+            };
+            await useFetchDataServer(ssrContext, {}, {
+                currentRoute: {
+                    value: {
+                        path: '/',
+                        matched: [{ components: [component] }],
+                    },
+                },
+            }, store, {
+                initialState: { deny: ['session'] },
+            });
+            expect(ssrContext.head).toBe(
+                '<meta name="initial-state" content="{&quot;count&quot;:1}">',
+            );
+        });
+
+        it('should not serialize the state unless enabled', async () => {
+            const ssrContext = { url: '/' };
+            await useFetchDataServer(ssrContext, {}, router, { state: {} });
+            expect(ssrContext.head).toBeUndefined();
+        });
+
+        it('should append to the existing head', async () => {
+            const ssrContext = { url: '/', head: '<title>Home</title>' };
+            await useFetchDataServer(ssrContext, {}, router, { state: {} }, {
+                initialState: true,
+            });
+            expect(ssrContext.head).toBe(
+                '<title>Home</title><meta name="initial-state" content="{}">',
+            );
+        });
+
+        it('should warn about large state', () => {
+            const ssrContext = { url: '/big' };
+            const warnLogger = { warn: jest.fn() };
+            useInitialStateServer(ssrContext, { state: { data: 'x'.repeat(2048) } }, {
+                metaTag: 'state',
+                warnSize: 1024,
+                logger: warnLogger,
+            });
+            expect(warnLogger.warn).toHaveBeenCalledWith('Initial state for /big is 2Kb');
+            expect(ssrContext.head).toContain('<meta name="state"');
+            useInitialStateServer(ssrContext, { state: {} }, { logger: warnLogger });
+            expect(warnLogger.warn).toHaveBeenCalledTimes(1);
+        });
+
+    });
+
+    describe('useHeadServer', () => {
+
+        it('should resolve the head after fetchData', async () => {
+            const ssrContext = { url: '/', title: 'Default' };
+            const store = { state: { name: null } };
+            const component = {
+                fetchData: () => {
+                    store.state.name = 'Widget';
+                },
+                head: args => ({
+                    title: args.store.state.name,
+                    meta: [{ name: 'description', content: `Buy a ${args.store.state.name}` }],
+                }),
+            };
+            await useFetchDataServer(ssrContext, {}, {
+                currentRoute: {
+                    value: {
+                        path: '/',
+                        matched: [{ components: [component] }],
+                    },
+                },
+            }, store, {
+                head: { meta: [{ property: 'og:site_name', content: 'Shop' }] },
+                initialState: true,
+            });
+            expect(ssrContext.title).toBe('Widget');
+            expect(ssrContext.head).toBe([
+                '<meta data-vue-head property="og:site_name" content="Shop">',
+                '<meta data-vue-head name="description" content="Buy a Widget">',
+                '<meta name="initial-state" content="{&quot;name&quot;:&quot;Widget&quot;}">',
+            ].join(''));
+        });
+
+        it('should keep the existing title and head without definitions', async () => {
+            const ssrContext = { title: 'Default', head: '<meta charset="utf-8">' };
+            const route = { matched: [{ components: { a: {} } }] };
+            await useHeadServer(ssrContext, { route }, null);
+            expect(ssrContext).toEqual({ title: 'Default', head: '<meta charset="utf-8">' });
+            await useHeadServer(ssrContext, { route }, { link: [{ rel: 'icon', href: '/i' }] });
+            expect(ssrContext).toEqual({
+                title: 'Default',
+                head: '<meta charset="utf-8"><link data-vue-head rel="icon" href="/i">',
+            });
+        });
+
     });
 
 });
@@ -0,0 +1,85 @@
+import {
+    createEtag,
+    createWeakEtag,
+    getEtagConfig,
+    isFresh,
+    sendNotModified,
+} from '../src/etag';
+
+function createRequest(ifNoneMatch, method = 'GET') {
+    return {
+        method,
+        headers: ifNoneMatch ? { 'if-none-match': ifNoneMatch } : {},
+    };
+}
+
+describe('etag', () => {
+
+    describe('getEtagConfig', () => {
+
+        it('should merge options with the defaults', () => {
+            const validator = () => 'v1';
+            expect(getEtagConfig(true)).toEqual({ validator: null });
+            expect(getEtagConfig({ validator })).toEqual({ validator });
+        });
+
+    });
+
+    describe('createEtag', () => {
+
+        it('should create a strong ETag from the content', () => {
+            const etag = createEtag('<p>café</p>');
+            expect(etag).toMatch(/^"c-[A-Za-z0-9+/]{27}"$/);
+            expect(createEtag('<p>café</p>')).toBe(etag);
+            expect(createEtag('<p>cafe</p>')).not.toBe(etag);
+        });
+
+    });
+
+    describe('createWeakEtag', () => {
+
+        it('should create a weak ETag from the validator', () => {
+            expect(createWeakEtag(42)).toBe('W/"42"');
+            expect(createWeakEtag('v 1"\\')).toBe('W/"v1"');
+        });
+
+    });
+
+    describe('isFresh', () => {
+
+        it('should match any listed ETag using weak comparison', () => {
+            expect(isFresh(createRequest('"a", "b"'), '"b"')).toBe(true);
+            expect(isFresh(createRequest('W/"a"'), '"a"')).toBe(true);
+            expect(isFresh(createRequest('"a"'), 'W/"a"')).toBe(true);
+            expect(isFresh(createRequest('"a"'), '"b"')).toBe(false);
+            expect(isFresh(createRequest('*', 'HEAD'), '"b"')).toBe(true);
+        });
+
+        it('should only apply to GET and HEAD requests with If-None-Match', () => {
+            expect(isFresh(createRequest(), '"a"')).toBe(false);
+            expect(isFresh(createRequest('"a"', 'POST'), '"a"')).toBe(false);
+        });
+
+    });
+
+    describe('sendNotModified', () => {
+
+        it('should send a 304 without body or CSP headers', () => {
+            const headers = {
+                'Content-Type': 'text/html',
+                'Content-Security-Policy': "script-src 'nonce-abc'",
+                ETag: '"a"',
+            };
+            const res = {
+                removeHeader: jest.fn(name => delete headers[name]),
+                end: jest.fn(),
+            };
+            sendNotModified(res);
+            expect(res.statusCode).toBe(304);
+            expect(res.end).toHaveBeenCalledWith();
+            expect(headers).toEqual({ ETag: '"a"' });
+        });
+
+    });
+
+});
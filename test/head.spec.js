@@ -0,0 +1,101 @@
+import { getTagAttributes, renderHead, resolveHead } from '../src/head';
+
+describe('head', () => {
+
+    describe('resolveHead', () => {
+
+        it('should merge definitions from parent to child', async () => {
+            const args = { route: { params: { id: '1' } } };
+            const head = await resolveHead([
+                {
+                    title: 'Shop',
+                    meta: [
+                        { name: 'description', content: 'Default' },
+                        { property: 'og:type', content: 'website' },
+                        { key: 'robots', name: 'robots', content: 'index' },
+                    ],
+                    link: [
+                        { rel: 'canonical', href: '/' },
+                        { rel: 'alternate', hreflang: 'fr', href: '/fr' },
+                    ],
+                    jsonLd: { '@type': 'Organization' },
+                },
+                null,
+                ({ route }) => Promise.resolve({
+                    title: `Product ${route.params.id}`,
+                    meta: [
+                        { name: 'description', content: 'Product' },
+                        { key: 'robots', name: 'robots', content: 'noindex' },
+                    ],
+                    link: [
+                        { rel: 'canonical', href: '/p/1' },
+                        { rel: 'alternate', hreflang: 'de', href: '/de/p/1' },
+                    ],
+                    jsonLd: [{ '@type': 'Product' }],
+                }),
+                () => null,
+                { meta: [{ charset: 'utf-8' }] },
+            ], args);
+            expect(head).toEqual({
+                title: 'Product 1',
+                meta: [
+                    { property: 'og:type', content: 'website' },
+                    { name: 'description', content: 'Product' },
+                    { key: 'robots', name: 'robots', content: 'noindex' },
+                    { charset: 'utf-8' },
+                ],
+                link: [
+                    { rel: 'alternate', hreflang: 'fr', href: '/fr' },
+                    { rel: 'canonical', href: '/p/1' },
+                    { rel: 'alternate', hreflang: 'de', href: '/de/p/1' },
+                ],
+                jsonLd: [{ '@type': 'Organization' }, { '@type': 'Product' }],
+            });
+        });
+
+        it('should resolve an empty head', async () => {
+            expect(await resolveHead([], {})).toEqual({
+                title: null,
+                meta: [],
+                link: [],
+                jsonLd: [],
+            });
+        });
+
+    });
+
+    describe('getTagAttributes', () => {
+
+        it('should skip keys, empty values and invalid names', () => {
+            expect(getTagAttributes({
+                key: 'a',
+                name: 'description',
+                content: 1,
+                empty: null,
+                'on"load': 'x',
+            })).toEqual([['name', 'description'], ['content', '1']]);
+        });
+
+    });
+
+    describe('renderHead', () => {
+
+        it('should render escaped meta, link and JSON-LD tags', () => {
+            expect(renderHead({
+                title: 'Ignored',
+                meta: [{ name: 'description', content: '"><script>alert(1)</script>' }],
+                link: [{ rel: 'canonical', href: '/?a=1&b=2' }],
+                jsonLd: [{ name: '</script><script>alert(1)</script>' }],
+            })).toBe([
+                '<meta data-vue-head name="description" ',
+                'content="&quot;&gt;&lt;script&gt;alert(1)&lt;/script&gt;">',
+                '<link data-vue-head rel="canonical" href="/?a=1&amp;b=2">',
+                '<script data-vue-head type="application/ld+json">',
+                '{"name":"\\u003c/script\\u003e\\u003cscript\\u003ealert(1)\\u003c/script\\u003e"}',
+                '</script>',
+            ].join(''));
+        });
+
+    });
+
+});
@@ -0,0 +1,58 @@
+import { renderStateTag, serializeState } from '../src/initial-state';
+
+describe('initial-state', () => {
+
+    describe('serializeState', () => {
+
+        it('should serialize state as JSON', () => {
+            const state = { user: { name: 'Jane' }, items: [1, 2] };
+            expect(JSON.parse(serializeState(state))).toEqual(state);
+        });
+
+        it('should escape characters that could break out of the page', () => {
+            const state = {
+                html: '</script><script>alert(1)</script><!-- & -->',
+                separators: 'a\u2028b\u2029c',
+            };
+            const json = serializeState(state);
+            expect(json).not.toMatch(/[<>&\u2028\u2029]/);
+            expect(json).toContain('\\u003c/script\\u003e');
+            expect(json).toContain('\\u2028');
+            expect(JSON.parse(json)).toEqual(state);
+        });
+
+        it('should strip top-level keys per the allow and deny lists', () => {
+            const state = { cart: 1, session: 2, user: 3 };
+            expect(JSON.parse(serializeState(state, { deny: ['session'] }))).toEqual({
+                cart: 1,
+                user: 3,
+            });
+            expect(JSON.parse(serializeState(state, { allow: ['cart', 'user'] }))).toEqual({
+                cart: 1,
+                user: 3,
+            });
+            expect(JSON.parse(serializeState(state, {
+                allow: ['cart', 'user'],
+                deny: ['user'],
+            }))).toEqual({ cart: 1 });
+        });
+
+    });
+
+    describe('renderStateTag', () => {
+
+        it('should render a meta tag with the JSON content', () => {
+            expect(renderStateTag('{"a":"b"}', 'initial-state')).toBe(
+                '<meta name="initial-state" content="{&quot;a&quot;:&quot;b&quot;}">',
+            );
+        });
+
+        it('should sanitize the tag name', () => {
+            expect(renderStateTag('{}', 'state"><script>')).toBe(
+                '<meta name="statescript" content="{}">',
+            );
+        });
+
+    });
+
+});
@@ -0,0 +1,92 @@
+import createLimiter from '../src/limiter';
+
+describe('limiter', () => {
+
+    beforeEach(() => jest.useFakeTimers());
+    afterEach(() => jest.useRealTimers());
+
+    it('should run renders up to the limit immediately', () => {
+        const limiter = createLimiter({ maxRenders: 2 });
+        const fn = jest.fn();
+        limiter.run(fn, jest.fn());
+        limiter.run(fn, jest.fn());
+        expect(fn).toHaveBeenCalledTimes(2);
+        expect(limiter.getStats()).toEqual({
+            active: 2,
+            queued: 0,
+            shed: { queue: 0, timeout: 0 },
+        });
+    });
+
+    it('should queue renders until a slot is released', () => {
+        const limiter = createLimiter({ maxRenders: 1 });
+        const releases = [];
+        const fn = jest.fn(release => releases.push(release));
+        limiter.run(fn, jest.fn());
+        limiter.run(fn, jest.fn());
+        expect(fn).toHaveBeenCalledTimes(1);
+        expect(limiter.getStats().queued).toBe(1);
+
+        releases[0]();
+        // Releasing twice shouldn't free another slot
+        releases[0]();
+        expect(fn).toHaveBeenCalledTimes(2);
+        expect(limiter.getStats()).toMatchObject({ active: 1, queued: 0 });
+
+        releases[1]();
+        expect(limiter.getStats()).toMatchObject({ active: 0, queued: 0 });
+        // The queued render started in time
+        jest.advanceTimersByTime(10000);
+        expect(limiter.getStats().shed).toEqual({ queue: 0, timeout: 0 });
+    });
+
+    it('should shed requests when the queue is full', () => {
+        const limiter = createLimiter({ maxRenders: 1, maxQueue: 1 });
+        const onShed = jest.fn();
+        limiter.run(jest.fn(), onShed);
+        limiter.run(jest.fn(), onShed);
+        const cancel = limiter.run(jest.fn(), onShed);
+        expect(onShed).toHaveBeenCalledWith('queue');
+        expect(cancel()).toBe(false);
+        expect(limiter.getStats()).toEqual({
+            active: 1,
+            queued: 1,
+            shed: { queue: 1, timeout: 0 },
+        });
+    });
+
+    it('should shed requests that wait too long', () => {
+        const limiter = createLimiter({ maxRenders: 1, maxWait: 100 });
+        const fn = jest.fn();
+        const onShed = jest.fn();
+        limiter.run(fn, onShed);
+        limiter.run(fn, onShed);
+        jest.advanceTimersByTime(99);
+        expect(onShed).not.toHaveBeenCalled();
+        jest.advanceTimersByTime(1);
+        expect(onShed).toHaveBeenCalledWith('timeout');
+        expect(fn).toHaveBeenCalledTimes(1);
+        expect(limiter.getStats()).toEqual({
+            active: 1,
+            queued: 0,
+            shed: { queue: 0, timeout: 1 },
+        });
+    });
+
+    it('should remove cancelled requests from the queue', () => {
+        const limiter = createLimiter({ maxRenders: 1, maxWait: 100 });
+        const releases = [];
+        const fn = jest.fn(release => releases.push(release));
+        const onShed = jest.fn();
+        expect(limiter.run(fn, onShed)()).toBe(false);
+        const cancel = limiter.run(fn, onShed);
+        expect(cancel()).toBe(true);
+        expect(cancel()).toBe(false);
+        expect(limiter.getStats().queued).toBe(0);
+        jest.advanceTimersByTime(100);
+        releases[0]();
+        expect(fn).toHaveBeenCalledTimes(1);
+        expect(onShed).not.toHaveBeenCalled();
+    });
+
+});
@@ -0,0 +1,103 @@
+import createMetrics from '../src/metrics';
+
+describe('metrics', () => {
+    const labels = {
+        renderer: 'default',
+        route: 'home',
+        mode: 'stream',
+        status: 200,
+    };
+
+    it('should serialize an empty registry', () => {
+        const text = createMetrics().serialize();
+        expect(text).toContain('# TYPE vue_ssr_render_duration_seconds histogram');
+        expect(text).toContain('# TYPE vue_ssr_responses_total counter');
+        expect(text).toContain('# TYPE vue_ssr_errors_total counter');
+        expect(text).toContain('# TYPE vue_ssr_component_cache_entries gauge');
+        expect(text).not.toContain('vue_ssr_responses_total{');
+        expect(text.endsWith('\n')).toBe(true);
+    });
+
+    it('should record render durations in histogram buckets', () => {
+        const metrics = createMetrics({ buckets: [0.1, 1] });
+        metrics.observeRequest(labels, 50);
+        metrics.observeRequest(labels, 500);
+        metrics.observeRequest(labels, 5000);
+        const lines = metrics.serialize().split('\n');
+        const series = 'renderer="default",route="home",mode="stream"';
+        expect(lines).toContain(`vue_ssr_render_duration_seconds_bucket{${series},le="0.1"} 1`);
+        expect(lines).toContain(`vue_ssr_render_duration_seconds_bucket{${series},le="1"} 2`);
+        expect(lines).toContain(`vue_ssr_render_duration_seconds_bucket{${series},le="+Inf"} 3`);
+        expect(lines).toContain(`vue_ssr_render_duration_seconds_sum{${series}} 5.55`);
+        expect(lines).toContain(`vue_ssr_render_duration_seconds_count{${series}} 3`);
+    });
+
+    it('should count responses by status and mode', () => {
+        const metrics = createMetrics();
+        metrics.observeRequest(labels, 10);
+        metrics.observeRequest(labels, 10);
+        metrics.observeRequest({ ...labels, mode: 'cache', status: 404 }, 10);
+        const lines = metrics.serialize().split('\n');
+        const name = 'vue_ssr_responses_total';
+        expect(lines).toContain(`${name}{renderer="default",status="200",mode="stream"} 2`);
+        expect(lines).toContain(`${name}{renderer="default",status="404",mode="cache"} 1`);
+    });
+
+    it('should count errors by type', () => {
+        const metrics = createMetrics({ prefix: 'app_' });
+        metrics.countError('default', 'timeout');
+        metrics.countError('default', 'timeout');
+        metrics.countError('other', '500');
+        const lines = metrics.serialize().split('\n');
+        expect(lines).toContain('app_errors_total{renderer="default",type="timeout"} 2');
+        expect(lines).toContain('app_errors_total{renderer="other",type="500"} 1');
+    });
+
+    it('should escape label values', () => {
+        const metrics = createMetrics();
+        metrics.observeRequest({ ...labels, route: 'a"b\\c\nd' }, 10);
+        expect(metrics.serialize()).toContain('route="a\\"b\\\\c\\nd"');
+    });
+
+    it('should report component cache statistics', () => {
+        const stats = {
+            hits: 3,
+            misses: 1,
+            hitRatio: 0.75,
+            entries: 2,
+            bytes: 100,
+        };
+        const text = createMetrics().serialize({
+            default: stats,
+            shared: { ...stats, entries: null, bytes: null },
+        });
+        const lines = text.split('\n');
+        expect(lines).toContain('vue_ssr_component_cache_entries{renderer="default"} 2');
+        expect(lines).toContain('vue_ssr_component_cache_bytes{renderer="default"} 100');
+        expect(lines).toContain('vue_ssr_component_cache_hit_ratio{renderer="shared"} 0.75');
+        expect(lines).toContain('vue_ssr_component_cache_hits_total{renderer="shared"} 3');
+        expect(lines).toContain('vue_ssr_component_cache_misses_total{renderer="default"} 1');
+        expect(text).not.toContain('vue_ssr_component_cache_entries{renderer="shared"}');
+    });
+
+    it('should count shed requests by reason', () => {
+        const metrics = createMetrics();
+        metrics.countShed('default', 'queue');
+        metrics.countShed('default', 'timeout');
+        metrics.countShed('default', 'timeout');
+        const lines = metrics.serialize().split('\n');
+        expect(lines).toContain('vue_ssr_shed_total{renderer="default",reason="queue"} 1');
+        expect(lines).toContain('vue_ssr_shed_total{renderer="default",reason="timeout"} 2');
+    });
+
+    it('should report concurrency limiter statistics', () => {
+        const text = createMetrics().serialize({}, {
+            default: { active: 20, queued: 5 },
+        });
+        const lines = text.split('\n');
+        expect(lines).toContain('# TYPE vue_ssr_render_queue_depth gauge');
+        expect(lines).toContain('vue_ssr_renders_in_progress{renderer="default"} 20');
+        expect(lines).toContain('vue_ssr_render_queue_depth{renderer="default"} 5');
+    });
+
+});
@@ -0,0 +1,97 @@
+import {
+    gone,
+    notFound,
+    redirect,
+    resolveLocation,
+    resolveRedirect,
+} from '../src/navigation';
+
+function getThrown(fn) {
+    try {
+        fn();
+    } catch (e) {
+        return e;
+    }
+    return null;
+}
+
+describe('navigation', () => {
+
+    describe('redirect', () => {
+
+        it('should throw a redirect', () => {
+            const err = getThrown(() => redirect('/login'));
+            expect(err).toBeInstanceOf(Error);
+            expect(err).toMatchObject({ url: '/login', status: 302 });
+            expect(getThrown(() => redirect('/moved', 308))).toMatchObject({ status: 308 });
+        });
+
+        it('should reject invalid statuses', () => {
+            expect(() => redirect('/login', 200)).toThrow('Invalid redirect status: 200');
+        });
+
+    });
+
+    describe('notFound/gone', () => {
+
+        it('should throw errors with the status code', () => {
+            expect(getThrown(() => notFound())).toMatchObject({
+                code: 404,
+                message: 'Not Found',
+            });
+            expect(getThrown(() => gone('Discontinued'))).toMatchObject({
+                code: 410,
+                message: 'Discontinued',
+            });
+        });
+
+    });
+
+    describe('resolveLocation', () => {
+
+        it('should resolve paths against the current URL', () => {
+            expect(resolveLocation('/login?next=%2F', '/account/orders')).toBe('/login?next=%2F');
+            expect(resolveLocation('settings', '/account/orders')).toBe('/account/settings');
+            expect(resolveLocation('../help#faq', '/account/orders')).toBe('/help#faq');
+            expect(resolveLocation('?page=2', '/search?q=a')).toBe('/search?page=2');
+        });
+
+        it('should keep URLs for other origins', () => {
+            expect(resolveLocation('https://example.com/a', '/')).toBe('https://example.com/a');
+            expect(resolveLocation('//example.com/a', '/')).toBe('http://example.com/a');
+        });
+
+    });
+
+    describe('resolveRedirect', () => {
+
+        it('should resolve the redirect location', () => {
+            const err = getThrown(() => redirect('edit', 301));
+            expect(resolveRedirect(err, '/posts/1')).toBe(err);
+            expect(err).toMatchObject({ url: '/posts/edit', status: 301 });
+        });
+
+        it('should convert plain redirect objects to errors', () => {
+            const err = resolveRedirect({ url: 'b' }, '/a');
+            expect(err).toBeInstanceOf(Error);
+            expect(err).toMatchObject({ url: '/b', message: 'Redirecting to /b' });
+        });
+
+        it('should detect redirects to the current URL', () => {
+            ['/a?b=1', '?b=1', 'http://localhost/a?b=1'].forEach((url) => {
+                expect(resolveRedirect({ url }, '/a?b=1')).toMatchObject({
+                    code: 'ERR_REDIRECT_LOOP',
+                    message: 'Redirect loop detected for /a?b=1',
+                });
+            });
+        });
+
+        it('should return other values unchanged', () => {
+            const err = new Error('boom');
+            expect(resolveRedirect(err, '/')).toBe(err);
+            expect(resolveRedirect(null, '/')).toBe(null);
+        });
+
+    });
+
+});
@@ -0,0 +1,184 @@
+import createPageCache from '../src/page-cache';
+
+describe('page-cache', () => {
+    const getReq = (url, headers = {}, method = 'GET') => ({ url, headers, method });
+
+    describe('getKey', () => {
+
+        it('should key by url', () => {
+            const cache = createPageCache();
+            expect(cache.getKey(getReq('/a'))).not.toEqual(cache.getKey(getReq('/b')));
+            expect(cache.getKey(getReq('/a'))).toEqual(cache.getKey(getReq('/a')));
+            expect(cache.getKey(getReq('/a', {}, 'HEAD'))).toEqual(cache.getKey(getReq('/a')));
+        });
+
+        it('should not cache non-GET requests', () => {
+            const cache = createPageCache();
+            expect(cache.getKey(getReq('/', {}, 'POST'))).toBe(null);
+        });
+
+        it('should support a bypass function', () => {
+            const cache = createPageCache({
+                bypass: req => req.headers.authorization != null,
+            });
+            expect(cache.getKey(getReq('/', { authorization: 'x' }))).toBe(null);
+            expect(cache.getKey(getReq('/'))).not.toBe(null);
+        });
+
+        it('should vary on headers, cookies and functions', () => {
+            const cache = createPageCache({
+                vary: [
+                    'header:X-Device',
+                    'cookie:locale',
+                    req => (req.url.includes('?') ? 'query' : null),
+                ],
+            });
+            const base = cache.getKey(getReq('/'));
+            const mobile = cache.getKey(getReq('/', { 'x-device': 'mobile' }));
+            const fr = cache.getKey(getReq('/', { cookie: 'a=1; locale=fr-FR; bad' }));
+            const frAgain = cache.getKey(getReq('/', { cookie: 'locale=fr-FR' }));
+            expect(new Set([base, mobile, fr]).size).toBe(3);
+            expect(fr).toEqual(frAgain);
+            expect(cache.getKey(getReq('/?a=1'))).toContain('query');
+        });
+
+        it('should decode cookie values', () => {
+            const cache = createPageCache({ vary: ['cookie:name'] });
+            expect(cache.getKey(getReq('/', { cookie: 'name=a%20b' }))).toContain('a b');
+        });
+
+        it('should ignore malformed values of other cookies', () => {
+            const cache = createPageCache({ vary: ['cookie:name'] });
+            const cookie = 'tracking=%E0%A4%A; name; name=a%20b';
+            const key = cache.getKey(getReq('/', { cookie }));
+            expect(key).toContain('a b');
+            expect(key).not.toContain('tracking');
+        });
+
+        it('should fall back to the raw value of a malformed cookie', () => {
+            const cache = createPageCache({ vary: ['cookie:name'] });
+            expect(cache.getKey(getReq('/', { cookie: 'name=%E0%A4%A' }))).toContain('%E0%A4%A');
+        });
+
+        it('should reject invalid vary attributes', () => {
+            expect(() => createPageCache({ vary: ['query:foo'] })).toThrow();
+            expect(() => createPageCache({ vary: ['header'] })).toThrow();
+        });
+
+    });
+
+    describe('varyHeader', () => {
+
+        it('should generate a Vary header from header and cookie attributes', () => {
+            const cache = createPageCache({
+                vary: ['header:X-Device', 'cookie:a', 'cookie:b', () => 'x'],
+            });
+            expect(cache.varyHeader).toBe('X-Device, Cookie');
+        });
+
+        it('should be empty when only varying on url', () => {
+            expect(createPageCache().varyHeader).toBe('');
+        });
+
+    });
+
+    describe('get/set', () => {
+
+        it('should store and retrieve html', () => {
+            const cache = createPageCache();
+            const req = getReq('/');
+            const key = cache.getKey(req);
+            expect(cache.get(key)).toBe(undefined);
+            cache.set(key, '<html></html>', req);
+            expect(cache.get(key).html).toBe('<html></html>');
+            expect(cache.get(key).response).toBe(null);
+            const response = { status: null, headers: { 'x-page': 'home' }, cookies: [] };
+            cache.set(key, '<html></html>', req, response);
+            expect(cache.get(key).response).toBe(response);
+            cache.reset();
+            expect(cache.get(key)).toBe(undefined);
+        });
+
+        it('should expire entries', () => {
+            const now = Date.now();
+            const spy = jest.spyOn(Date, 'now').mockReturnValue(now);
+            const cache = createPageCache({ maxAge: 1000 });
+            const req = getReq('/');
+            const key = cache.getKey(req);
+            cache.set(key, 'html', req);
+            spy.mockReturnValue(now + 500);
+            expect(cache.get(key).html).toBe('html');
+            spy.mockReturnValue(now + 1500);
+            expect(cache.get(key)).toBe(undefined);
+            spy.mockRestore();
+        });
+
+        it('should support per-request ttls', () => {
+            const now = Date.now();
+            const spy = jest.spyOn(Date, 'now').mockReturnValue(now);
+            const cache = createPageCache({
+                maxAge: 1000,
+                ttl: req => (req.url === '/long' ? 5000 : 1000),
+            });
+            const req = getReq('/long');
+            const key = cache.getKey(req);
+            cache.set(key, 'html', req);
+            spy.mockReturnValue(now + 1500);
+            expect(cache.get(key).html).toBe('html');
+            spy.mockRestore();
+        });
+
+    });
+
+    describe('staleWhileRevalidate', () => {
+
+        it('should retain stale entries for the revalidation window', () => {
+            const now = Date.now();
+            const spy = jest.spyOn(Date, 'now').mockReturnValue(now);
+            const cache = createPageCache({ maxAge: 1000, staleWhileRevalidate: 1000 });
+            const req = getReq('/');
+            const key = cache.getKey(req);
+            cache.set(key, 'html', req);
+            expect(cache.isStale(cache.get(key))).toBe(false);
+            spy.mockReturnValue(now + 1500);
+            expect(cache.isStale(cache.get(key))).toBe(true);
+            spy.mockReturnValue(now + 2500);
+            expect(cache.get(key)).toBe(undefined);
+            spy.mockRestore();
+        });
+
+    });
+
+    describe('track/pending', () => {
+
+        it('should release keys once the render resolves', async () => {
+            const cache = createPageCache();
+            const promise = Promise.resolve({ html: 'html', status: 200 });
+            expect(cache.track('key', promise)).toBe(promise);
+            expect(cache.pending('key')).toBe(promise);
+            await promise;
+            expect(cache.pending('key')).toBe(undefined);
+        });
+
+        it('should release keys once the render rejects', async () => {
+            const cache = createPageCache();
+            const promise = Promise.reject(new Error('error'));
+            cache.track('key', promise);
+            expect(cache.pending('key')).toBe(promise);
+            await expect(promise).rejects.toThrow('error');
+            expect(cache.pending('key')).toBe(undefined);
+        });
+
+        it('should not release a newer render for the same key', async () => {
+            const cache = createPageCache();
+            const first = Promise.resolve({ html: 'html', status: 200 });
+            const second = new Promise(() => {});
+            cache.track('key', first);
+            cache.track('key', second);
+            await first;
+            expect(cache.pending('key')).toBe(second);
+        });
+
+    });
+
+});
@@ -0,0 +1,160 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import prerender from '../src/prerender';
+import { getOptions, parseArgs, run } from '../src/prerender-command';
+
+jest.mock('../src/prerender', () => jest.fn());
+
+describe('prerender-command', () => {
+    let dir;
+    let configPath;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prerender-command-'));
+        configPath = path.join(dir, 'prerender.config.js');
+        fs.writeFileSync(configPath, `module.exports = ${JSON.stringify({
+            templatePath: 'src/index.html',
+            clientManifest: 'dist/vue-ssr-client-manifest.json',
+            serverBundle: 'dist/vue-ssr-server-bundle.json',
+            outputDir: 'dist/static',
+            urls: ['/'],
+        })};`);
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    describe('parseArgs', () => {
+
+        it('should parse flags and URLs', () => {
+            expect(parseArgs([
+                '--config', 'prerender.config.js',
+                '--out', 'out',
+                '--concurrency', '2',
+                '--crawl',
+                '--origin', 'https://www.example.com',
+                '/',
+                '/about',
+            ])).toEqual({
+                config: 'prerender.config.js',
+                out: 'out',
+                concurrency: '2',
+                crawl: true,
+                origin: 'https://www.example.com',
+                urls: ['/', '/about'],
+            });
+            expect(parseArgs([])).toEqual({ urls: [] });
+        });
+
+        it('should reject missing values and unknown options', () => {
+            expect(() => parseArgs(['--config'])).toThrow('Missing value for --config');
+            expect(() => parseArgs(['--verbose'])).toThrow('Unknown option: --verbose');
+        });
+
+    });
+
+    describe('getOptions', () => {
+
+        it('should resolve config paths from the current directory', () => {
+            const args = parseArgs(['--config', 'prerender.config.js']);
+            expect(getOptions(args, dir)).toEqual({
+                templatePath: path.join(dir, 'src/index.html'),
+                clientManifest: path.join(dir, 'dist/vue-ssr-client-manifest.json'),
+                serverBundle: path.join(dir, 'dist/vue-ssr-server-bundle.json'),
+                outputDir: path.join(dir, 'dist/static'),
+                urls: ['/'],
+            });
+        });
+
+        it('should override the config with the arguments', () => {
+            expect(getOptions(parseArgs([
+                '--config', configPath,
+                '--out', 'out',
+                '--concurrency', '2',
+                '--crawl',
+                '--origin', 'https://www.example.com',
+                '/about',
+            ]), dir)).toMatchObject({
+                outputDir: path.join(dir, 'out'),
+                concurrency: 2,
+                crawl: true,
+                origin: 'https://www.example.com',
+                urls: ['/about'],
+            });
+        });
+
+        it('should leave missing paths unset', () => {
+            fs.writeFileSync(configPath, 'module.exports = {};');
+            jest.isolateModules(() => {
+                expect(getOptions({ config: configPath, urls: [] })).toEqual({
+                    templatePath: undefined,
+                    clientManifest: undefined,
+                    serverBundle: undefined,
+                    outputDir: undefined,
+                });
+            });
+        });
+
+        it('should require a config file', () => {
+            expect(() => getOptions({ urls: [] })).toThrow('Missing --config');
+        });
+
+        it('should validate the concurrency', () => {
+            ['0', '-1', 'many'].forEach((concurrency) => {
+                expect(() => getOptions({ config: configPath, concurrency, urls: [] }))
+                    .toThrow(`Invalid --concurrency: ${concurrency}`);
+            });
+        });
+
+    });
+
+    describe('run', () => {
+        let logger;
+
+        beforeEach(() => {
+            logger = { log: jest.fn(), error: jest.fn() };
+        });
+
+        it('should prerender the pages', async () => {
+            prerender.mockResolvedValue({ pages: { '/': {}, '/about': {} }, failures: [] });
+            await expect(run(['--config', configPath], logger)).resolves.toBe(0);
+            const outputDir = path.resolve('dist/static');
+            expect(prerender).toHaveBeenCalledWith(expect.objectContaining({ outputDir }));
+            expect(logger.log).toHaveBeenCalledWith(`Prerendered 2 pages to ${outputDir}`);
+            expect(logger.error).not.toHaveBeenCalled();
+        });
+
+        it('should exit non-zero when pages fail', async () => {
+            prerender.mockResolvedValue({
+                pages: { '/': {} },
+                failures: [{ url: '/about', message: 'Render failed' }],
+            });
+            await expect(run(['--config', configPath], logger)).resolves.toBe(1);
+            expect(logger.error.mock.calls).toEqual([
+                ['1 pages failed:'],
+                ['  /about: Render failed'],
+            ]);
+        });
+
+        it('should exit non-zero when the run fails', async () => {
+            const err = new Error('Prerendering requires an outputDir');
+            prerender.mockRejectedValue(err);
+            await expect(run(['--config', configPath], logger)).resolves.toBe(1);
+            expect(logger.error).toHaveBeenCalledWith(err);
+            await expect(run(['--crawl'], logger)).resolves.toBe(1);
+            expect(logger.error).toHaveBeenCalledWith(new Error('Missing --config'));
+        });
+
+        it('should log to the console by default', async () => {
+            const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+            await expect(run([])).resolves.toBe(1);
+            expect(error).toHaveBeenCalledWith(new Error('Missing --config'));
+            error.mockRestore();
+        });
+
+    });
+
+});
@@ -0,0 +1,102 @@
+import path from 'path';
+
+import {
+    extractLinks,
+    getOutputFile,
+    normalizeUrl,
+} from '../src/prerender-paths';
+
+describe('prerender-paths', () => {
+
+    describe('normalizeUrl', () => {
+
+        it('should resolve paths relative to the base', () => {
+            expect(normalizeUrl('/about')).toBe('/about');
+            expect(normalizeUrl('team', '/about/')).toBe('/about/team');
+            expect(normalizeUrl('../contact', '/about/team')).toBe('/contact');
+        });
+
+        it('should strip queries and hashes', () => {
+            expect(normalizeUrl('/search?q=shoes#results')).toBe('/search');
+            expect(normalizeUrl('#top', '/about')).toBe('/about');
+        });
+
+        it('should only accept absolute URLs on the site origin', () => {
+            expect(normalizeUrl('https://www.example.com/about')).toBeNull();
+            expect(normalizeUrl('https://www.example.com/about', '/', 'https://www.example.com'))
+                .toBe('/about');
+            expect(normalizeUrl('https://cdn.example.com/about', '/', 'https://www.example.com'))
+                .toBeNull();
+        });
+
+        it('should skip files other than pages', () => {
+            expect(normalizeUrl('/img/logo.png')).toBeNull();
+            expect(normalizeUrl('/feed.xml')).toBeNull();
+            expect(normalizeUrl('/legacy.html')).toBe('/legacy.html');
+            expect(normalizeUrl('/legacy.htm')).toBe('/legacy.htm');
+        });
+
+        it('should return null for invalid URLs', () => {
+            expect(normalizeUrl('http://[')).toBeNull();
+        });
+
+    });
+
+    describe('extractLinks', () => {
+
+        it('should return unique page links', () => {
+            const html = [
+                '<nav><a href="/about">About</a>',
+                '<a class="nav" href=\'/contact\'>Contact</a>',
+                '<a href="/about#team">Team</a>',
+                '<a href="products?page=2&amp;sort=price">More</a></nav>',
+                '<link href="/styles.css" rel="stylesheet">',
+            ].join('');
+            expect(extractLinks(html, '/shop/')).toEqual(['/about', '/contact', '/shop/products']);
+        });
+
+        it('should skip non-page links', () => {
+            const html = [
+                '<a href="mailto:help@example.com">Email</a>',
+                '<a href="tel:+15555555555">Call</a>',
+                '<a href="javascript:void(0)">Menu</a>',
+                '<a href="https://twitter.com/example">Twitter</a>',
+                '<a href="/terms.pdf">Terms</a>',
+            ].join('');
+            expect(extractLinks(html, '/')).toEqual([]);
+        });
+
+        it('should resolve empty links to the page itself', () => {
+            expect(extractLinks('<a href="">Home</a>', '/home')).toEqual(['/home']);
+        });
+
+        it('should include absolute links on the site origin', () => {
+            const html = '<a href="https://www.example.com/sale">Sale</a>';
+            expect(extractLinks(html, '/', 'https://www.example.com')).toEqual(['/sale']);
+        });
+
+    });
+
+    describe('getOutputFile', () => {
+
+        it('should write pages to index.html files', () => {
+            expect(getOutputFile('/')).toBe('index.html');
+            expect(getOutputFile('/about')).toBe(path.join('about', 'index.html'));
+            expect(getOutputFile('/about/team/')).toBe(path.join('about', 'team', 'index.html'));
+        });
+
+        it('should keep .html paths as they are', () => {
+            expect(getOutputFile('/legacy/page.html')).toBe(path.join('legacy', 'page.html'));
+        });
+
+        it('should decode paths', () => {
+            expect(getOutputFile('/caf%C3%A9')).toBe(path.join('café', 'index.html'));
+        });
+
+        it('should reject paths outside the output directory', () => {
+            expect(() => getOutputFile('/a%2F..%2F..%2Fetc')).toThrow('Invalid prerender path');
+        });
+
+    });
+
+});
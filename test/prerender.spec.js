@@ -0,0 +1,302 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createBundleRenderer } from 'vue-server-renderer';
+
+import prerender from '../src/prerender';
+
+jest.mock('vue-server-renderer', () => ({ createBundleRenderer: jest.fn() }));
+
+describe('prerender', () => {
+    let dir;
+    let outputDir;
+    let logger;
+    let routes;
+
+    // Pages keyed by path, rendering their HTML or throwing their error
+    const page = html => () => html;
+    const links = (...hrefs) => page(hrefs.map(href => `<a href="${href}">${href}</a>`).join(''));
+    const reject = err => () => { throw err; };
+
+    const run = opts => prerender({
+        templatePath: path.join(dir, 'index.html'),
+        clientManifest: path.join(dir, 'vue-ssr-client-manifest.json'),
+        serverBundle: path.join(dir, 'vue-ssr-server-bundle.json'),
+        outputDir,
+        logger,
+        ...opts,
+    });
+
+    const read = file => fs.readFileSync(path.join(outputDir, file), 'utf-8');
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prerender-'));
+        outputDir = path.join(dir, 'dist');
+        fs.writeFileSync(
+            path.join(dir, 'index.html'),
+            '<html><head><title>{{ title }}</title></head><body><!--vue-ssr-outlet--></body>',
+        );
+        fs.writeFileSync(path.join(dir, 'vue-ssr-client-manifest.json'), JSON.stringify({
+            publicPath: '/dist/',
+            all: ['app.js'],
+            initial: ['app.js'],
+            async: [],
+            modules: {},
+        }));
+        fs.writeFileSync(path.join(dir, 'vue-ssr-server-bundle.json'), '{"entry":"main.js"}');
+        logger = { log: jest.fn(), warn: jest.fn(), error: jest.fn() };
+        routes = {};
+        createBundleRenderer.mockImplementation(() => ({
+            renderToString: jest.fn(async (context) => {
+                const route = routes[context.url];
+                if (!route) {
+                    throw Object.assign(new Error('Not Found'), { code: 404 });
+                }
+                return route(context);
+            }),
+        }));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should require an output directory', async () => {
+        await expect(run({ outputDir: null })).rejects.toThrow(
+            'Prerendering requires an outputDir',
+        );
+    });
+
+    it('should create a bundle renderer from the build files', async () => {
+        routes['/'] = page('<div>Home</div>');
+        await run({ rendererOpts: { inject: false } });
+        const [[bundle, opts]] = createBundleRenderer.mock.calls;
+        expect(bundle).toEqual({ entry: 'main.js' });
+        expect(opts).toMatchObject({
+            template: expect.stringContaining('<!--vue-ssr-outlet-->'),
+            clientManifest: expect.objectContaining({ publicPath: '/dist/' }),
+            runInNewContext: false,
+            inject: false,
+        });
+    });
+
+    it('should render the configured urls to html files', async () => {
+        routes['/'] = page('<div>Home</div>');
+        routes['/about'] = page('<div>About</div>');
+        routes['/legacy.html'] = page('<div>Legacy</div>');
+        const manifest = await run({
+            urls: ['/', '/about?ref=nav', '/legacy.html', 'https://www.example.com/about'],
+            origin: 'https://www.example.com',
+        });
+        expect(manifest).toEqual({
+            pages: {
+                '/': { status: 200, file: 'index.html' },
+                '/about': { status: 200, file: path.join('about', 'index.html') },
+                '/legacy.html': { status: 200, file: 'legacy.html' },
+            },
+            failures: [],
+        });
+        expect(read('index.html')).toBe('<div>Home</div>');
+        expect(read('about/index.html')).toBe('<div>About</div>');
+        expect(read('legacy.html')).toBe('<div>Legacy</div>');
+        expect(JSON.parse(read('prerender-manifest.json'))).toEqual(manifest);
+        expect(logger.log).toHaveBeenCalledWith('Prerendered /about (200)');
+    });
+
+    it('should skip configured urls that aren\'t pages on the site', async () => {
+        routes['/'] = page('<div>Home</div>');
+        const manifest = await run({ urls: ['/', '/feed.xml', 'https://cdn.example.com/'] });
+        expect(Object.keys(manifest.pages)).toEqual(['/']);
+        expect(logger.warn).toHaveBeenCalledWith(
+            'Skipping /feed.xml, which isn\'t a page on this site',
+        );
+        expect(logger.warn).toHaveBeenCalledTimes(2);
+    });
+
+    it('should render with a prerender context', async () => {
+        let context;
+        routes['/'] = (ctx) => {
+            context = ctx;
+            return '';
+        };
+        await run({
+            title: 'Shop',
+            createContext: async url => ({ locale: 'en', path: url }),
+        });
+        expect(context).toMatchObject({
+            title: 'Shop',
+            url: '/',
+            path: '/',
+            request: null,
+            response: null,
+            rendererName: 'prerender',
+            prerender: true,
+            locale: 'en',
+        });
+        expect(typeof context.httpResponse.setStatus).toBe('function');
+    });
+
+    it('should record statuses and headers set by the app', async () => {
+        routes['/sale'] = (context) => {
+            context.httpResponse.setStatus(410).setHeader('X-Robots-Tag', 'noindex');
+            return '<div>Sale over</div>';
+        };
+        const manifest = await run({ urls: ['/sale'], manifestFile: 'pages.json' });
+        expect(manifest.pages['/sale']).toEqual({
+            status: 410,
+            headers: { 'x-robots-tag': 'noindex' },
+            file: path.join('sale', 'index.html'),
+        });
+        expect(JSON.parse(read('pages.json'))).toEqual(manifest);
+    });
+
+    it('should record redirects and missing pages without writing them', async () => {
+        routes['/old'] = reject(Object.assign(new Error('Moved'), { url: '/new', status: 301 }));
+        routes['/login'] = reject({ url: '/account' });
+        routes['/retired'] = reject(Object.assign(new Error('Gone'), { code: 410 }));
+        const manifest = await run({ urls: ['/old', '/login', '/retired', '/missing'] });
+        expect(manifest.pages).toEqual({
+            '/old': { status: 301, location: '/new' },
+            '/login': { status: 302, location: '/account' },
+            '/retired': { status: 410 },
+            '/missing': { status: 404 },
+        });
+        expect(manifest.failures).toEqual([]);
+        expect(fs.readdirSync(outputDir)).toEqual(['prerender-manifest.json']);
+        expect(logger.log).toHaveBeenCalledWith('Prerendered /old -> /new (301)');
+    });
+
+    it('should write the page shell for client-only routes', async () => {
+        routes['/account'] = reject(Object.assign(new Error('Client only'), {
+            code: 'ERR_CLIENT_ONLY',
+        }));
+        const manifest = await run({ urls: ['/account'] });
+        expect(manifest.pages['/account']).toEqual({
+            status: 200,
+            clientOnly: true,
+            file: path.join('account', 'index.html'),
+        });
+        expect(read('account/index.html')).toContain(
+            '<div id="app" data-csr-fallback="client-only"></div>',
+        );
+        expect(read('account/index.html')).toContain('<script src="/dist/app.js" defer>');
+    });
+
+    it('should report pages that fail to render', async () => {
+        const err = new Error('fetchData failed');
+        routes['/'] = page('<div>Home</div>');
+        routes['/broken'] = reject(err);
+        const manifest = await run({ urls: ['/', '/broken'] });
+        expect(manifest.pages['/broken']).toEqual({ status: 500 });
+        expect(manifest.failures).toEqual([
+            { url: '/broken', message: 'fetchData failed', stack: err.stack },
+        ]);
+        expect(logger.error).toHaveBeenCalledWith('Error prerendering /broken', err);
+        expect(read('index.html')).toBe('<div>Home</div>');
+    });
+
+    it('should report pages that can\'t be written', async () => {
+        routes['/'] = links('/caf%E0%A4%A', '/about');
+        routes['/caf%E0%A4%A'] = page('<div>Café</div>');
+        routes['/about'] = page('<div>About</div>');
+        const manifest = await run({ crawl: true });
+        expect(manifest.failures).toEqual([expect.objectContaining({
+            url: '/caf%E0%A4%A',
+            message: 'URI malformed',
+        })]);
+        expect(manifest.pages['/caf%E0%A4%A']).toEqual({ status: 200 });
+        expect(read('about/index.html')).toBe('<div>About</div>');
+        expect(JSON.parse(read('prerender-manifest.json'))).toEqual(manifest);
+    });
+
+    describe('crawling', () => {
+
+        it('should render linked pages once', async () => {
+            routes['/'] = links('/about', '/products', 'mailto:help@example.com');
+            routes['/about'] = links('/', 'about/team', 'https://www.example.com/products');
+            routes['/about/team'] = page('<div>Team</div>');
+            routes['/products'] = page('<div>Products</div>');
+            const manifest = await run({ crawl: true, origin: 'https://www.example.com' });
+            expect(Object.keys(manifest.pages).sort()).toEqual([
+                '/',
+                '/about',
+                '/about/team',
+                '/products',
+            ]);
+            expect(read('about/team/index.html')).toBe('<div>Team</div>');
+        });
+
+        it('should only follow links without crawl', async () => {
+            routes['/'] = links('/about');
+            const manifest = await run();
+            expect(Object.keys(manifest.pages)).toEqual(['/']);
+        });
+
+        it('should follow same-origin redirects', async () => {
+            routes['/'] = links('/old', '/external');
+            routes['/old'] = reject({ url: '/new', status: 301 });
+            routes['/external'] = reject({ url: 'https://shop.example.com/', status: 302 });
+            routes['/new'] = page('<div>New</div>');
+            const manifest = await run({ crawl: true });
+            expect(Object.keys(manifest.pages).sort()).toEqual(['/', '/external', '/new', '/old']);
+        });
+
+        it('should filter crawled pages', async () => {
+            routes['/'] = links('/about', '/admin');
+            routes['/about'] = page('');
+            const manifest = await run({ crawl: true, filter: url => !url.startsWith('/admin') });
+            expect(Object.keys(manifest.pages).sort()).toEqual(['/', '/about']);
+        });
+
+        it('should stop at maxPages', async () => {
+            routes['/'] = links('/a', '/b', '/c');
+            ['/a', '/b', '/c'].forEach((url) => {
+                routes[url] = page('');
+            });
+            const manifest = await run({ crawl: true, maxPages: 3 });
+            expect(Object.keys(manifest.pages)).toEqual(['/', '/a', '/b']);
+        });
+
+    });
+
+    describe('concurrency', () => {
+        let deferred;
+
+        // Add a page that takes a while to render, counting renders in progress
+        const defer = (url, html = `<div>${url}</div>`) => {
+            routes[url] = () => new Promise((resolve) => {
+                deferred.active++;
+                deferred.max = Math.max(deferred.max, deferred.active);
+                setTimeout(() => {
+                    deferred.active--;
+                    resolve(html);
+                }, 10);
+            });
+        };
+
+        beforeEach(() => {
+            deferred = { active: 0, max: 0 };
+        });
+
+        it('should render up to concurrency pages at once', async () => {
+            const urls = ['/1', '/2', '/3', '/4', '/5'];
+            urls.forEach(url => defer(url));
+            const manifest = await run({ urls, concurrency: 2 });
+            expect(deferred.max).toBe(2);
+            expect(Object.keys(manifest.pages)).toHaveLength(5);
+        });
+
+        it('should keep rendering pages found while crawling', async () => {
+            routes['/'] = links('/1', '/2', '/3');
+            defer('/1');
+            defer('/2');
+            defer('/3', '<a href="/4">4</a>');
+            defer('/4');
+            const manifest = await run({ crawl: true, concurrency: 4 });
+            expect(deferred.max).toBe(3);
+            expect(Object.keys(manifest.pages).sort()).toEqual(['/', '/1', '/2', '/3', '/4']);
+        });
+
+    });
+
+});
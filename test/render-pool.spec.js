@@ -0,0 +1,408 @@
+import { Worker } from 'worker_threads';
+
+import createRenderPool from '../src/render-pool';
+
+jest.mock('worker_threads', () => {
+    const { EventEmitter } = jest.requireActual('events');
+
+    class MockWorker extends EventEmitter {
+        constructor(file, opts) {
+            super();
+            this.file = file;
+            this.opts = opts;
+            this.postMessage = jest.fn();
+            this.terminate = jest.fn(() => process.nextTick(() => this.emit('exit', 1)));
+            MockWorker.instances.push(this);
+        }
+
+        // Simulate messages from the worker thread
+        send(message) {
+            this.emit('message', message);
+        }
+
+        // Render ids posted to this worker, in order
+        getRenderIds() {
+            return this.postMessage.mock.calls
+                .map(([message]) => message)
+                .filter(message => message.type === 'render')
+                .map(message => message.id);
+        }
+    }
+    MockWorker.instances = [];
+
+    return { Worker: MockWorker };
+});
+
+describe('render-pool', () => {
+    const flush = () => new Promise(r => setImmediate(r));
+    let logger;
+    let config;
+
+    const createPool = (opts = {}, configOpts = {}) => createRenderPool({ size: 2, ...opts }, {
+        bundle: { entry: 'main.js' },
+        template: '<!--vue-ssr-outlet-->',
+        clientManifest: { publicPath: '/' },
+        config: { ...config, ...configOpts },
+    });
+
+    // Start all workers, as they do once their bundle renderer is created
+    const startWorkers = () => Worker.instances.forEach(w => w.send({ type: 'ready' }));
+
+    // Render to a string, returning a promise for the result along with the
+    // worker and id the render was posted with
+    const render = (pool, context = { url: '/' }) => {
+        const calls = Worker.instances.map(w => w.getRenderIds().length);
+        const promise = new Promise((resolve, reject) => {
+            pool.renderToString(context, (err, html) => (err ? reject(err) : resolve(html)));
+        });
+        const worker = Worker.instances.find((w, i) => w.getRenderIds().length > calls[i]);
+        const id = worker ? worker.getRenderIds().pop() : null;
+        return { promise, worker, id };
+    };
+
+    const finish = ({ worker, id }, heapUsed = 0) => {
+        worker.send({ type: 'chunk', id, chunk: '<div>' });
+        worker.send({ type: 'chunk', id, chunk: '</div>' });
+        worker.send({ type: 'end', id, preloadFiles: [{ file: 'app.js' }], heapUsed });
+    };
+
+    beforeEach(() => {
+        Worker.instances = [];
+        logger = {
+            log: jest.fn(),
+            debug: jest.fn(),
+            warn: jest.fn(),
+            error: jest.fn(),
+        };
+        config = {
+            name: 'default',
+            logger,
+            rendererOpts: null,
+            componentCacheDebug: false,
+            componentCacheMaxAge: 1000,
+            componentCacheMaxSize: 1024,
+        };
+    });
+
+    describe('workers', () => {
+
+        it('should start a worker per configured thread', () => {
+            createPool({ size: 3, resourceLimits: { maxOldGenerationSizeMb: 256 } });
+            expect(Worker.instances).toHaveLength(3);
+            const [{ file, opts }] = Worker.instances;
+            expect(file).toMatch(/render-worker\.js$/);
+            expect(opts.resourceLimits).toEqual({ maxOldGenerationSizeMb: 256 });
+            expect(opts.workerData).toEqual({
+                bundle: { entry: 'main.js' },
+                template: '<!--vue-ssr-outlet-->',
+                clientManifest: { publicPath: '/' },
+                rendererOpts: {},
+                cacheConfig: {
+                    componentCacheDebug: false,
+                    componentCacheMaxAge: 1000,
+                    componentCacheMaxSize: 1024,
+                },
+            });
+        });
+
+        it('should only send rendererOpts that can be posted to a worker', () => {
+            createPool({ size: 1 }, {
+                rendererOpts: { inject: false, shouldPreload: () => true },
+            });
+            expect(Worker.instances[0].opts.workerData.rendererOpts).toEqual({ inject: false });
+            expect(Worker.instances[0].opts.resourceLimits).toBeUndefined();
+            expect(logger.warn).toHaveBeenCalledWith(
+                'Ignoring rendererOpts.shouldPreload for worker renders, functions can\'t be sent',
+            );
+        });
+
+        it('should warn that custom component caches are not used', () => {
+            createPool({ size: 1 }, { componentCache: new Map() });
+            expect(logger.warn).toHaveBeenCalledWith(
+                'Custom componentCache backends are not used for worker renders',
+            );
+        });
+
+        it('should forward worker log messages', () => {
+            createPool({ size: 1 });
+            Worker.instances[0].send({ type: 'log', level: 'debug', args: ['Creating', 'cache'] });
+            expect(logger.debug).toHaveBeenCalledWith('Creating', 'cache');
+        });
+
+    });
+
+    describe('rendering', () => {
+
+        it('should render to a string', async () => {
+            const pool = createPool();
+            startWorkers();
+            const context = { url: '/', title: 'Home', request: { url: '/', headers: {} } };
+            const rendering = render(pool, context);
+            const [message] = rendering.worker.postMessage.mock.calls[0];
+            expect(message).toEqual({
+                type: 'render',
+                id: rendering.id,
+                context: {
+                    url: '/',
+                    title: 'Home',
+                    request: { url: '/', headers: {} },
+                    response: null,
+                },
+            });
+            rendering.worker.send({
+                type: 'context',
+                id: rendering.id,
+                context: {
+                    routeName: 'home',
+                    error: { isError: true, message: 'Fetch failed' },
+                },
+            });
+            finish(rendering);
+            await expect(rendering.promise).resolves.toBe('<div></div>');
+            expect(context.routeName).toBe('home');
+            expect(context.error).toBeInstanceOf(Error);
+            expect(context.getPreloadFiles()).toEqual([{ file: 'app.js' }]);
+        });
+
+        it('should fail with errors from the worker', async () => {
+            const pool = createPool();
+            startWorkers();
+            const rendering = render(pool);
+            rendering.worker.send({
+                type: 'error',
+                id: rendering.id,
+                error: { isError: true, message: 'Not Found', code: 404 },
+                heapUsed: 0,
+            });
+            await expect(rendering.promise).rejects.toMatchObject({
+                message: 'Not Found',
+                code: 404,
+            });
+        });
+
+        it('should ignore unknown messages and messages for finished renders', async () => {
+            const pool = createPool({ size: 1 });
+            startWorkers();
+            const rendering = render(pool);
+            rendering.worker.send({ type: 'unknown', id: rendering.id });
+            finish(rendering);
+            finish(rendering);
+            await expect(rendering.promise).resolves.toBe('<div></div>');
+        });
+
+        it('should render on the worker with the fewest renders in progress', () => {
+            const pool = createPool({ size: 2 });
+            startWorkers();
+            const first = render(pool);
+            const second = render(pool);
+            expect(first.worker).toBe(Worker.instances[0]);
+            expect(second.worker).toBe(Worker.instances[1]);
+            finish(first);
+            expect(render(pool).worker).toBe(Worker.instances[0]);
+        });
+
+        it('should fail renders with contexts that can\'t be posted', async () => {
+            const pool = createPool({ size: 1 });
+            startWorkers();
+            Worker.instances[0].postMessage.mockImplementationOnce(() => {
+                throw new Error('could not be cloned');
+            });
+            await expect(render(pool).promise).rejects.toThrow('could not be cloned');
+            // The worker is still free for other renders
+            const rendering = render(pool);
+            finish(rendering);
+            await expect(rendering.promise).resolves.toBe('<div></div>');
+        });
+
+        it('should pause and resume the worker for slow consumers', async () => {
+            const pool = createPool({ size: 1 });
+            startWorkers();
+            const [worker] = Worker.instances;
+            const stream = pool.renderToStream({ url: '/' });
+            const [[{ id }]] = worker.postMessage.mock.calls;
+            worker.send({ type: 'chunk', id, chunk: 'x'.repeat(20 * 1024) });
+            expect(worker.postMessage).toHaveBeenLastCalledWith({ type: 'pause', id });
+
+            const chunks = [];
+            stream.on('data', chunk => chunks.push(chunk.toString()));
+            await flush();
+            expect(worker.postMessage).toHaveBeenLastCalledWith({ type: 'resume', id });
+            worker.send({ type: 'chunk', id, chunk: 'y' });
+            worker.send({ type: 'end', id, preloadFiles: [], heapUsed: 0 });
+            await new Promise(r => stream.on('end', r));
+            expect(chunks.join('')).toBe(`${'x'.repeat(20 * 1024)}y`);
+        });
+
+        it('should abort the worker render when the stream is destroyed', async () => {
+            const pool = createPool({ size: 1 });
+            startWorkers();
+            const [worker] = Worker.instances;
+            const stream = pool.renderToStream({ url: '/' });
+            const [[{ id }]] = worker.postMessage.mock.calls;
+            stream.destroy();
+            expect(worker.postMessage).toHaveBeenLastCalledWith({ type: 'abort', id });
+            // Ended renders aren't aborted
+            const ended = pool.renderToStream({ url: '/' });
+            ended.resume();
+            const { id: endedId } = worker.postMessage.mock.calls[2][0];
+            worker.send({ type: 'end', id: endedId, preloadFiles: [], heapUsed: 0 });
+            await new Promise(r => ended.on('end', r));
+            ended.destroy();
+            expect(worker.postMessage).toHaveBeenCalledTimes(3);
+        });
+
+    });
+
+    describe('recycling', () => {
+
+        it('should replace workers after maxRenders', async () => {
+            const pool = createPool({ size: 1, maxRenders: 2 });
+            startWorkers();
+            const [worker] = Worker.instances;
+            finish(render(pool));
+            const rendering = render(pool);
+            expect(logger.log).toHaveBeenCalledWith(
+                'Replacing "default" render worker (2 renders)',
+            );
+            expect(Worker.instances).toHaveLength(2);
+            // New renders go to the replacement, while the retiring worker finishes
+            expect(render(pool).worker).toBe(Worker.instances[1]);
+            expect(worker.terminate).not.toHaveBeenCalled();
+            finish(rendering);
+            await expect(rendering.promise).resolves.toBe('<div></div>');
+            expect(worker.terminate).toHaveBeenCalled();
+        });
+
+        it('should replace workers whose heap grows beyond maxMemory', async () => {
+            const pool = createPool({ size: 1, maxMemory: 100 * 1024 * 1024 });
+            startWorkers();
+            const [worker] = Worker.instances;
+            finish(render(pool), 50 * 1024 * 1024);
+            expect(Worker.instances).toHaveLength(1);
+            const rendering = render(pool);
+            finish(rendering, 200 * 1024 * 1024);
+            await rendering.promise;
+            expect(logger.log).toHaveBeenCalledWith(
+                'Replacing "default" render worker (heap of 200Mb)',
+            );
+            expect(worker.terminate).toHaveBeenCalled();
+            expect(Worker.instances).toHaveLength(2);
+        });
+
+        it('should only replace a worker once', () => {
+            const pool = createPool({ size: 1, maxRenders: 1, maxMemory: 100 });
+            startWorkers();
+            finish(render(pool), 200);
+            expect(Worker.instances).toHaveLength(2);
+            expect(logger.log).toHaveBeenCalledTimes(1);
+        });
+
+        it('should not replace a retiring worker that exits', async () => {
+            const pool = createPool({ size: 1, maxRenders: 1 });
+            startWorkers();
+            const rendering = render(pool);
+            const [worker] = Worker.instances;
+            worker.emit('exit', 1);
+            await expect(rendering.promise).rejects.toThrow(
+                'Render worker exited for "default" renderer',
+            );
+            expect(Worker.instances).toHaveLength(2);
+        });
+
+    });
+
+    describe('exits', () => {
+
+        it('should fail in-progress renders and replace workers that exit', async () => {
+            const pool = createPool({ size: 1 });
+            startWorkers();
+            const rendering = render(pool);
+            const err = new Error('Out of memory');
+            rendering.worker.emit('error', err);
+            rendering.worker.emit('exit', 1);
+            await expect(rendering.promise).rejects.toBe(err);
+            expect(logger.error).toHaveBeenCalledWith(
+                'Render worker for "default" renderer exited',
+                err,
+            );
+            expect(Worker.instances).toHaveLength(2);
+            expect(render(pool).worker).toBe(Worker.instances[1]);
+        });
+
+        it('should not replace workers that fail to start', async () => {
+            const pool = createPool({ size: 1 });
+            Worker.instances[0].emit('exit', 1);
+            expect(logger.error).toHaveBeenCalledWith(
+                'Render worker for "default" renderer failed to start',
+                expect.any(Error),
+            );
+            expect(Worker.instances).toHaveLength(1);
+            await expect(render(pool).promise).rejects.toThrow(
+                'The "default" render pool has no running workers',
+            );
+        });
+
+    });
+
+    describe('close', () => {
+
+        it('should terminate idle workers', async () => {
+            const pool = createPool();
+            startWorkers();
+            await pool.close();
+            Worker.instances.forEach(w => expect(w.terminate).toHaveBeenCalled());
+            await expect(render(pool).promise).rejects.toThrow(
+                'The "default" render pool has been closed',
+            );
+            expect(logger.error).not.toHaveBeenCalled();
+        });
+
+        it('should wait for in-progress renders', async () => {
+            const pool = createPool({ size: 1 });
+            startWorkers();
+            const rendering = render(pool);
+            const closed = pool.close();
+            expect(rendering.worker.terminate).not.toHaveBeenCalled();
+            finish(rendering);
+            await closed;
+            await expect(rendering.promise).resolves.toBe('<div></div>');
+        });
+
+        it('should keep workers running for requests retaining the pool', async () => {
+            const pool = createPool({ size: 1 });
+            startWorkers();
+            const [worker] = Worker.instances;
+            const releaseIdle = pool.retain();
+            releaseIdle();
+            const release = pool.retain();
+            const closed = pool.close();
+            expect(worker.terminate).not.toHaveBeenCalled();
+
+            // Retained requests can still render
+            const rendering = render(pool);
+            expect(rendering.worker).toBe(worker);
+            finish(rendering);
+            await rendering.promise;
+            expect(worker.terminate).not.toHaveBeenCalled();
+
+            release();
+            release();
+            await closed;
+            expect(worker.terminate).toHaveBeenCalledTimes(1);
+        });
+
+        it('should not replace workers that exit once closed', async () => {
+            const pool = createPool({ size: 1 });
+            startWorkers();
+            const release = pool.retain();
+            const closed = pool.close();
+            Worker.instances[0].emit('exit', 1);
+            await closed;
+            release();
+            expect(Worker.instances).toHaveLength(1);
+            expect(logger.error).not.toHaveBeenCalled();
+        });
+
+    });
+
+});
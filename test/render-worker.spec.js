@@ -0,0 +1,195 @@
+import { PassThrough } from 'stream';
+import { parentPort } from 'worker_threads';
+import { createBundleRenderer } from 'vue-server-renderer';
+
+import '../src/render-worker';
+
+jest.mock('worker_threads', () => {
+    const { EventEmitter } = jest.requireActual('events');
+    const v8 = jest.requireActual('v8');
+    const port = new EventEmitter();
+    // Messages are cloned like postMessage does, throwing for functions
+    port.postMessage = jest.fn((message) => {
+        try {
+            v8.serialize(message);
+        } catch (e) {
+            // Errors from node internals aren't instances of the test's Error
+            throw new Error(e.message);
+        }
+    });
+    return {
+        parentPort: port,
+        workerData: {
+            bundle: { entry: 'main.js' },
+            template: '<!--vue-ssr-outlet-->',
+            clientManifest: { publicPath: '/' },
+            rendererOpts: { inject: false },
+            cacheConfig: {
+                componentCacheDebug: false,
+                componentCacheMaxAge: 1000,
+                componentCacheMaxSize: 1024,
+            },
+        },
+    };
+});
+
+jest.mock('vue-server-renderer', () => {
+    const bundleRenderer = { renderToStream: jest.fn() };
+    return { createBundleRenderer: jest.fn(() => bundleRenderer) };
+});
+
+// Calls made while the worker started, before mocks are cleared for each test
+const startup = {
+    createBundleRenderer: createBundleRenderer.mock.calls.slice(),
+    messages: parentPort.postMessage.mock.calls.map(([message]) => message),
+};
+
+describe('render-worker', () => {
+    const flush = () => new Promise(r => setImmediate(r));
+    const bundleRenderer = createBundleRenderer();
+    let nextId = 0;
+
+    const getMessages = () => parentPort.postMessage.mock.calls.map(([message]) => message);
+
+    // Start a render on the worker, returning its id, stream and context
+    const render = (context = { url: '/' }) => {
+        const stream = new PassThrough();
+        bundleRenderer.renderToStream.mockReturnValueOnce(stream);
+        const id = nextId++;
+        parentPort.emit('message', { type: 'render', id, context });
+        const [[renderContext]] = bundleRenderer.renderToStream.mock.calls.slice(-1);
+        return { id, stream, context: renderContext };
+    };
+
+    it('should create a bundle renderer and report ready', () => {
+        const [[bundle, opts]] = startup.createBundleRenderer;
+        expect(bundle).toEqual({ entry: 'main.js' });
+        expect(opts).toMatchObject({
+            template: '<!--vue-ssr-outlet-->',
+            clientManifest: { publicPath: '/' },
+            inject: false,
+            runInNewContext: false,
+        });
+        expect(typeof opts.cache.get).toBe('function');
+        expect(startup.messages).toContainEqual({
+            type: 'log',
+            level: 'debug',
+            args: ['Creating component cache: maxSize 1Kb, maxAge 1s'],
+        });
+        expect(startup.messages[startup.messages.length - 1]).toEqual({ type: 'ready' });
+    });
+
+    it('should stream renders to the main thread', async () => {
+        const { id, stream, context } = render({
+            url: '/',
+            httpResponse: { status: null, headers: {}, cookies: [] },
+        });
+        // Methods are restored on the response state
+        context.httpResponse.setStatus(201);
+        context.routeName = 'home';
+        context.getPreloadFiles = () => [{ file: 'app.js' }];
+        stream.write('<div>');
+        stream.end('</div>');
+        await flush();
+        const messages = getMessages();
+        expect(messages.slice(0, 3)).toEqual([
+            {
+                type: 'context',
+                id,
+                context: {
+                    url: '/',
+                    httpResponse: { status: 201, headers: {}, cookies: [] },
+                    routeName: 'home',
+                },
+            },
+            { type: 'chunk', id, chunk: '<div>' },
+            { type: 'chunk', id, chunk: '</div>' },
+        ]);
+        expect(messages[3]).toMatchObject({ type: 'context', id });
+        expect(messages[4]).toEqual({
+            type: 'end',
+            id,
+            preloadFiles: [{ file: 'app.js' }],
+            heapUsed: expect.any(Number),
+        });
+    });
+
+    it('should report no preload files without the render helpers', async () => {
+        const { id, stream } = render();
+        stream.end();
+        await flush();
+        expect(getMessages()).toContainEqual(expect.objectContaining({
+            type: 'end',
+            id,
+            preloadFiles: [],
+        }));
+    });
+
+    it('should send what it can of contexts that can\'t be cloned', async () => {
+        const { id, stream, context } = render();
+        Object.assign(context, {
+            routeName: 'home',
+            serverTimings: [],
+            csrFallback: null,
+            store: { dispatch: 'x', getters: { fn: () => {} } },
+        });
+        stream.end('<div></div>');
+        await flush();
+        const messages = getMessages();
+        expect(messages).toContainEqual({
+            type: 'context',
+            id,
+            context: { routeName: 'home', serverTimings: [], csrFallback: null },
+        });
+        expect(messages).toContainEqual({
+            type: 'log',
+            level: 'warn',
+            args: [
+                'Unable to send the SSR context to the main thread',
+                expect.stringMatching(/^Error: .*could not be cloned/),
+            ],
+        });
+    });
+
+    it('should report render errors', async () => {
+        const { id, stream } = render();
+        const err = new Error('Not Found');
+        err.code = 404;
+        stream.destroy(err);
+        await flush();
+        expect(getMessages()).toEqual([{
+            type: 'error',
+            id,
+            error: expect.objectContaining({ isError: true, message: 'Not Found', code: 404 }),
+            heapUsed: expect.any(Number),
+        }]);
+    });
+
+    it('should pause, resume and abort renders', () => {
+        const { id, stream } = render();
+        const pause = jest.spyOn(stream, 'pause');
+        const resume = jest.spyOn(stream, 'resume');
+        const destroy = jest.spyOn(stream, 'destroy');
+        parentPort.emit('message', { type: 'pause', id });
+        expect(pause).toHaveBeenCalled();
+        parentPort.emit('message', { type: 'resume', id });
+        expect(resume).toHaveBeenCalled();
+        parentPort.emit('message', { type: 'abort', id });
+        expect(destroy).toHaveBeenCalled();
+        // Aborted renders are forgotten
+        parentPort.emit('message', { type: 'resume', id });
+        expect(resume).toHaveBeenCalledTimes(1);
+    });
+
+    it('should ignore messages for unknown renders', () => {
+        ['pause', 'resume', 'abort', 'unknown'].forEach((type) => {
+            parentPort.emit('message', { type, id: -1 });
+        });
+        const { id, stream } = render();
+        const pause = jest.spyOn(stream, 'pause');
+        parentPort.emit('message', { type: 'unknown', id });
+        expect(pause).not.toHaveBeenCalled();
+        expect(getMessages()).toEqual([]);
+    });
+
+});
@@ -0,0 +1,2019 @@
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { PassThrough, Readable } from 'stream';
+import chokidar from 'chokidar';
+import { createBundleRenderer } from 'vue-server-renderer';
+
+import createRenderPool from '../src/render-pool';
+import setupDevServer from '../src/setup-dev-server';
+import initVueRenderer, { createVueRenderer } from '../src/renderer';
+
+jest.mock('vue-server-renderer', () => ({ createBundleRenderer: jest.fn() }));
+jest.mock('chokidar', () => ({ watch: jest.fn() }));
+jest.mock('../src/render-pool', () => jest.fn());
+jest.mock('../src/setup-dev-server', () => jest.fn());
+
+const TEMPLATE = [
+    '<html><head><title>{{ title }}</title></head><body>',
+    '<!--vue-ssr-outlet--><script src="/dist/app.js"></script></body></html>',
+].join('');
+
+const MANIFEST = {
+    publicPath: '/dist/',
+    all: ['app.js', 'app.css', 'async.js'],
+    initial: ['app.js', 'app.css'],
+    async: ['async.js'],
+    modules: {},
+};
+
+const OUTLET = '<!--vue-ssr-outlet-->';
+
+describe('renderer', () => {
+    let dir;
+    let files;
+    let logger;
+    // The app rendered by the mock bundle renderer: (context, bundle) returning
+    // the app HTML, a stream of it, or a promise for it, or throwing an error
+    let app;
+    let instance;
+    let servers;
+    let sockets;
+
+    const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+    const defer = () => {
+        const deferred = {};
+        deferred.promise = new Promise((resolve, reject) => {
+            Object.assign(deferred, { resolve, reject });
+        });
+        return deferred;
+    };
+
+    // Wait for something to happen in the background
+    const waitFor = async (fn) => {
+        for (let i = 0; i < 200; i++) {
+            if (fn()) {
+                return;
+            }
+            // eslint-disable-next-line no-await-in-loop
+            await sleep(5);
+        }
+        throw new Error('Timed out waiting');
+    };
+
+    const writeBuild = (version = 1, template = TEMPLATE) => {
+        fs.writeFileSync(files.templatePath, template);
+        fs.writeFileSync(files.serverBundle, JSON.stringify({ entry: 'main.js', version }));
+        fs.writeFileSync(files.clientManifest, JSON.stringify(MANIFEST));
+    };
+
+    const renderTemplate = (template, context, html) => template
+        .replace('{{ title }}', context.title)
+        .replace(OUTLET, `<div data-server-rendered="true">${html}</div>`);
+
+    // Mirrors the parts of a vue-server-renderer bundle renderer we rely on
+    const createMockRenderer = (bundle, opts) => {
+        const run = context => Promise.resolve().then(() => {
+            context.getPreloadFiles = () => [{ file: 'app.js' }, { file: 'async.js' }];
+            return app(context, bundle);
+        });
+        return {
+            bundle,
+            opts,
+            renderToString: jest.fn((context, cb) => {
+                run(context).then(
+                    html => cb(null, renderTemplate(opts.template, context, html)),
+                    err => cb(err),
+                );
+            }),
+            renderToStream: jest.fn((context) => {
+                const stream = new PassThrough();
+                run(context).then((html) => {
+                    if (html instanceof Readable) {
+                        html.on('error', err => stream.destroy(err));
+                        html.pipe(stream);
+                    } else {
+                        stream.end(renderTemplate(opts.template, context, html));
+                    }
+                }, err => stream.destroy(err));
+                return stream;
+            }),
+        };
+    };
+
+    const listen = handler => new Promise((resolve) => {
+        const server = http.createServer(handler);
+        servers.push(server);
+        server.on('connection', socket => sockets.push(socket));
+        server.listen(0, () => resolve(server));
+    });
+
+    // Create a renderer on the test instance, serving it over http
+    const setup = (opts = {}) => listen(instance.middleware(null, {
+        adapter: 'http',
+        logger,
+        ...files,
+        ...opts,
+    }));
+
+    const request = (server, url = '/', { method = 'GET', headers = {} } = {}) => (
+        new Promise((resolve, reject) => {
+            const info = [];
+            const req = http.request({
+                port: server.address().port,
+                path: url,
+                method,
+                headers,
+                agent: false,
+            }, (res) => {
+                let body = '';
+                res.setEncoding('utf8');
+                res.on('data', (chunk) => {
+                    body += chunk;
+                });
+                res.on('error', reject);
+                // Node 14 only reports cut responses through 'aborted'
+                res.on('aborted', () => reject(new Error('Response aborted')));
+                res.on('end', () => resolve({
+                    status: res.statusCode,
+                    headers: res.headers,
+                    body,
+                    info,
+                }));
+            });
+            req.on('information', i => info.push(i));
+            req.on('error', reject);
+            req.end();
+        })
+    );
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'renderer-'));
+        files = {
+            templatePath: path.join(dir, 'index.html'),
+            serverBundle: path.join(dir, 'vue-ssr-server-bundle.json'),
+            clientManifest: path.join(dir, 'vue-ssr-client-manifest.json'),
+        };
+        writeBuild();
+        logger = {
+            log: jest.fn(),
+            debug: jest.fn(),
+            info: jest.fn(),
+            warn: jest.fn(),
+            error: jest.fn(),
+        };
+        app = context => `<p>${context.url}</p>`;
+        createBundleRenderer.mockImplementation(createMockRenderer);
+        instance = createVueRenderer();
+        servers = [];
+        sockets = [];
+    });
+
+    afterEach(async () => {
+        // Destroy kept-alive connections so the servers can close
+        sockets.forEach(socket => socket.destroy());
+        await Promise.all(servers.map(server => new Promise((resolve) => {
+            server.close(resolve);
+        })));
+        await instance.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    describe('rendering', () => {
+
+        it('should stream the rendered page', async () => {
+            const server = await setup({ title: 'Shop' });
+            const res = await request(server, '/about');
+            expect(res.status).toBe(200);
+            expect(res.headers['content-type']).toBe('text/html');
+            expect(res.body).toBe(renderTemplate(TEMPLATE, { title: 'Shop' }, '<p>/about</p>'));
+            expect(res.headers['server-timing']).toMatch(/^render;dur=\d+, firstByte;dur=\d+$/);
+            const [[bundle, opts]] = createBundleRenderer.mock.calls;
+            expect(bundle).toEqual({ entry: 'main.js', version: 1 });
+            expect(opts).toMatchObject({
+                template: TEMPLATE,
+                clientManifest: MANIFEST,
+                runInNewContext: false,
+            });
+            expect(logger.log).toHaveBeenCalledWith('Rendering from default renderer!');
+        });
+
+        it('should render to a string', async () => {
+            const server = await setup({ stream: false, serverTiming: false });
+            const res = await request(server, '/about');
+            expect(res.status).toBe(200);
+            expect(res.headers['content-length']).toBe(String(Buffer.byteLength(res.body)));
+            expect(res.body).toContain('<p>/about</p>');
+            expect(res.headers['server-timing']).toBeUndefined();
+        });
+
+        it('should pass rendererOpts to the bundle renderer', async () => {
+            await setup({ rendererOpts: { inject: false } });
+            expect(createBundleRenderer.mock.calls[0][1].inject).toBe(false);
+        });
+
+        it('should render with a request-scoped context', async () => {
+            let context;
+            app = (ctx) => {
+                context = ctx;
+                return '';
+            };
+            const server = await setup({ name: 'shop', title: 'Shop' });
+            await request(server, '/?q=1', { headers: { 'x-test': 'yes' } });
+            expect(context).toMatchObject({
+                title: 'Shop',
+                url: '/?q=1',
+                rendererName: 'shop',
+                clientManifest: MANIFEST,
+                initialState: null,
+                nonce: null,
+                serverTimings: [],
+            });
+            expect(context.request.headers['x-test']).toBe('yes');
+            expect(context.response).toBeInstanceOf(http.ServerResponse);
+            expect(typeof context.httpResponse.setStatus).toBe('function');
+        });
+
+        it('should add fields from createContext', async () => {
+            let context;
+            app = (ctx) => {
+                context = ctx;
+                ctx.serverTimings.push({
+                    name: 'fetchData',
+                    description: 'Home "page"',
+                    duration: 5,
+                });
+                return '';
+            };
+            const createContext = jest.fn(async req => ({ user: req.headers['x-user'] }));
+            const server = await setup({ createContext });
+            const res = await request(server, '/', { headers: { 'x-user': 'alice' } });
+            expect(context.user).toBe('alice');
+            expect(createContext).toHaveBeenCalledWith(
+                expect.any(http.IncomingMessage),
+                expect.any(http.ServerResponse),
+                expect.objectContaining({ name: 'default' }),
+            );
+            expect(res.headers['server-timing']).toMatch(
+                /^context;dur=\d+, fetchData;desc="Home page";dur=5, render;dur=\d+/,
+            );
+        });
+
+        it('should only time createContext with serverTiming', async () => {
+            const server = await setup({ createContext: () => ({}), serverTiming: false });
+            const res = await request(server);
+            expect(res.status).toBe(200);
+            expect(res.headers['server-timing']).toBeUndefined();
+        });
+
+        it('should handle createContext errors as render errors', async () => {
+            const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+            const server = await setup({
+                createContext: () => Promise.reject(new Error('No session store')),
+                serverTiming: false,
+            });
+            const res = await request(server);
+            expect(res.status).toBe(500);
+            expect(res.body).toBe('500 | Internal Server Error');
+            expect(error).toHaveBeenCalledWith(expect.objectContaining({
+                message: 'No session store',
+            }));
+            error.mockRestore();
+        });
+
+        it('should log component cache stats with componentCacheDebug', async () => {
+            const server = await setup({ componentCacheDebug: true });
+            await request(server);
+            expect(logger.log).toHaveBeenCalledWith(
+                'Component cache stats:',
+                expect.objectContaining({ hits: 0 }),
+            );
+        });
+
+        it('should render with the module-level renderer', async () => {
+            const handler = initVueRenderer(null, {
+                name: 'module',
+                adapter: 'http',
+                logger,
+                ...files,
+            });
+            const res = await request(await listen(handler), '/module');
+            expect(res.body).toContain('<p>/module</p>');
+            const onReload = jest.fn();
+            initVueRenderer.on('reload', onReload);
+            await initVueRenderer.reload();
+            expect(onReload).toHaveBeenCalledWith(expect.objectContaining({ renderer: 'module' }));
+        });
+
+        it('should support custom adapters', async () => {
+            const adapter = {
+                handler: handle => (req, res) => {
+                    res.setHeader('X-Adapter', 'custom');
+                    handle(req, res);
+                },
+            };
+            const server = await setup({ adapter });
+            const res = await request(server);
+            expect(res.headers['x-adapter']).toBe('custom');
+            expect(res.body).toContain('<p>/</p>');
+        });
+
+        it('should warn when overwriting a renderer', async () => {
+            await setup();
+            await setup();
+            expect(logger.error).toHaveBeenCalledWith(
+                '[ERROR] Overwriting existing "default" renderer',
+            );
+        });
+
+        it('should render requests with a named renderer', async () => {
+            await setup({ name: 'lite' });
+            await setup({ title: 'Default' });
+            const server = await listen((req, res) => instance.render(req, res, 'lite'));
+            const res = await request(server, '/lite');
+            expect(res.body).toContain('<p>/lite</p>');
+            const other = await listen(instance.render);
+            expect((await request(other)).body).toContain('<title>Default</title>');
+            expect(() => instance.render({}, {}, 'unknown')).toThrow('Unknown renderer "unknown"');
+        });
+
+        it('should return the bundle renderer', async () => {
+            await setup();
+            expect(instance.getRenderer().bundle).toEqual({ entry: 'main.js', version: 1 });
+            expect(instance.getRenderer('unknown')).toBeNull();
+        });
+
+    });
+
+    describe('streaming', () => {
+
+        it('should respect backpressure from slow clients', async () => {
+            const chunk = 'x'.repeat(1024 * 1024);
+            app = () => Readable.from([chunk, chunk, chunk]);
+            const server = await setup();
+            const res = await request(server);
+            expect(res.body).toHaveLength(3 * chunk.length);
+        });
+
+        it('should stop rendering when the client goes away', async () => {
+            const stream = new PassThrough();
+            app = () => stream;
+            const server = await setup();
+            await new Promise((resolve) => {
+                const req = http.get({ port: server.address().port, agent: false }, (res) => {
+                    res.once('data', () => {
+                        req.destroy();
+                        resolve();
+                    });
+                });
+                req.on('error', () => {});
+                stream.write('<div>');
+            });
+            await waitFor(() => logger.warn.mock.calls.length > 0);
+            expect(logger.warn).toHaveBeenCalledWith(
+                'Client aborted request for /, stopping render',
+            );
+            expect(logger.log).toHaveBeenCalledWith('Vue request aborted', expect.any(String));
+        });
+
+        it('should end the response when the render fails once streaming', async () => {
+            const errorHandler = jest.fn();
+            const stream = new PassThrough();
+            app = () => stream;
+            const server = await setup({ errorHandler });
+            const response = request(server);
+            stream.write('<div>');
+            await waitFor(() => logger.log.mock.calls.some(([msg]) => msg.startsWith('Rendering')));
+            await sleep(20);
+            const err = new Error('Component failed');
+            stream.destroy(err);
+            await expect(response).rejects.toThrow();
+            expect(errorHandler).not.toHaveBeenCalled();
+            expect(logger.error).toHaveBeenCalledWith(
+                'Error rendering / after the response started',
+                err,
+            );
+        });
+
+    });
+
+    describe('errors', () => {
+        let error;
+
+        beforeEach(() => {
+            error = jest.spyOn(console, 'error').mockImplementation(() => {});
+        });
+
+        afterEach(() => {
+            error.mockRestore();
+        });
+
+        it('should redirect', async () => {
+            app = () => Promise.reject({ url: '/login' });
+            const server = await setup();
+            const res = await request(server);
+            expect(res.status).toBe(302);
+            expect(res.headers.location).toBe('/login');
+        });
+
+        it('should redirect with the given status', async () => {
+            app = () => Promise.reject({ url: '/new', status: 301 });
+            const server = await setup({ stream: false });
+            const res = await request(server);
+            expect(res.status).toBe(301);
+            expect(res.headers.location).toBe('/new');
+        });
+
+        it('should redirect to non-ASCII locations', async () => {
+            app = () => Promise.reject({ url: '/商品/1' });
+            const server = await setup();
+            const res = await request(server);
+            expect(res.status).toBe(302);
+            expect(res.headers.location).toBe('/%E5%95%86%E5%93%81/1');
+        });
+
+        it('should respond to missing pages', async () => {
+            app = context => Promise.reject({ code: context.url === '/gone' ? 410 : 404 });
+            const server = await setup();
+            const notFound = await request(server, '/missing');
+            expect(notFound.status).toBe(404);
+            expect(notFound.body).toBe('404 | Page Not Found');
+            const gone = await request(server, '/gone');
+            expect(gone.status).toBe(410);
+            expect(gone.body).toBe('410 | Gone');
+            expect(error).not.toHaveBeenCalled();
+        });
+
+        it('should respond to render errors', async () => {
+            const err = new Error('Render failed');
+            app = () => Promise.reject(err);
+            const server = await setup();
+            const res = await request(server);
+            expect(res.status).toBe(500);
+            expect(res.body).toBe('500 | Internal Server Error');
+            expect(error).toHaveBeenCalledWith(err);
+        });
+
+        it('should use a custom errorHandler', async () => {
+            const errorHandler = jest.fn((err, res, cb) => {
+                res.statusCode = 503;
+                res.end('Custom');
+                cb();
+            });
+            app = () => Promise.reject(new Error('Render failed'));
+            const server = await setup({ errorHandler });
+            const res = await request(server);
+            expect(res.status).toBe(503);
+            expect(res.body).toBe('Custom');
+        });
+
+        describe('error pages', () => {
+
+            it('should render the error page route', async () => {
+                let errorContext;
+                app = (context) => {
+                    if (context.url === '/500') {
+                        errorContext = context;
+                        return `<h1>Error on ${context.originalUrl}</h1>`;
+                    }
+                    throw new Error('Render failed');
+                };
+                const server = await setup({ errorPages: { 500: '/500' } });
+                const res = await request(server, '/page');
+                expect(res.status).toBe(500);
+                expect(res.body).toContain('<h1>Error on /page</h1>');
+                expect(errorContext.error.message).toBe('Render failed');
+                expect(logger.log).toHaveBeenCalledWith(
+                    'Rendering 500 error page from default renderer',
+                );
+            });
+
+            it('should apply the headers and cookies set by the error page', async () => {
+                app = (context) => {
+                    if (context.url === '/500') {
+                        context.httpResponse
+                            .setStatus(200)
+                            .setHeader('Cache-Control', 'no-store')
+                            .setCookie('error', '1');
+                        return '<h1>Error</h1>';
+                    }
+                    context.httpResponse.setHeader('X-Page', 'failed');
+                    throw new Error('Render failed');
+                };
+                const server = await setup({ errorPages: { 500: '/500' }, stream: false });
+                const res = await request(server);
+                expect(res.status).toBe(500);
+                expect(res.headers['cache-control']).toBe('no-store');
+                expect(res.headers['set-cookie']).toEqual(['error=1; Path=/']);
+                expect(res.headers['x-page']).toBeUndefined();
+            });
+
+            it('should render error pages for missing pages', async () => {
+                app = context => (context.url === '/404' ?
+                    '<h1>Not found</h1>' :
+                    Promise.reject({ code: 404 }));
+                const server = await setup({ errorPages: { 404: '/404' } });
+                const res = await request(server, '/missing');
+                expect(res.status).toBe(404);
+                expect(res.body).toContain('<h1>Not found</h1>');
+            });
+
+            it('should only render configured error pages', async () => {
+                app = () => Promise.reject({ code: 404 });
+                const server = await setup({ errorPages: { 500: '/500' } });
+                const res = await request(server);
+                expect(res.body).toBe('404 | Page Not Found');
+            });
+
+            it('should fall back to the static error page', async () => {
+                const errorPageFallback = path.join(dir, '500.html');
+                fs.writeFileSync(errorPageFallback, '<h1>Static error</h1>');
+                app = () => Promise.reject(new Error('Render failed'));
+                const server = await setup({ errorPages: { 500: '/500' }, errorPageFallback });
+                const res = await request(server);
+                expect(res.status).toBe(500);
+                expect(res.body).toBe('<h1>Static error</h1>');
+                expect(logger.error).toHaveBeenCalledWith(
+                    'Error rendering 500 error page',
+                    expect.objectContaining({ message: 'Render failed' }),
+                );
+                expect(logger.error).toHaveBeenCalledWith(
+                    'Serving static 500 error page',
+                    expect.objectContaining({ message: 'Render failed' }),
+                );
+                expect(error).not.toHaveBeenCalled();
+            });
+
+            it('should fall back to the errorHandler without a static error page', async () => {
+                app = () => Promise.reject(new Error('Render failed'));
+                const server = await setup({ errorPages: { 500: '/500' } });
+                const res = await request(server);
+                expect(res.body).toBe('500 | Internal Server Error');
+            });
+
+            it('should time out error page renders', async () => {
+                app = context => (context.url === '/500' ?
+                    sleep(100).then(() => '<h1>Slow error page</h1>') :
+                    Promise.reject(new Error('Render failed')));
+                const server = await setup({
+                    errorPages: { 500: '/500' },
+                    renderTimeout: 20,
+                    stream: false,
+                });
+                const res = await request(server);
+                expect(res.body).toBe('500 | Internal Server Error');
+                expect(logger.error).toHaveBeenCalledWith(
+                    'Error rendering 500 error page',
+                    expect.objectContaining({ code: 'ERR_RENDER_TIMEOUT' }),
+                );
+                await sleep(100);
+                expect(logger.error).toHaveBeenCalledTimes(1);
+            });
+
+        });
+
+        describe('render timeouts', () => {
+
+            it('should time out string renders', async () => {
+                app = () => sleep(100).then(() => '<p>Slow</p>');
+                const server = await setup({ renderTimeout: 20, stream: false });
+                const res = await request(server);
+                expect(res.status).toBe(500);
+                expect(error).toHaveBeenCalledWith(expect.objectContaining({
+                    code: 'ERR_RENDER_TIMEOUT',
+                    message: 'SSR render timed out after 20ms',
+                }));
+                await sleep(100);
+                expect(logger.warn).toHaveBeenCalledWith(
+                    'Discarding render of / completed after timeout',
+                );
+            });
+
+            it('should time out streamed renders until the first chunk', async () => {
+                const stream = new PassThrough();
+                app = () => stream;
+                const server = await setup({ renderTimeout: 20 });
+                const res = await request(server);
+                expect(res.status).toBe(500);
+                const [{ value: renderer }] = createBundleRenderer.mock.results;
+                const [{ value: rendered }] = renderer.renderToStream.mock.results;
+                expect(rendered.destroyed).toBe(true);
+                // Errors from the abandoned render are ignored
+                const { calls } = error.mock;
+                rendered.emit('error', new Error('Render failed'));
+                expect(error.mock.calls).toBe(calls);
+            });
+
+        });
+
+        describe('client-side rendering fallback', () => {
+
+            it('should serve the page shell for render errors', async () => {
+                app = () => Promise.reject(new Error('Render failed'));
+                const server = await setup({ csrFallback: { error: true, status: 503 } });
+                const res = await request(server);
+                expect(res.status).toBe(503);
+                expect(res.headers['cache-control']).toBe('no-store');
+                expect(res.body).toContain('<div id="app" data-csr-fallback="error"></div>');
+                expect(logger.error).toHaveBeenCalledWith(
+                    'Serving client-side rendering fallback (error)',
+                    expect.any(Error),
+                );
+            });
+
+            it('should serve the page shell for render timeouts', async () => {
+                app = () => sleep(100).then(() => '');
+                const server = await setup({
+                    csrFallback: { timeout: true },
+                    renderTimeout: 20,
+                    rendererOpts: { inject: false },
+                });
+                const res = await request(server);
+                expect(res.status).toBe(200);
+                expect(res.body).toContain('data-csr-fallback="timeout"');
+                expect(res.body).not.toContain('rel="preload"');
+            });
+
+            it('should only serve the page shell for the configured errors', async () => {
+                app = context => Promise.reject(context.url === '/slow' ?
+                    Object.assign(new Error('Timed out'), { code: 'ERR_RENDER_TIMEOUT' }) :
+                    new Error('Render failed'));
+                const server = await setup({ csrFallback: { timeout: false } });
+                expect((await request(server, '/slow')).status).toBe(500);
+                expect((await request(server, '/error')).status).toBe(500);
+            });
+
+            it('should not serve the page shell for redirects and missing pages', async () => {
+                app = context => Promise.reject(context.url === '/login' ?
+                    { url: '/account' } :
+                    { code: 404 });
+                const server = await setup({ csrFallback: { error: true } });
+                expect((await request(server, '/login')).status).toBe(302);
+                expect((await request(server, '/missing')).status).toBe(404);
+            });
+
+        });
+
+        describe('client-only routes', () => {
+
+            it('should serve the page shell', async () => {
+                app = (context) => {
+                    context.routeName = 'account';
+                    throw Object.assign(new Error('Client only'), { code: 'ERR_CLIENT_ONLY' });
+                };
+                const server = await setup({ etag: true });
+                const res = await request(server, '/account');
+                expect(res.status).toBe(200);
+                expect(res.body).toContain('data-csr-fallback="client-only"');
+                expect(res.headers.etag).toBeDefined();
+                expect(logger.log).toHaveBeenCalledWith('Serving client-only shell for /account');
+                expect(error).not.toHaveBeenCalled();
+            });
+
+        });
+
+    });
+
+    describe('page cache', () => {
+        let renders;
+
+        beforeEach(() => {
+            renders = 0;
+            app = (context) => {
+                renders++;
+                return `<p>${context.url} render ${renders}</p>`;
+            };
+        });
+
+        it('should serve cached pages', async () => {
+            const server = await setup({ pageCache: { vary: ['cookie:locale'] } });
+            const miss = await request(server, '/', { headers: { cookie: 'locale=en' } });
+            expect(miss.headers['x-page-cache']).toBe('MISS');
+            expect(miss.headers.vary).toBe('Cookie');
+            const hit = await request(server, '/', { headers: { cookie: 'locale=en' } });
+            expect(hit.headers['x-page-cache']).toBe('HIT');
+            expect(hit.body).toBe(miss.body);
+            const other = await request(server, '/', { headers: { cookie: 'locale=fr' } });
+            expect(other.headers['x-page-cache']).toBe('MISS');
+            expect(other.body).toContain('render 2');
+        });
+
+        it('should add to the Vary header set by earlier middleware', async () => {
+            let vary;
+            const adapter = {
+                handler: handle => (req, res) => {
+                    if (vary) {
+                        res.setHeader('Vary', vary);
+                    }
+                    handle(req, res);
+                },
+            };
+            const server = await setup({
+                adapter,
+                pageCache: { vary: ['header:Accept-Language', 'cookie:locale'] },
+            });
+            const getVary = async (value) => {
+                vary = value;
+                return (await request(server)).headers.vary;
+            };
+            expect(await getVary(null)).toBe('Accept-Language, Cookie');
+            expect(await getVary('Accept-Encoding')).toBe(
+                'Accept-Encoding, Accept-Language, Cookie',
+            );
+            expect(await getVary(['Accept-Encoding', 'cookie'])).toBe(
+                'Accept-Encoding, cookie, Accept-Language',
+            );
+            expect(await getVary('*')).toBe('*');
+        });
+
+        it('should cache pages rendered to a string', async () => {
+            const server = await setup({ pageCache: {}, stream: false });
+            await request(server);
+            const hit = await request(server);
+            expect(hit.headers['x-page-cache']).toBe('HIT');
+            expect(hit.headers['content-length']).toBe(String(Buffer.byteLength(hit.body)));
+        });
+
+        it('should bypass the cache for other methods', async () => {
+            const server = await setup({ pageCache: {} });
+            const res = await request(server, '/', { method: 'POST' });
+            expect(res.headers['x-page-cache']).toBeUndefined();
+        });
+
+        it('should replay the app response on hits', async () => {
+            app = (context) => {
+                context.httpResponse.setHeader('X-Version', '1');
+                return '';
+            };
+            const server = await setup({ pageCache: {} });
+            await request(server);
+            const hit = await request(server);
+            expect(hit.headers['x-page-cache']).toBe('HIT');
+            expect(hit.headers['x-version']).toBe('1');
+        });
+
+        it('should only cache 200 responses', async () => {
+            app = (context) => {
+                context.httpResponse.setStatus(202);
+                return '';
+            };
+            const server = await setup({ pageCache: {} });
+            await request(server);
+            const res = await request(server);
+            expect(res.status).toBe(202);
+            expect(res.headers['x-page-cache']).toBe('MISS');
+        });
+
+        it('should not cache responses setting cookies', async () => {
+            app = (context) => {
+                context.httpResponse.setCookie('session', 'abc');
+                return '';
+            };
+            const server = await setup({ pageCache: {} });
+            await request(server);
+            const res = await request(server);
+            expect(res.headers['x-page-cache']).toBe('MISS');
+            expect(res.headers['set-cookie']).toEqual(['session=abc; Path=/']);
+        });
+
+        it('should not cache failed renders', async () => {
+            const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+            app = () => Promise.reject(new Error('Render failed'));
+            const server = await setup({ pageCache: {}, stream: false });
+            expect((await request(server)).status).toBe(500);
+            app = () => '<p>Recovered</p>';
+            const res = await request(server);
+            expect(res.headers['x-page-cache']).toBe('MISS');
+            expect(res.body).toContain('<p>Recovered</p>');
+            error.mockRestore();
+        });
+
+        it('should not cache renders the client went away from', async () => {
+            const stream = new PassThrough();
+            app = () => stream;
+            const server = await setup({ pageCache: {} });
+            await new Promise((resolve) => {
+                const req = http.get({ port: server.address().port, agent: false }, (res) => {
+                    res.once('data', () => {
+                        req.destroy();
+                        resolve();
+                    });
+                });
+                req.on('error', () => {});
+                stream.write('<div>');
+            });
+            await waitFor(() => logger.warn.mock.calls.length > 0);
+            app = () => '<p>Complete</p>';
+            const res = await request(server);
+            expect(res.headers['x-page-cache']).toBe('MISS');
+            expect(res.body).toContain('<p>Complete</p>');
+        });
+
+        it('should give cached pages the nonce of each response', async () => {
+            const server = await setup({
+                pageCache: {},
+                csp: { policy: "script-src 'self'" },
+            });
+            const getNonce = res => res.headers['content-security-policy']
+                .match(/'nonce-([^']+)'/)[1];
+            const miss = await request(server);
+            const hit = await request(server);
+            expect(hit.headers['x-page-cache']).toBe('HIT');
+            expect(getNonce(hit)).not.toBe(getNonce(miss));
+            expect(miss.body).toContain(`<script nonce="${getNonce(miss)}" src="/dist/app.js">`);
+            expect(hit.body).toContain(`<script nonce="${getNonce(hit)}" src="/dist/app.js">`);
+        });
+
+        describe('stale pages', () => {
+
+            const opts = { pageCache: { maxAge: 20, staleWhileRevalidate: 1000 } };
+
+            it('should serve stale pages while revalidating them', async () => {
+                const server = await setup(opts);
+                await request(server);
+                await sleep(30);
+                const stale = await request(server);
+                expect(stale.headers['x-page-cache']).toBe('STALE');
+                expect(stale.body).toContain('render 1');
+                await waitFor(() => renders === 2);
+                await sleep(10);
+                const hit = await request(server);
+                expect(hit.headers['x-page-cache']).toBe('HIT');
+                expect(hit.body).toContain('render 2');
+            });
+
+            it('should revalidate once at a time', async () => {
+                const server = await setup(opts);
+                await request(server);
+                await sleep(30);
+                const deferred = defer();
+                app = () => deferred.promise;
+                await request(server);
+                const stale = await request(server);
+                expect(stale.headers['x-page-cache']).toBe('STALE');
+                deferred.resolve('<p>Revalidated</p>');
+                await sleep(10);
+                expect(logger.log.mock.calls.filter(([msg]) => (
+                    msg.startsWith('Revalidating')
+                ))).toHaveLength(1);
+                expect((await request(server)).body).toContain('<p>Revalidated</p>');
+            });
+
+            it('should render the page with a revalidation context', async () => {
+                const server = await setup(opts);
+                await request(server);
+                await sleep(30);
+                let context;
+                app = (ctx) => {
+                    context = ctx;
+                    return '';
+                };
+                await request(server);
+                await waitFor(() => context);
+                expect(context.response).toBeNull();
+                expect(context.request).toBeInstanceOf(http.IncomingMessage);
+            });
+
+            it('should keep the stale page when revalidation fails', async () => {
+                const server = await setup(opts);
+                await request(server);
+                await sleep(30);
+                const err = new Error('Render failed');
+                app = () => Promise.reject(err);
+                await request(server);
+                await waitFor(() => logger.error.mock.calls.length > 0);
+                expect(logger.error).toHaveBeenCalledWith(
+                    'Error revalidating page cache entry',
+                    err,
+                );
+                expect((await request(server)).headers['x-page-cache']).toBe('STALE');
+            });
+
+            it('should time out hung revalidations and revalidate again', async () => {
+                const server = await setup({
+                    ...opts,
+                    pageCache: { maxAge: 50, staleWhileRevalidate: 1000 },
+                    renderTimeout: 100,
+                });
+                await request(server);
+                await sleep(60);
+                const hung = defer();
+                app = () => hung.promise;
+                expect((await request(server)).headers['x-page-cache']).toBe('STALE');
+                await waitFor(() => logger.error.mock.calls.length > 0);
+                expect(logger.error).toHaveBeenCalledWith(
+                    'Error revalidating page cache entry',
+                    expect.objectContaining({ code: 'ERR_RENDER_TIMEOUT' }),
+                );
+                // The late render is discarded
+                hung.resolve('<p>Late</p>');
+                app = () => '<p>Revalidated</p>';
+                const stale = await request(server);
+                expect(stale.headers['x-page-cache']).toBe('STALE');
+                expect(stale.body).toContain('render 1');
+                await sleep(10);
+                expect(logger.log.mock.calls.filter(([msg]) => (
+                    msg.startsWith('Revalidating')
+                ))).toHaveLength(2);
+                expect((await request(server)).body).toContain('<p>Revalidated</p>');
+            });
+
+            it('should not cache revalidated pages that can\'t be shared', async () => {
+                const server = await setup(opts);
+                await request(server);
+                await sleep(30);
+                app = (context) => {
+                    context.httpResponse.setStatus(404);
+                    return '';
+                };
+                await request(server);
+                await waitFor(() => logger.error.mock.calls.length > 0);
+                expect(logger.error).toHaveBeenCalledWith(
+                    'Error revalidating page cache entry',
+                    expect.objectContaining({ code: 'ERR_PAGE_UNSHAREABLE' }),
+                );
+            });
+
+        });
+
+        describe('coalescing', () => {
+            let deferred;
+
+            // Start a render, waiting until the app is rendering it
+            const startFirst = async (server) => {
+                const first = request(server);
+                await waitFor(() => renders > 0);
+                return { first };
+            };
+
+            beforeEach(() => {
+                deferred = defer();
+                app = () => {
+                    renders++;
+                    return deferred.promise;
+                };
+            });
+
+            it('should share in-flight renders', async () => {
+                const server = await setup({ pageCache: {} });
+                const { first } = await startFirst(server);
+                const second = request(server);
+                await waitFor(() => logger.log.mock.calls.some(([msg]) => (
+                    msg.startsWith('Waiting on in-flight render')
+                )));
+                deferred.resolve('<p>Shared</p>');
+                const [a, b] = await Promise.all([first, second]);
+                expect(a.headers['x-page-cache']).toBe('MISS');
+                expect(b.headers['x-page-cache']).toBe('COALESCED');
+                expect(b.body).toBe(a.body);
+                expect(renders).toBe(1);
+            });
+
+            it('should render their own page when the page can\'t be shared', async () => {
+                app = (context) => {
+                    renders++;
+                    if (renders > 1) {
+                        return '<p>Own page</p>';
+                    }
+                    context.httpResponse.setCookie('session', 'abc');
+                    return deferred.promise;
+                };
+                const server = await setup({ pageCache: {} });
+                const { first } = await startFirst(server);
+                const second = request(server);
+                await waitFor(() => logger.log.mock.calls.some(([msg]) => (
+                    msg.startsWith('Waiting on in-flight render')
+                )));
+                deferred.resolve('<p>Private page</p>');
+                const [a, b] = await Promise.all([first, second]);
+                expect(a.body).toContain('<p>Private page</p>');
+                expect(b.body).toContain('<p>Own page</p>');
+                expect(b.headers['set-cookie']).toBeUndefined();
+                expect(renders).toBe(2);
+            });
+
+            describe('timeouts', () => {
+                let stream;
+
+                // Start a render that streams its first chunk and then hangs, with
+                // another request waiting on it
+                const startHung = async (server) => {
+                    stream = new PassThrough();
+                    app = () => {
+                        renders++;
+                        return stream;
+                    };
+                    const { first } = await startFirst(server);
+                    stream.write('<div>');
+                    const second = request(server);
+                    await waitFor(() => logger.log.mock.calls.some(([msg]) => (
+                        msg.startsWith('Waiting on in-flight render')
+                    )));
+                    return { first, second };
+                };
+
+                it('should stop waiting on in-flight renders after renderTimeout', async () => {
+                    const server = await setup({
+                        pageCache: {},
+                        renderTimeout: 50,
+                        csrFallback: { timeout: true },
+                    });
+                    const { first, second } = await startHung(server);
+                    const res = await second;
+                    expect(res.headers['x-page-cache']).toBe('COALESCED');
+                    expect(res.body).toContain('data-csr-fallback="timeout"');
+                    stream.end('</div>');
+                    expect((await first).body).toBe('<div></div>');
+                    expect(logger.error).toHaveBeenCalledWith(
+                        'Serving client-side rendering fallback (timeout)',
+                        expect.objectContaining({ code: 'ERR_RENDER_TIMEOUT' }),
+                    );
+                });
+
+                it('should ignore in-flight render failures once timed out', async () => {
+                    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+                    const server = await setup({ pageCache: {}, renderTimeout: 50 });
+                    const { first, second } = await startHung(server);
+                    expect((await second).status).toBe(500);
+                    const { calls } = error.mock;
+                    stream.destroy(new Error('Render failed'));
+                    await expect(first).rejects.toThrow();
+                    expect(error.mock.calls).toBe(calls);
+                    error.mockRestore();
+                });
+
+            });
+
+            it('should respond with the error when the shared render fails', async () => {
+                const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+                const server = await setup({ pageCache: {} });
+                const { first } = await startFirst(server);
+                const second = request(server);
+                await waitFor(() => logger.log.mock.calls.some(([msg]) => (
+                    msg.startsWith('Waiting on in-flight render')
+                )));
+                deferred.reject(new Error('Render failed'));
+                const [a, b] = await Promise.all([first, second]);
+                expect(a.status).toBe(500);
+                expect(b.status).toBe(500);
+                expect(renders).toBe(1);
+                error.mockRestore();
+            });
+
+        });
+
+    });
+
+    describe('headers', () => {
+
+        it('should apply the status, headers and cookies set by the app', async () => {
+            app = (context) => {
+                context.httpResponse
+                    .setStatus(201)
+                    .setHeader('X-Version', '2')
+                    .setCookie('seen', '1');
+                return '';
+            };
+            const server = await setup();
+            const res = await request(server);
+            expect(res.status).toBe(201);
+            expect(res.headers['x-version']).toBe('2');
+            expect(res.headers['set-cookie']).toEqual(['seen=1; Path=/']);
+        });
+
+        it('should warn about changes made once streaming has started', async () => {
+            const stream = new PassThrough();
+            let context;
+            app = (ctx) => {
+                context = ctx;
+                return stream;
+            };
+            const server = await setup();
+            const response = request(server);
+            stream.write('<div>');
+            await waitFor(() => context && server.listening);
+            await sleep(10);
+            context.httpResponse.setHeader('X-Late', '1');
+            stream.end('</div>');
+            const res = await response;
+            expect(res.headers['x-late']).toBeUndefined();
+            expect(logger.warn).toHaveBeenCalledWith(
+                'Ignoring ssrContext.httpResponse changes for /',
+                'made after the response headers were sent',
+            );
+        });
+
+        it('should add the CSP nonce to the policy and page', async () => {
+            const server = await setup({ csp: { policy: "script-src 'self'", reportOnly: true } });
+            const res = await request(server);
+            const [, nonce] = res.headers['content-security-policy-report-only']
+                .match(/^script-src 'self' 'nonce-([^']+)'; ?/) ||
+                res.headers['content-security-policy-report-only'].match(/'nonce-([^']+)'/);
+            expect(res.body).toContain(`<script nonce="${nonce}" src="/dist/app.js">`);
+        });
+
+    });
+
+    describe('etags', () => {
+
+        it('should respond with a 304 for matching ETags', async () => {
+            const server = await setup({ etag: true, stream: false });
+            const res = await request(server);
+            expect(res.headers.etag).toMatch(/^"/);
+            const cached = await request(server, '/', {
+                headers: { 'if-none-match': res.headers.etag },
+            });
+            expect(cached.status).toBe(304);
+            expect(cached.body).toBe('');
+        });
+
+        it('should only send ETags for 200 responses', async () => {
+            app = (context) => {
+                context.httpResponse.setStatus(201);
+                return '';
+            };
+            const server = await setup({ etag: true, stream: false });
+            const res = await request(server);
+            expect(res.status).toBe(201);
+            expect(res.headers.etag).toBeUndefined();
+        });
+
+        it('should share ETags between responses with different nonces', async () => {
+            const server = await setup({
+                etag: true,
+                csp: { policy: "script-src 'self'" },
+                stream: false,
+            });
+            const a = await request(server);
+            const b = await request(server);
+            expect(a.body).not.toBe(b.body);
+            expect(a.headers.etag).toBe(b.headers.etag);
+        });
+
+        it('should skip rendering for pages matching the validator', async () => {
+            const validator = jest.fn(() => 'v1');
+            app = jest.fn(() => '');
+            const server = await setup({ etag: { validator }, stream: false });
+            const res = await request(server);
+            expect(res.headers.etag).toMatch(/^W\//);
+            expect(res.body).toContain('<div data-server-rendered="true">');
+            const cached = await request(server, '/', {
+                headers: { 'if-none-match': res.headers.etag },
+            });
+            expect(cached.status).toBe(304);
+            expect(app).toHaveBeenCalledTimes(1);
+            expect(validator).toHaveBeenCalledWith(
+                expect.any(http.IncomingMessage),
+                expect.objectContaining({ url: '/' }),
+            );
+        });
+
+        it('should render when the validator returns nothing or fails', async () => {
+            const err = new Error('Database down');
+            const validator = jest.fn()
+                .mockReturnValueOnce(null)
+                .mockImplementationOnce(() => Promise.reject(err));
+            const server = await setup({ etag: { validator }, stream: false });
+            const res = await request(server);
+            expect(res.status).toBe(200);
+            expect(res.headers.etag).toMatch(/^"/);
+            expect((await request(server)).status).toBe(200);
+            expect(logger.warn).toHaveBeenCalledWith('ETag validator failed for /, rendering', err);
+        });
+
+    });
+
+    describe('resource hints', () => {
+
+        it('should send early hints and a Link header', async () => {
+            const server = await setup({ resourceHints: true });
+            const res = await request(server);
+            const links = [
+                '</dist/app.js>; rel=preload; as=script',
+                '</dist/app.css>; rel=preload; as=style',
+            ];
+            // Early hints are only sent where the runtime supports them (Node 18.11+)
+            if (typeof http.ServerResponse.prototype.writeEarlyHints === 'function') {
+                expect(res.info).toEqual([expect.objectContaining({ statusCode: 103 })]);
+                expect(res.info[0].headers.link).toBe(links.join(', '));
+            } else {
+                expect(res.info).toEqual([]);
+            }
+            expect(res.headers.link).toBe(links.join(', '));
+            // Async chunks used by the page are hinted on later requests
+            const next = await request(server);
+            expect(next.headers.link).toContain('</dist/async.js>; rel=preload; as=script');
+        });
+
+        it('should write early hints through the response', async () => {
+            const writeEarlyHints = jest.fn();
+            const adapter = {
+                handler: handle => (req, res) => {
+                    res.writeEarlyHints = writeEarlyHints;
+                    handle(req, res);
+                },
+            };
+            const server = await setup({ resourceHints: true, adapter });
+            await request(server);
+            expect(writeEarlyHints).toHaveBeenCalledWith({
+                link: [
+                    '</dist/app.js>; rel=preload; as=script',
+                    '</dist/app.css>; rel=preload; as=style',
+                ],
+            });
+        });
+
+        it('should add the async chunks used to the Link header of string renders', async () => {
+            const adapter = {
+                handler: handle => (req, res) => {
+                    res.setHeader('Link', '</fonts.css>; rel=preconnect');
+                    res.writeEarlyHints = undefined;
+                    handle(req, res);
+                },
+            };
+            const server = await setup({ resourceHints: true, stream: false, adapter });
+            const res = await request(server);
+            expect(res.info).toEqual([]);
+            expect(res.headers.link).toBe([
+                '</fonts.css>; rel=preconnect',
+                '</dist/app.js>; rel=preload; as=script',
+                '</dist/app.css>; rel=preload; as=style',
+                '</dist/async.js>; rel=preload; as=script',
+            ].join(', '));
+        });
+
+        it('should only learn the chunks of successful renders', async () => {
+            app = () => Promise.reject({ code: 404 });
+            const server = await setup({ resourceHints: { earlyHints: false } });
+            await request(server);
+            const res = await request(server);
+            expect(res.info).toEqual([]);
+            expect(res.headers.link).not.toContain('async.js');
+        });
+
+        it('should not send empty hints', async () => {
+            const server = await setup({ resourceHints: { types: ['font'] } });
+            const res = await request(server);
+            expect(res.info).toEqual([]);
+            expect(res.headers.link).toBeUndefined();
+        });
+
+    });
+
+    describe('metrics', () => {
+
+        const getMetrics = async (opts) => {
+            const server = await listen(instance.metricsHandler({ adapter: 'http', ...opts }));
+            return request(server);
+        };
+
+        it('should serve request metrics', async () => {
+            const server = await setup({ metrics: true, pageCache: {} });
+            await request(server, '/');
+            await request(server, '/');
+            const res = await getMetrics();
+            expect(res.headers['content-type']).toBe('text/plain; version=0.0.4; charset=utf-8');
+            expect(res.body).toContain(
+                'vue_ssr_responses_total{renderer="default",status="200",mode="stream"} 1',
+            );
+            expect(res.body).toContain(
+                'vue_ssr_responses_total{renderer="default",status="200",mode="cache"} 1',
+            );
+            expect(res.body).toContain([
+                'vue_ssr_render_duration_seconds_count',
+                '{renderer="default",route="unknown",mode="stream"} 1',
+            ].join(''));
+            expect(res.body).toMatch(/vue_ssr_component_cache/);
+        });
+
+        it('should label requests by route', async () => {
+            app = (context) => {
+                context.routeName = 'home';
+                return '';
+            };
+            const server = await setup({ metrics: true, stream: false });
+            await request(server);
+            await setup({
+                name: 'other',
+                metrics: true,
+                workers: 1,
+            });
+            const { body } = await getMetrics();
+            expect(body).toContain('route="home",mode="string"');
+        });
+
+        it('should use the routeLabel option', async () => {
+            const routeLabel = jest.fn(req => req.url.split('/')[1]);
+            const server = await setup({ metrics: { routeLabel } });
+            await request(server, '/products/1');
+            const { body } = await getMetrics();
+            expect(body).toContain('route="products"');
+        });
+
+        it('should count errors', async () => {
+            const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+            app = context => Promise.reject({
+                '/missing': { code: 404 },
+                '/login': { url: '/account' },
+                '/slow': { code: 'ERR_RENDER_TIMEOUT' },
+            }[context.url] || new Error('Render failed'));
+            const server = await setup({ metrics: true });
+            const urls = ['/missing', '/login', '/slow', '/'];
+            await Promise.all(urls.map(url => request(server, url)));
+            const { body } = await getMetrics();
+            ['404', 'redirect', 'timeout', '500'].forEach((type) => {
+                expect(body).toContain(`vue_ssr_errors_total{renderer="default",type="${type}"} 1`);
+            });
+            error.mockRestore();
+        });
+
+        it('should count aborted requests', async () => {
+            const stream = new PassThrough();
+            app = () => stream;
+            const server = await setup({ metrics: true });
+            await new Promise((resolve) => {
+                const req = http.get({ port: server.address().port, agent: false }, (res) => {
+                    res.once('data', () => {
+                        req.destroy();
+                        resolve();
+                    });
+                });
+                req.on('error', () => {});
+                stream.write('<div>');
+            });
+            await waitFor(() => logger.warn.mock.calls.length > 0);
+            const { body } = await getMetrics();
+            expect(body).toContain('vue_ssr_errors_total{renderer="default",type="aborted"} 1');
+        });
+
+        it('should serve nothing without metrics enabled', async () => {
+            await setup();
+            // The express adapter works with plain Node responses too
+            const res = await request(await listen(instance.metricsHandler()));
+            expect(res.status).toBe(200);
+            expect(res.body).toBe('');
+        });
+
+    });
+
+    describe('concurrency', () => {
+        let deferred;
+
+        const getMetricsBody = async () => request(
+            await listen(instance.metricsHandler({ adapter: 'http' })),
+        );
+
+        // Render requests until the app is rendering the given number of them
+        const fill = async (server, count, url = '/') => {
+            const pending = [];
+            for (let i = 0; i < count; i++) {
+                pending.push(request(server, url));
+            }
+            await waitFor(() => app.mock.calls.length >= count);
+            return { pending };
+        };
+
+        beforeEach(() => {
+            deferred = defer();
+            app = jest.fn(() => deferred.promise);
+        });
+
+        it('should queue requests beyond maxRenders', async () => {
+            const server = await setup({ concurrency: { maxRenders: 1 }, metrics: true });
+            const { pending } = await fill(server, 1);
+            const queued = request(server);
+            await waitFor(() => logger.log.mock.calls.some(([msg]) => msg.startsWith('Queued')));
+            expect(app).toHaveBeenCalledTimes(1);
+            expect(logger.log).toHaveBeenCalledWith(
+                'Queued request for / on default renderer',
+                '(1 rendering, 1 queued)',
+            );
+            const { body } = await getMetricsBody();
+            expect(body).toContain('vue_ssr_render_queue_depth{renderer="default"} 1');
+            deferred.resolve('<p>Done</p>');
+            const [a, b] = await Promise.all([...pending, queued]);
+            expect(a.status).toBe(200);
+            expect(b.status).toBe(200);
+            expect(app).toHaveBeenCalledTimes(2);
+        });
+
+        it('should shed requests once the queue is full', async () => {
+            const server = await setup({
+                concurrency: { maxRenders: 1, maxQueue: 0, retryAfter: 5 },
+                metrics: true,
+                pageCache: {},
+            });
+            const { pending } = await fill(server, 1, '/a');
+            const res = await request(server, '/b');
+            expect(res.status).toBe(503);
+            expect(res.headers['retry-after']).toBe('5');
+            expect(res.headers['cache-control']).toBe('no-store');
+            expect(res.body).toBe('503 | Service Unavailable');
+            expect(logger.warn).toHaveBeenCalledWith(
+                'Shedding request for /b from default renderer',
+                '(queue full, 1 rendering, 0 queued)',
+            );
+            const { body } = await getMetricsBody();
+            expect(body).toContain('vue_ssr_shed_total{renderer="default",reason="queue"} 1');
+            deferred.resolve('');
+            await Promise.all(pending);
+        });
+
+        it('should send shed requests the static error page', async () => {
+            const errorPageFallback = path.join(dir, '503.html');
+            fs.writeFileSync(errorPageFallback, '<h1>Busy</h1>');
+            const server = await setup({
+                concurrency: { maxRenders: 1, maxQueue: 0 },
+                errorPageFallback,
+            });
+            const { pending } = await fill(server, 1);
+            const res = await request(server);
+            expect(res.status).toBe(503);
+            expect(res.body).toBe('<h1>Busy</h1>');
+            deferred.resolve('');
+            await Promise.all(pending);
+        });
+
+        it('should shed requests waiting longer than maxWait', async () => {
+            const server = await setup({
+                concurrency: { maxRenders: 1, maxWait: 20, shed: 'csr' },
+                csrFallback: { status: 503 },
+            });
+            const { pending } = await fill(server, 1);
+            const res = await request(server);
+            expect(res.status).toBe(503);
+            expect(res.body).toContain('data-csr-fallback="shed"');
+            expect(logger.warn).toHaveBeenCalledWith(
+                'Shedding request for / from default renderer',
+                '(waited 20ms, 1 rendering, 0 queued)',
+            );
+            deferred.resolve('');
+            await Promise.all(pending);
+        });
+
+        it('should retry coalesced requests that were shed', async () => {
+            const server = await setup({
+                concurrency: { maxRenders: 1, maxQueue: 1 },
+                pageCache: {},
+            });
+            const { pending } = await fill(server, 1, '/a');
+            // Queued behind /a, with another request waiting on it
+            const queued = request(server, '/b');
+            await waitFor(() => logger.log.mock.calls.some(([msg]) => msg.startsWith('Queued')));
+            const coalesced = request(server, '/b');
+            await waitFor(() => logger.log.mock.calls.some(([msg]) => (
+                msg.startsWith('Waiting on in-flight render')
+            )));
+            deferred.resolve('<p>Rendered</p>');
+            const responses = await Promise.all([...pending, queued, coalesced]);
+            expect(responses.map(res => res.status)).toEqual([200, 200, 200]);
+            expect(responses[2].headers['x-page-cache']).toBe('COALESCED');
+        });
+
+        it('should give up queued requests when the client goes away', async () => {
+            const server = await setup({ concurrency: { maxRenders: 1 }, metrics: true });
+            const { pending } = await fill(server, 1, '/a');
+            const req = http.get({ port: server.address().port, path: '/b', agent: false });
+            req.on('error', () => {});
+            await waitFor(() => logger.log.mock.calls.some(([msg]) => msg.startsWith('Queued')));
+            req.destroy();
+            await waitFor(() => logger.warn.mock.calls.length > 0);
+            expect(logger.warn).toHaveBeenCalledWith(
+                'Client aborted request for /b while queued',
+            );
+            deferred.resolve('');
+            await Promise.all(pending);
+            expect(app).toHaveBeenCalledTimes(1);
+        });
+
+        it('should render requests waiting on queued requests that are given up', async () => {
+            const server = await setup({ concurrency: { maxRenders: 1 }, pageCache: {} });
+            const { pending } = await fill(server, 1, '/a');
+            const req = http.get({ port: server.address().port, path: '/b', agent: false });
+            req.on('error', () => {});
+            await waitFor(() => logger.log.mock.calls.some(([msg]) => msg.startsWith('Queued')));
+            const coalesced = request(server, '/b');
+            await waitFor(() => logger.log.mock.calls.some(([msg]) => (
+                msg.startsWith('Waiting on in-flight render')
+            )));
+            req.destroy();
+            await waitFor(() => logger.warn.mock.calls.length > 0);
+            deferred.resolve('<p>Rendered</p>');
+            const res = await coalesced;
+            expect(res.status).toBe(200);
+            expect(res.body).toContain('<p>Rendered</p>');
+            await Promise.all(pending);
+        });
+
+        it('should leave finished requests alone', async () => {
+            const server = await setup({ concurrency: { maxRenders: 1 } });
+            const { pending } = await fill(server, 1);
+            const queued = request(server);
+            await waitFor(() => logger.log.mock.calls.some(([msg]) => msg.startsWith('Queued')));
+            deferred.resolve('');
+            await Promise.all([...pending, queued]);
+            await sleep(10);
+            expect(logger.warn).not.toHaveBeenCalled();
+        });
+
+    });
+
+    describe('component cache', () => {
+
+        it('should report component cache stats', async () => {
+            await setup();
+            await setup({ name: 'workers', workers: 1 });
+            expect(instance.getComponentCacheStats()).toEqual({
+                default: expect.objectContaining({ hits: 0, misses: 0, entries: 0 }),
+            });
+            expect(instance.getComponentCacheStats('default')).toMatchObject({ hits: 0 });
+            expect(instance.getComponentCacheStats('workers')).toBeNull();
+        });
+
+        it('should invalidate component caches', async () => {
+            await setup();
+            await setup({ name: 'lite' });
+            const { cache } = createBundleRenderer.mock.calls[0][1];
+            cache.set('Header::en', '<header></header>');
+            cache.set('Footer::en', '<footer></footer>');
+            await expect(instance.invalidateComponentCache({ component: 'Header' }))
+                .resolves.toEqual({ default: 1, lite: 0 });
+            await expect(instance.invalidateComponentCache({ renderer: 'default' }))
+                .resolves.toEqual({ default: 1 });
+            await expect(instance.invalidateComponentCache())
+                .resolves.toEqual({ default: 0, lite: 0 });
+            await expect(instance.invalidateComponentCache({ renderer: 'unknown' }))
+                .rejects.toThrow('Unknown renderer "unknown"');
+        });
+
+        describe('admin', () => {
+            let server;
+
+            beforeEach(async () => {
+                await setup();
+                server = await listen(instance.componentCacheAdmin({ adapter: 'http', logger }));
+            });
+
+            it('should serve stats', async () => {
+                const res = await request(server);
+                expect(res.headers['content-type']).toBe('application/json');
+                expect(JSON.parse(res.body)).toEqual({
+                    default: expect.objectContaining({ hits: 0 }),
+                });
+            });
+
+            it('should invalidate entries', async () => {
+                const { cache } = createBundleRenderer.mock.calls[0][1];
+                cache.set('Header::en', '<header></header>');
+                const res = await request(server, '/invalidate?prefix=Header::', {
+                    method: 'POST',
+                });
+                expect(JSON.parse(res.body)).toEqual({ invalidated: { default: 1 } });
+            });
+
+            it('should report invalidation errors', async () => {
+                const res = await request(server, '/invalidate?renderer=unknown', {
+                    method: 'POST',
+                });
+                expect(res.status).toBe(500);
+                expect(JSON.parse(res.body)).toEqual({ error: 'Unknown renderer "unknown"' });
+                expect(logger.error).toHaveBeenCalledWith(
+                    'Error invalidating component cache',
+                    expect.any(Error),
+                );
+            });
+
+            it('should log to the console by default', async () => {
+                const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+                const admin = await listen(instance.componentCacheAdmin({ adapter: 'http' }));
+                await request(admin, '/invalidate?renderer=unknown', { method: 'POST' });
+                expect(error).toHaveBeenCalledWith(
+                    'Error invalidating component cache',
+                    expect.any(Error),
+                );
+                error.mockRestore();
+            });
+
+            it('should respond with a 404 for other requests', async () => {
+                const res = await request(server, '/invalidate');
+                expect(res.status).toBe(404);
+                expect(JSON.parse(res.body)).toEqual({ error: 'Not Found' });
+            });
+
+            it('should pass other requests on with express', () => {
+                const next = jest.fn();
+                instance.componentCacheAdmin()({ method: 'GET', url: '/other' }, {}, next);
+                expect(next).toHaveBeenCalled();
+            });
+
+        });
+
+    });
+
+    describe('dispatchRenderer', () => {
+
+        it('should render with the selected renderer', async () => {
+            await setup();
+            await setup({ name: 'lite', title: 'Lite' });
+            const server = await listen(instance.dispatchRenderer(
+                req => req.headers['x-renderer'],
+                { adapter: 'http', logger },
+            ));
+            const lite = await request(server, '/', { headers: { 'x-renderer': 'lite' } });
+            expect(lite.body).toContain('<title>Lite</title>');
+            const fallback = await request(server, '/', { headers: { 'x-renderer': 'none' } });
+            expect(fallback.body).toContain('<title>Vue SSR Application</title>');
+        });
+
+        it('should fall back to the default renderer', async () => {
+            await setup();
+            const server = await listen(instance.dispatchRenderer(() => null));
+            expect((await request(server)).status).toBe(200);
+        });
+
+    });
+
+    describe('workers', () => {
+        let pool;
+
+        beforeEach(() => {
+            createRenderPool.mockImplementation((workers, options) => {
+                pool = Object.assign(createMockRenderer(options.bundle, options), {
+                    release: jest.fn(),
+                    close: jest.fn(() => Promise.resolve()),
+                });
+                pool.retain = jest.fn(() => pool.release);
+                return pool;
+            });
+        });
+
+        it('should render on a worker render pool', async () => {
+            const server = await setup({ workers: 2, rendererOpts: { inject: false } });
+            const res = await request(server);
+            expect(res.body).toContain('<p>/</p>');
+            const [[workers, options]] = createRenderPool.mock.calls;
+            expect(workers).toBe(2);
+            expect(options).toMatchObject({
+                bundle: { entry: 'main.js', version: 1 },
+                template: TEMPLATE,
+                clientManifest: MANIFEST,
+                config: expect.objectContaining({ name: 'default' }),
+            });
+            expect(createBundleRenderer).not.toHaveBeenCalled();
+            expect(pool.retain).toHaveBeenCalledTimes(1);
+            expect(pool.release).toHaveBeenCalledTimes(1);
+        });
+
+        it('should stop the workers on close', async () => {
+            await setup({ workers: 1 });
+            await instance.close();
+            expect(pool.close).toHaveBeenCalled();
+            expect(instance.getRenderer()).toBeNull();
+        });
+
+        it('should stop replaced workers on reload', async () => {
+            await setup({ workers: 1 });
+            const replaced = pool;
+            await instance.reload();
+            expect(replaced.close).toHaveBeenCalled();
+            expect(pool).not.toBe(replaced);
+        });
+
+    });
+
+    describe('reload', () => {
+
+        it('should reload renderers from the files on disk', async () => {
+            const onReload = jest.fn();
+            instance.on('reload', onReload);
+            const server = await setup({ pageCache: {} });
+            await request(server);
+            writeBuild(2);
+            await instance.reload();
+            expect(instance.getRenderer().bundle).toEqual({ entry: 'main.js', version: 2 });
+            expect(onReload).toHaveBeenCalledWith({
+                renderer: 'default',
+                duration: expect.any(Number),
+            });
+            // Pages rendered by the old bundle are dropped
+            const res = await request(server);
+            expect(res.headers['x-page-cache']).toBe('MISS');
+            expect(logger.log).toHaveBeenCalledWith(
+                expect.stringMatching(/^Reloaded "default" renderer in \d+ms$/),
+            );
+        });
+
+        it('should clear the built-in component cache', async () => {
+            await setup();
+            const { cache } = createBundleRenderer.mock.calls[0][1];
+            cache.set('Header::en', '<header></header>');
+            await instance.reload();
+            expect(cache.getStats().invalidations).toBe(1);
+        });
+
+        it('should keep custom component caches', async () => {
+            const componentCache = {
+                get: jest.fn(),
+                set: jest.fn(),
+                reset: jest.fn(),
+            };
+            await setup({ componentCache });
+            await instance.reload();
+            expect(componentCache.reset).not.toHaveBeenCalled();
+        });
+
+        it('should smoke test the new renderer', async () => {
+            let smokeContext;
+            app = (context, bundle) => {
+                if (context.smokeTest) {
+                    smokeContext = context;
+                }
+                return `<p>Version ${bundle.version}</p>`;
+            };
+            const server = await setup({ title: 'Shop', reload: { smokeUrl: '/health' } });
+            writeBuild(2);
+            await instance.reload();
+            expect(smokeContext).toMatchObject({
+                title: 'Shop',
+                url: '/health',
+                request: { method: 'GET', url: '/health', headers: {} },
+                response: null,
+                rendererName: 'default',
+                clientManifest: MANIFEST,
+                smokeTest: true,
+            });
+            expect((await request(server)).body).toContain('<p>Version 2</p>');
+        });
+
+        it('should accept redirects and client-only routes', async () => {
+            await setup({ reload: {} });
+            const errors = [
+                { url: '/login' },
+                Object.assign(new Error('Client only'), { code: 'ERR_CLIENT_ONLY' }),
+            ];
+            for (let i = 0; i < errors.length; i++) {
+                app = () => Promise.reject(errors[i]);
+                writeBuild(i + 2);
+                // eslint-disable-next-line no-await-in-loop
+                await instance.reload();
+                expect(instance.getRenderer().bundle.version).toBe(i + 2);
+            }
+        });
+
+        it('should skip the smoke test without a smokeUrl', async () => {
+            app = jest.fn(() => '');
+            await setup({ reload: { smokeUrl: null } });
+            await instance.reload();
+            expect(app).not.toHaveBeenCalled();
+        });
+
+        describe('failures', () => {
+            let onReloadError;
+
+            const expectFailure = async (stage, error) => {
+                await expect(instance.reload()).rejects.toThrow(
+                    'Failed to reload renderers: default',
+                );
+                expect(onReloadError).toHaveBeenCalledWith({
+                    renderer: 'default',
+                    stage,
+                    files: [files.templatePath, files.serverBundle, files.clientManifest],
+                    smokeUrl: '/',
+                    duration: expect.any(Number),
+                    error,
+                });
+                expect(logger.error).toHaveBeenCalledWith(
+                    `Failed to reload "default" renderer (${stage}), keeping the current version`,
+                    expect.objectContaining({ stage }),
+                );
+                expect(instance.getRenderer().bundle.version).toBe(1);
+            };
+
+            beforeEach(async () => {
+                onReloadError = jest.fn();
+                instance.on('reloadError', onReloadError);
+                await setup({ reload: { timeout: 50 } });
+            });
+
+            it('should keep the current renderer when the files don\'t load', async () => {
+                fs.writeFileSync(files.serverBundle, '{');
+                await expectFailure('load', expect.objectContaining({
+                    message: expect.stringContaining('JSON'),
+                }));
+            });
+
+            it('should keep the current renderer when it can\'t be created', async () => {
+                writeBuild(2);
+                createBundleRenderer.mockImplementationOnce(() => {
+                    throw new Error('Invalid bundle');
+                });
+                await expectFailure('create', new Error('Invalid bundle'));
+            });
+
+            it('should keep the current renderer when the smoke test fails', async () => {
+                writeBuild(2);
+                app = () => Promise.reject(new Error('Render failed'));
+                await expectFailure('smoke', new Error('Render failed'));
+            });
+
+            it('should keep the current renderer when the smoke test is missing', async () => {
+                writeBuild(2);
+                const err = Object.assign(new Error('Not Found'), { code: 404 });
+                app = () => Promise.reject(err);
+                await expectFailure('smoke', err);
+                app = () => Promise.reject({ code: 410 });
+                await expectFailure('smoke', expect.objectContaining({
+                    reason: { code: 410 },
+                }));
+            });
+
+            it('should report smoke test rejections that aren\'t errors', async () => {
+                writeBuild(2);
+                app = () => Promise.reject({ code: 503 });
+                await expectFailure('smoke', expect.objectContaining({
+                    message: 'Smoke test render of / failed',
+                    reason: { code: 503 },
+                }));
+            });
+
+            it('should keep the current renderer when the smoke test times out', async () => {
+                writeBuild(2);
+                app = () => sleep(100).then(() => '');
+                await expectFailure(
+                    'smoke',
+                    new Error('Smoke test render of / timed out after 50ms'),
+                );
+            });
+
+            it('should run reloads queued after a failure', async () => {
+                app = jest.fn(() => '').mockImplementationOnce(() => {
+                    throw new Error('Render failed');
+                });
+                const failed = instance.reload();
+                const next = instance.reload();
+                await expect(failed).rejects.toThrow();
+                await next;
+                expect(app).toHaveBeenCalledTimes(2);
+            });
+
+        });
+
+        describe('watching', () => {
+            let watcher;
+
+            beforeEach(() => {
+                chokidar.watch.mockImplementation(() => {
+                    watcher = new EventEmitter();
+                    watcher.close = jest.fn(() => Promise.resolve());
+                    return watcher;
+                });
+            });
+
+            it('should reload when the build files change', async () => {
+                await setup({ reload: { watch: true, debounce: 20 } });
+                expect(chokidar.watch).toHaveBeenCalledWith(
+                    [files.templatePath, files.serverBundle, files.clientManifest],
+                    { ignoreInitial: true },
+                );
+                writeBuild(2);
+                watcher.emit('all', 'change', files.serverBundle);
+                await sleep(10);
+                watcher.emit('all', 'change', files.clientManifest);
+                await waitFor(() => instance.getRenderer().bundle.version === 2);
+                expect(logger.log).toHaveBeenCalledWith(
+                    'Build files changed, reloading "default" renderer',
+                );
+                expect(createBundleRenderer).toHaveBeenCalledTimes(2);
+            });
+
+            it('should log failed reloads', async () => {
+                await setup({ reload: { watch: true, debounce: 0 } });
+                fs.unlinkSync(files.templatePath);
+                watcher.emit('all', 'unlink', files.templatePath);
+                await waitFor(() => logger.error.mock.calls.length > 0);
+                expect(instance.getRenderer().bundle.version).toBe(1);
+            });
+
+            it('should stop watching on close', async () => {
+                await setup({ reload: { watch: true, debounce: 10 } });
+                watcher.emit('all', 'change', files.serverBundle);
+                await instance.close();
+                expect(watcher.close).toHaveBeenCalled();
+                await sleep(20);
+                expect(createBundleRenderer).toHaveBeenCalledTimes(1);
+            });
+
+        });
+
+    });
+
+    describe('hmr', () => {
+        let devServer;
+        let use;
+        let onBuild;
+
+        const build = (version = 1, template = TEMPLATE) => onBuild(
+            { entry: 'main.js', version },
+            { template, clientManifest: MANIFEST },
+        );
+
+        beforeEach(() => {
+            setupDevServer.mockImplementation((useMiddleware, config, onBuildFn) => {
+                use = useMiddleware;
+                onBuild = onBuildFn;
+                devServer = {
+                    ready: Promise.resolve(),
+                    close: jest.fn(() => Promise.resolve()),
+                };
+                return devServer;
+            });
+        });
+
+        it('should render once the dev server has built the app', async () => {
+            const server = await setup({ hmr: true });
+            expect(setupDevServer).toHaveBeenCalledWith(
+                expect.any(Function),
+                expect.objectContaining({ name: 'default' }),
+                expect.any(Function),
+            );
+            build();
+            const res = await request(server);
+            expect(res.body).toContain('<p>/</p>');
+        });
+
+        it('should run the dev middleware from the handler without an app', async () => {
+            const server = await setup({ hmr: true });
+            use((req, res, next) => {
+                if (req.url === '/__webpack_hmr') {
+                    res.end('hmr');
+                } else {
+                    next();
+                }
+            });
+            build();
+            expect((await request(server, '/__webpack_hmr')).body).toBe('hmr');
+            expect((await request(server)).body).toContain('<p>/</p>');
+        });
+
+        it('should handle dev middleware errors', async () => {
+            const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+            const server = await setup({ hmr: true });
+            use((req, res, next) => next(new Error('Build failed')));
+            const res = await request(server);
+            expect(res.status).toBe(500);
+            expect(error).toHaveBeenCalledWith(expect.objectContaining({
+                message: 'Build failed',
+            }));
+            error.mockRestore();
+        });
+
+        it('should register the dev middleware with the app', async () => {
+            const server = {};
+            const adapter = { use: jest.fn() };
+            instance.middleware(server, { hmr: true, adapter, logger, ...files });
+            const middleware = () => {};
+            use(middleware);
+            expect(adapter.use).toHaveBeenCalledWith(server, middleware);
+        });
+
+        it('should re-create all renderers on each build', async () => {
+            const liteTemplate = path.join(dir, 'lite.html');
+            fs.writeFileSync(liteTemplate, '<lite>{{ title }}<!--vue-ssr-outlet--></lite>');
+            const server = await setup({ hmr: true, pageCache: {} });
+            const lite = await setup({ name: 'lite', hmr: true, templatePath: liteTemplate });
+            expect(setupDevServer).toHaveBeenCalledTimes(1);
+            expect(logger.warn).toHaveBeenCalledWith(
+                'Skipping HMR setup for "lite" renderer.  Make sure you',
+                'have a "default" renderer to enable HMR',
+            );
+            build(1);
+            await request(server);
+            build(2, '<html>{{ title }}<!--vue-ssr-outlet--></html>');
+            const res = await request(server);
+            expect(res.headers['x-page-cache']).toBe('MISS');
+            expect(res.body).toBe(
+                '<html>Vue SSR Application<div data-server-rendered="true"><p>/</p></div></html>',
+            );
+            expect((await request(lite)).body).toContain('<lite>');
+            expect(logger.log).toHaveBeenCalledWith('Re-loading non-default template');
+        });
+
+        it('should not reload HMR renderers', async () => {
+            await setup({ hmr: true });
+            build();
+            await instance.reload();
+            expect(createBundleRenderer).toHaveBeenCalledTimes(1);
+        });
+
+        it('should stop the dev server on close', async () => {
+            await setup({ hmr: true });
+            await instance.close();
+            expect(devServer.close).toHaveBeenCalled();
+        });
+
+    });
+
+});
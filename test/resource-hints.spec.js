@@ -0,0 +1,61 @@
+import createResourceHints from '../src/resource-hints';
+
+describe('resource-hints', () => {
+    const clientManifest = {
+        publicPath: '/dist',
+        all: ['runtime.js', 'app.js', 'app.css', 'font.woff2', 'logo.png', 'page.js', 'data.json'],
+        initial: ['runtime.js', 'app.js', 'app.css', 'font.woff2', 'logo.png', 'data.json'],
+        async: ['page.js'],
+        modules: {},
+    };
+
+    it('should hint initial scripts and styles by default', () => {
+        const hints = createResourceHints(clientManifest);
+        expect(hints.getLinks('/')).toEqual([
+            '</dist/runtime.js>; rel=preload; as=script',
+            '</dist/app.js>; rel=preload; as=script',
+            '</dist/app.css>; rel=preload; as=style',
+        ]);
+    });
+
+    it('should filter by asset type', () => {
+        const hints = createResourceHints(clientManifest, { types: ['font', 'image'] });
+        expect(hints.getLinks('/')).toEqual([
+            '</dist/font.woff2>; rel=preload; as=font; crossorigin',
+            '</dist/logo.png>; rel=preload; as=image',
+        ]);
+    });
+
+    it('should cap the number of hints', () => {
+        const hints = createResourceHints(clientManifest, { max: 1 });
+        expect(hints.getLinks('/')).toEqual([
+            '</dist/runtime.js>; rel=preload; as=script',
+        ]);
+    });
+
+    it('should support an empty public path and manifests without initial files', () => {
+        const hints = createResourceHints({ publicPath: '' });
+        expect(hints.getLinks('/', [{ file: 'a.js?v=1' }])).toEqual([
+            '<a.js?v=1>; rel=preload; as=script',
+        ]);
+    });
+
+    it('should include files used by the current render', () => {
+        const hints = createResourceHints(clientManifest);
+        const usedFiles = [{ file: 'app.js' }, { file: 'page.js' }];
+        expect(hints.getLinks('/', usedFiles)).toEqual([
+            '</dist/runtime.js>; rel=preload; as=script',
+            '</dist/app.js>; rel=preload; as=script',
+            '</dist/app.css>; rel=preload; as=style',
+            '</dist/page.js>; rel=preload; as=script',
+        ]);
+    });
+
+    it('should learn async files used by path', () => {
+        const hints = createResourceHints(clientManifest, { max: 4 });
+        hints.learn('/page?a=1', [{ file: 'runtime.js' }, { file: 'page.js' }]);
+        expect(hints.getLinks('/page?b=2')).toContain('</dist/page.js>; rel=preload; as=script');
+        expect(hints.getLinks('/other')).not.toContain('</dist/page.js>; rel=preload; as=script');
+    });
+
+});
@@ -0,0 +1,144 @@
+import {
+    applySsrResponse,
+    createSsrResponse,
+    isShareable,
+    serializeCookie,
+} from '../src/ssr-response';
+
+function createResponse(headers = {}) {
+    return {
+        statusCode: 200,
+        headers: { ...headers },
+        getHeader(name) {
+            return this.headers[name.toLowerCase()];
+        },
+        setHeader(name, value) {
+            this.headers[name.toLowerCase()] = value;
+        },
+        removeHeader(name) {
+            delete this.headers[name.toLowerCase()];
+        },
+    };
+}
+
+describe('ssr-response', () => {
+
+    describe('serializeCookie', () => {
+
+        it('should serialize a cookie with the default path', () => {
+            expect(serializeCookie('name', 'a b;c')).toBe('name=a%20b%3Bc; Path=/');
+        });
+
+        it('should serialize cookie options', () => {
+            const now = Date.UTC(2024, 0, 1);
+            const spy = jest.spyOn(Date, 'now').mockReturnValue(now);
+            expect(serializeCookie('a', '1', {
+                domain: 'example.com',
+                path: '/shop',
+                maxAge: 60 * 1000,
+                httpOnly: true,
+                secure: true,
+                sameSite: 'lax',
+            })).toBe([
+                'a=1',
+                'Path=/shop',
+                'Domain=example.com',
+                'Max-Age=60',
+                'Expires=Mon, 01 Jan 2024 00:01:00 GMT',
+                'HttpOnly',
+                'Secure',
+                'SameSite=Lax',
+            ].join('; '));
+            expect(serializeCookie('a', '1', {
+                expires: new Date(now),
+                sameSite: true,
+            })).toBe('a=1; Path=/; Expires=Mon, 01 Jan 2024 00:00:00 GMT; SameSite=Strict');
+            spy.mockRestore();
+        });
+
+        it('should reject invalid names', () => {
+            expect(() => serializeCookie('a=b', '1')).toThrow('Invalid cookie name: a=b');
+        });
+
+    });
+
+    describe('createSsrResponse', () => {
+
+        it('should record the status, headers and cookies', () => {
+            const response = createSsrResponse()
+                .setStatus(410)
+                .setHeader('Cache-Control', 'private')
+                .setCookie('seen', '1');
+            expect(JSON.parse(JSON.stringify(response))).toEqual({
+                status: 410,
+                headers: { 'cache-control': 'private' },
+                cookies: ['seen=1; Path=/'],
+            });
+        });
+
+        it('should validate the status and headers', () => {
+            const response = createSsrResponse();
+            expect(() => response.setStatus(1000)).toThrow('Invalid response status: 1000');
+            expect(() => response.setStatus('410')).toThrow('Invalid response status: 410');
+            expect(() => response.setHeader('X Bad', '1')).toThrow();
+            expect(() => response.setHeader('X-Bad', 'a\nb')).toThrow();
+            expect(response.setHeader('X-Removed', null).headers).toEqual({ 'x-removed': null });
+        });
+
+        it('should restore methods onto posted state', () => {
+            const state = { ...createSsrResponse().setStatus(451) };
+            expect(state.setStatus).toBe(undefined);
+            const response = createSsrResponse(state).setHeader('X-A', '1');
+            expect(response).toEqual({ status: 451, headers: { 'x-a': '1' }, cookies: [] });
+            expect(state.headers).toEqual({});
+        });
+
+    });
+
+    describe('applySsrResponse', () => {
+
+        it('should apply the status, headers and cookies', () => {
+            const res = createResponse({
+                'set-cookie': 'session=1; Path=/',
+                'x-powered-by': 'Express',
+            });
+            applySsrResponse(res, createSsrResponse()
+                .setStatus(451)
+                .setHeader('X-Powered-By', null)
+                .setHeader('Cache-Control', 'private, max-age=0')
+                .setCookie('seen', '1'));
+            expect(res.statusCode).toBe(451);
+            expect(res.headers).toEqual({
+                'cache-control': 'private, max-age=0',
+                'set-cookie': ['session=1; Path=/', 'seen=1; Path=/'],
+            });
+            const cookieRes = createResponse();
+            applySsrResponse(cookieRes, createSsrResponse().setCookie('seen', '1'));
+            expect(cookieRes.headers).toEqual({ 'set-cookie': ['seen=1; Path=/'] });
+        });
+
+        it('should leave the response alone when nothing was set', () => {
+            const res = createResponse();
+            applySsrResponse(res, createSsrResponse());
+            expect(res.statusCode).toBe(200);
+            expect(res.headers).toEqual({});
+        });
+
+    });
+
+    describe('isShareable', () => {
+
+        it('should not share responses with cookies or private caching', () => {
+            expect(isShareable(createSsrResponse())).toBe(true);
+            const cached = createSsrResponse().setHeader('Cache-Control', 'public');
+            expect(isShareable(cached)).toBe(true);
+            expect(isShareable(createSsrResponse().setCookie('a', '1'))).toBe(false);
+            ['private', 'max-age=0, no-store', 'Private'].forEach((value) => {
+                expect(isShareable(createSsrResponse().setHeader('Cache-Control', value)))
+                    .toBe(false);
+            });
+        });
+
+    });
+
+});
@@ -0,0 +1,89 @@
+import {
+    deserializeContext,
+    deserializeError,
+    getRequestSnapshot,
+    serializeContext,
+    serializeError,
+} from '../src/worker-context';
+
+describe('worker-context', () => {
+
+    describe('serializeError', () => {
+
+        it('should round trip errors with their properties', () => {
+            const err = new Error('Not found');
+            err.code = 404;
+            const data = serializeError(err);
+            expect(data).not.toBeInstanceOf(Error);
+            const restored = deserializeError(JSON.parse(JSON.stringify(data)));
+            expect(restored).toBeInstanceOf(Error);
+            expect(restored.message).toBe('Not found');
+            expect(restored.code).toBe(404);
+            expect(restored.stack).toBe(err.stack);
+        });
+
+        it('should round trip non-error values', () => {
+            const data = serializeError({ url: '/login' });
+            expect(deserializeError(data)).toEqual({ url: '/login' });
+        });
+
+    });
+
+    describe('serializeContext', () => {
+
+        it('should drop main thread fields, internals and functions', () => {
+            const context = {
+                url: '/',
+                title: 'Title',
+                request: {},
+                response: {},
+                clientManifest: {},
+                serverTimings: [{ name: 'context', duration: 1 }],
+                _registeredComponents: new Set(),
+                rendered: () => {},
+            };
+            expect(serializeContext(context)).toEqual({
+                url: '/',
+                title: 'Title',
+                serverTimings: [{ name: 'context', duration: 1 }],
+            });
+        });
+
+        it('should round trip errors', () => {
+            const err = new Error('boom');
+            const data = serializeContext({ url: '/500', error: err, initialState: null });
+            expect(data.error).not.toBeInstanceOf(Error);
+            const context = deserializeContext(data);
+            expect(context.error).toBeInstanceOf(Error);
+            expect(context.error.message).toBe('boom');
+            expect(context.url).toBe('/500');
+            expect(context.initialState).toBe(null);
+        });
+
+    });
+
+    describe('getRequestSnapshot', () => {
+
+        it('should copy the request fields the app may need', () => {
+            const req = {
+                method: 'GET',
+                url: '/foo?bar=1',
+                headers: { host: 'localhost' },
+                query: { bar: '1' },
+                socket: {},
+            };
+            expect(getRequestSnapshot(req)).toEqual({
+                method: 'GET',
+                url: '/foo?bar=1',
+                headers: { host: 'localhost' },
+                query: { bar: '1' },
+            });
+        });
+
+        it('should handle a missing request', () => {
+            expect(getRequestSnapshot(null)).toBe(null);
+        });
+
+    });
+
+});